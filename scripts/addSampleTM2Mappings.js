@@ -1,5 +1,12 @@
 const { PrismaClient } = require('@prisma/client');
 
+// Sample mappings are curated data: store them approved so translations use them
+const SAMPLE_REVIEW = {
+  curationStatus: 'approved',
+  reviewer: 'sample-data',
+  reviewedAt: new Date()
+};
+
 async function addSampleTM2Mappings() {
   const prisma = new PrismaClient();
 
@@ -8,27 +15,30 @@ async function addSampleTM2Mappings() {
     await prisma.$connect();
 
     // Get CodeSystems
-    const namasteSystem = await prisma.codeSystem.findUnique({
+    const namasteSystem = await prisma.codeSystem.findFirst({
       where: { url: 'https://ayush.gov.in/fhir/CodeSystem/namaste' }
     });
 
-    const tm2System = await prisma.codeSystem.findUnique({
+    const tm2System = await prisma.codeSystem.findFirst({
       where: { url: 'http://id.who.int/icd/release/11/mms' }
     });
 
-    const unaniSystem = await prisma.codeSystem.findUnique({
+    const unaniSystem = await prisma.codeSystem.findFirst({
       where: { url: 'https://ayush.gov.in/fhir/CodeSystem/unani' }
     });
 
-    if (!namasteSystem || !tm2System || !unaniSystem) {
+    const siddhaSystem = await prisma.codeSystem.findFirst({
+      where: { url: 'https://ayush.gov.in/fhir/CodeSystem/siddha' }
+    });
+
+    if (!namasteSystem || !tm2System || !unaniSystem || !siddhaSystem) {
       console.log('❌ One or more CodeSystems not found');
       return;
     }
 
     // Create sample ConceptMap for NAMASTE to TM2 mapping
-    const namasteToTM2Map = await prisma.conceptMap.upsert({
-      where: { url: 'https://ayush.gov.in/fhir/ConceptMap/namaste-to-icd11-tm2' },
-      update: {},
+    const namasteToTM2Map = await findOrCreateConceptMap({
+      where: { url: 'https://ayush.gov.in/fhir/ConceptMap/namaste-to-icd11-tm2', version: null },
       create: {
         url: 'https://ayush.gov.in/fhir/ConceptMap/namaste-to-icd11-tm2',
         name: 'namaste-to-icd11-tm2',
@@ -52,6 +62,7 @@ async function addSampleTM2Mappings() {
                       code: 'TM26.0',
                       display: 'Disorders of vata dosha',
                       equivalence: 'equivalent',
+                      ...SAMPLE_REVIEW,
                       comment: 'Vata accumulation maps to vata dosha disorders'
                     }]
                   }
@@ -64,6 +75,7 @@ async function addSampleTM2Mappings() {
                       code: 'TM26.0',
                       display: 'Disorders of vata dosha',
                       equivalence: 'equivalent',
+                      ...SAMPLE_REVIEW,
                       comment: 'Vata increase maps to vata dosha disorders'
                     }]
                   }
@@ -77,6 +89,7 @@ async function addSampleTM2Mappings() {
                       code: 'TM27.0',
                       display: 'Disorders of pitta dosha',
                       equivalence: 'equivalent',
+                      ...SAMPLE_REVIEW,
                       comment: 'Pitta accumulation maps to pitta dosha disorders'
                     }]
                   }
@@ -91,9 +104,8 @@ async function addSampleTM2Mappings() {
     console.log('✅ Created NAMASTE to TM2 ConceptMap');
 
     // Create sample ConceptMap for Unani to TM2 mapping
-    const unaniToTM2Map = await prisma.conceptMap.upsert({
-      where: { url: 'https://ayush.gov.in/fhir/ConceptMap/unani-to-icd11-tm2' },
-      update: {},
+    const unaniToTM2Map = await findOrCreateConceptMap({
+      where: { url: 'https://ayush.gov.in/fhir/ConceptMap/unani-to-icd11-tm2', version: null },
       create: {
         url: 'https://ayush.gov.in/fhir/ConceptMap/unani-to-icd11-tm2',
         name: 'unani-to-icd11-tm2',
@@ -117,6 +129,7 @@ async function addSampleTM2Mappings() {
                       code: 'SK01',
                       display: 'Migraine disorder',
                       equivalence: 'equivalent',
+                      ...SAMPLE_REVIEW,
                       comment: 'Shaqeeqa (migraine) maps to migraine disorder'
                     }]
                   }
@@ -130,6 +143,46 @@ async function addSampleTM2Mappings() {
 
     console.log('✅ Created Unani to TM2 ConceptMap');
 
+    // Create sample ConceptMap for Siddha to TM2 mapping
+    const siddhaToTM2Map = await findOrCreateConceptMap({
+      where: { url: 'https://ayush.gov.in/fhir/ConceptMap/siddha-to-icd11-tm2', version: null },
+      create: {
+        url: 'https://ayush.gov.in/fhir/ConceptMap/siddha-to-icd11-tm2',
+        name: 'siddha-to-icd11-tm2',
+        title: 'Siddha to ICD-11 TM2 Mapping',
+        status: 'active',
+        description: 'Mapping between Siddha and ICD-11 Traditional Medicine terminology',
+        sourceUri: siddhaSystem.url,
+        targetUri: tm2System.url,
+        groups: {
+          create: [{
+            source: siddhaSystem.url,
+            target: tm2System.url,
+            elements: {
+              create: [
+                // Sample mappings - Siddha to TM2
+                {
+                  code: 'DA',
+                  display: 'இரைப்பு நோய்',
+                  targets: {
+                    create: [{
+                      code: 'SL40',
+                      display: 'Bronchial asthma disorder',
+                      equivalence: 'equivalent',
+                      ...SAMPLE_REVIEW,
+                      comment: 'Iraippu Noy (bronchial asthma) maps to bronchial asthma disorder'
+                    }]
+                  }
+                }
+              ]
+            }
+          }]
+        }
+      }
+    });
+
+    console.log('✅ Created Siddha to TM2 ConceptMap');
+
     // Add some sample conditions using TM2 codes
     console.log('🏥 Adding sample patient conditions with TM2 codes...');
 
@@ -225,6 +278,12 @@ async function addSampleTM2Mappings() {
   }
 }
 
+// Helper function to create a ConceptMap unless that url and version already exist
+async function findOrCreateConceptMap({ where, create }) {
+  const existing = await prisma.conceptMap.findFirst({ where });
+  return existing || prisma.conceptMap.create({ data: create });
+}
+
 // Run if this script is executed directly
 if (require.main === module) {
   addSampleTM2Mappings();
@@ -0,0 +1,79 @@
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+// Reviewer recorded on mappings approved by this backfill
+const LEGACY_REVIEWER = 'legacy-import';
+
+/**
+ * Approve the ConceptMap targets stored before mapping curation existed.
+ *
+ * `prisma db push` gives every existing target the default curation status
+ * proposed, and translations only use approved targets, so without this
+ * step an upgraded server stops returning mappings. Legacy targets are
+ * those created before the curation columns were added: the push stamps
+ * them all with the same proposedAt, later than their createdAt, so the
+ * earliest proposedAt is the cutoff (or pass --before=<ISO date>). They
+ * have no author or reviewer and are approved with reviewer legacy-import.
+ * Targets created after the upgrade never match. Run it once after
+ * upgrading; it is safe to run again.
+ *
+ * Usage: node scripts/approveLegacyMappings.js [--before=2025-01-31T00:00:00Z]
+ */
+async function approveLegacyMappings({ before } = {}) {
+  try {
+    console.log('🔄 Approving mappings stored before curation...');
+
+    const cutoff = before
+      ? new Date(before)
+      : (await prisma.conceptMapTarget.aggregate({ _min: { proposedAt: true } }))._min.proposedAt;
+
+    if (!cutoff || isNaN(cutoff.getTime())) {
+      console.log('✅ No legacy mapping targets to approve');
+      return;
+    }
+
+    const { count } = await prisma.conceptMapTarget.updateMany({
+      where: {
+        curationStatus: 'proposed',
+        author: null,
+        authorId: null,
+        reviewer: null,
+        createdAt: { lt: cutoff }
+      },
+      data: {
+        curationStatus: 'approved',
+        reviewer: LEGACY_REVIEWER,
+        reviewComment: 'Stored before mapping curation; approved on upgrade',
+        reviewedAt: new Date()
+      }
+    });
+
+    console.log(`✅ Approved ${count} legacy mapping targets`);
+
+  } catch (error) {
+    console.error('❌ Legacy mapping approval failed:', error.message);
+    process.exit(1);
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+// Helper function to read --name=value command line options
+function parseArgs(args) {
+  const options = {};
+
+  for (const arg of args) {
+    const [name, value] = arg.replace(/^--/, '').split('=');
+    if (name === 'before') options.before = value;
+  }
+
+  return options;
+}
+
+// Run approval if this script is executed directly
+if (require.main === module) {
+  approveLegacyMappings(parseArgs(process.argv.slice(2)));
+}
+
+module.exports = { approveLegacyMappings };
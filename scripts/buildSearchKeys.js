@@ -0,0 +1,63 @@
+const { PrismaClient } = require('@prisma/client');
+const { buildSearchKey } = require('../src/utils/transliteration');
+
+const prisma = new PrismaClient();
+
+const BATCH_SIZE = 500;
+
+/**
+ * Backfill CodeSystemConcept.searchKey for concepts loaded before
+ * transliteration-aware search, or after bulk edits made outside the API
+ */
+async function buildSearchKeys() {
+  try {
+    console.log('🔄 Building transliterated search keys...');
+
+    let cursor = null;
+    let updatedCount = 0;
+
+    while (true) {
+      const concepts = await prisma.codeSystemConcept.findMany({
+        take: BATCH_SIZE,
+        ...(cursor && { skip: 1, cursor: { id: cursor } }),
+        orderBy: { id: 'asc' },
+        select: {
+          id: true,
+          display: true,
+          searchKey: true,
+          designations: { select: { value: true } }
+        }
+      });
+
+      if (concepts.length === 0) break;
+
+      for (const concept of concepts) {
+        const searchKey = buildSearchKey([concept.display, ...concept.designations.map(d => d.value)]);
+
+        if (searchKey !== concept.searchKey) {
+          await prisma.codeSystemConcept.update({
+            where: { id: concept.id },
+            data: { searchKey }
+          });
+          updatedCount++;
+        }
+      }
+
+      cursor = concepts[concepts.length - 1].id;
+      console.log(`📊 Processed up to concept ${cursor} (${updatedCount} updated)`);
+    }
+
+    console.log(`\n🎉 Search keys built: ${updatedCount} concepts updated`);
+  } catch (error) {
+    console.error('❌ Building search keys failed:', error);
+    process.exit(1);
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+if (require.main === module) {
+  buildSearchKeys();
+}
+
+module.exports = { buildSearchKeys };
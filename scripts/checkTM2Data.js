@@ -46,7 +46,7 @@ async function checkTM2Data() {
 
     // Check for ICD-11 specific data
     console.log('\n🌍 ICD-11 Data:');
-    const icd11System = await prisma.codeSystem.findUnique({
+    const icd11System = await prisma.codeSystem.findFirst({
       where: { url: 'https://icd.who.int/browse11/l-m/en' }
     });
 
@@ -64,7 +64,7 @@ async function checkTM2Data() {
 
     // Check for NAMASTE data
     console.log('\n🕉️  NAMASTE Data:');
-    const namasteSystem = await prisma.codeSystem.findUnique({
+    const namasteSystem = await prisma.codeSystem.findFirst({
       where: { url: 'https://ayush.gov.in/fhir/CodeSystem/namaste' }
     });
 
@@ -82,7 +82,7 @@ async function checkTM2Data() {
 
     // Check for Unani data
     console.log('\n🌙 Unani Data:');
-    const unaniSystem = await prisma.codeSystem.findUnique({
+    const unaniSystem = await prisma.codeSystem.findFirst({
       where: { url: 'https://ayush.gov.in/fhir/CodeSystem/unani' }
     });
 
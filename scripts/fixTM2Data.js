@@ -8,7 +8,7 @@ async function fixTM2Data() {
     await prisma.$connect();
 
     // Get the ICD11-TM2 CodeSystem
-    const tm2CodeSystem = await prisma.codeSystem.findUnique({
+    const tm2CodeSystem = await prisma.codeSystem.findFirst({
       where: { url: 'http://id.who.int/icd/release/11/mms' }
     });
 
@@ -30,7 +30,7 @@ async function fixTM2Data() {
     });
 
     // Get the ICD-11 CodeSystem that has the TM2 data
-    const icd11CodeSystem = await prisma.codeSystem.findUnique({
+    const icd11CodeSystem = await prisma.codeSystem.findFirst({
       where: { url: 'https://icd.who.int/browse11/l-m/en' }
     });
 
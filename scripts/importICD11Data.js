@@ -1,9 +1,21 @@
 const fs = require('fs');
 const path = require('path');
 const { PrismaClient } = require('@prisma/client');
+const { buildSearchKey } = require('../src/utils/transliteration');
+const { resolveCodeSystem } = require('../src/services/codeSystemResolver');
+const { ICD11_MMS_URL } = require('../src/utils/systemAlias');
 
 const prisma = new PrismaClient();
 
+// Depth of TM2 blocks below Module II > TM disorders/patterns > chapter
+const BLOCK_DEPTH = 4;
+
+// Grouping rows whose depth cannot be inferred from their neighbours
+const DEPTH_OVERRIDES = {
+  'Traditional medicine patterns': 2,
+  'Respiratory system disorders': 3
+};
+
 async function importICD11Data() {
   try {
     console.log('🔄 Starting ICD-11 data import...');
@@ -12,21 +24,18 @@ async function importICD11Data() {
     const csvPath = path.join(__dirname, '..', 'final_icd_11.csv');
     const csvData = fs.readFileSync(csvPath, 'utf8');
 
-    // Parse CSV data
-    const lines = csvData.split('\n').filter(line => line.trim());
-    const headers = lines[0].split(',').map(h => h.replace(/"/g, '').trim());
+    // Parse CSV data (quoted fields may span several lines)
+    const records = parseCSV(csvData.replace(/^\uFEFF/, ''));
 
-    console.log(`📊 Found ${lines.length - 1} data rows in ICD-11 CSV`);
+    console.log(`📊 Found ${records.length - 1} data rows in ICD-11 CSV`);
 
-    // Get or create ICD-11 CodeSystem
-    let icd11CodeSystem = await prisma.codeSystem.findUnique({
-      where: { url: 'https://icd.who.int/browse11/l-m/en' }
-    });
+    // Get or create ICD-11 CodeSystem (the canonical MMS URL, see src/utils/systemAlias.js)
+    let icd11CodeSystem = await resolveCodeSystem(ICD11_MMS_URL);
 
     if (!icd11CodeSystem) {
       icd11CodeSystem = await prisma.codeSystem.create({
         data: {
-          url: 'https://icd.who.int/browse11/l-m/en',
+          url: ICD11_MMS_URL,
           name: 'ICD-11',
           title: 'International Classification of Diseases 11th Revision',
           status: 'active',
@@ -38,88 +47,80 @@ async function importICD11Data() {
       console.log('✅ Created ICD-11 CodeSystem');
     }
 
+    // Rebuild the chapter -> block -> category tree from the CSV rows
+    const nodes = buildHierarchy(records.slice(1));
+    const groupingCount = nodes.filter(node => node.grouping).length;
+    console.log(`🌳 Rebuilt hierarchy: ${groupingCount} chapters/blocks, ${nodes.length - groupingCount} categories`);
+
     let importedCount = 0;
+    let linkedCount = 0;
     let skippedCount = 0;
+    const conceptIds = new Map();
 
-    // Process each line
-    for (let i = 1; i < lines.length; i++) {
-      const line = lines[i].trim();
-      if (!line) continue;
-
-      // Parse CSV line (handle quoted fields)
-      const values = parseCSVLine(line);
-
-      if (values.length < 5) {
-        console.log(`⚠️  Skipping line ${i + 1}: insufficient data`);
-        skippedCount++;
-        continue;
-      }
-
-      const [code, diseaseName, symptoms, searchQuality, coreTerms] = values;
-
+    // Parents always precede their children, so their ids are known
+    for (const node of nodes) {
       try {
-        // Skip entries that are just categories or modules
-        if (code.startsWith(',') || code.includes('Module II') ||
-            diseaseName.includes('Skipped') || diseaseName.includes('Not a specific disease')) {
-          skippedCount++;
-          continue;
-        }
+        const parentId = node.parent ? conceptIds.get(node.parent) : null;
 
-        // Clean the code and disease name
-        const cleanCode = code.trim();
-        const cleanDiseaseName = diseaseName.replace(/^"|"$/g, '').trim();
+        // Check if concept already exists
+        const existingConcept = await prisma.codeSystemConcept.findFirst({
+          where: {
+            code: node.code,
+            codeSystemId: icd11CodeSystem.id
+          }
+        });
 
-        if (!cleanCode || !cleanDiseaseName) {
-          skippedCount++;
+        if (existingConcept) {
+          // Link concepts from earlier flat imports into the hierarchy
+          if (existingConcept.parentId !== parentId) {
+            await prisma.codeSystemConcept.update({
+              where: { id: existingConcept.id },
+              data: { parentId }
+            });
+            linkedCount++;
+          }
+          conceptIds.set(node, existingConcept.id);
           continue;
         }
 
-        // Check if concept already exists
-        const existingConcept = await prisma.codeSystemConcept.findFirst({
-          where: {
-            code: cleanCode,
+        // Create ICD-11 concept
+        const icd11Concept = await prisma.codeSystemConcept.create({
+          data: {
+            code: node.code,
+            display: node.display,
+            definition: node.definition,
+            parentId,
+            properties: node.grouping ? [
+              { code: 'kind', valueCode: node.depth === 1 ? 'chapter' : 'block' },
+              { code: 'notSelectable', valueBoolean: true }
+            ] : undefined,
+            searchKey: buildSearchKey([node.display, ...node.terms]),
             codeSystemId: icd11CodeSystem.id
           }
         });
+        conceptIds.set(node, icd11Concept.id);
 
-        if (!existingConcept) {
-          // Create ICD-11 concept
-          const icd11Concept = await prisma.codeSystemConcept.create({
+        // Add core terms as designations if available
+        for (const term of node.terms) {
+          await prisma.codeSystemDesignation.create({
             data: {
-              code: cleanCode,
-              display: cleanDiseaseName,
-              definition: symptoms && symptoms !== 'Skipped' ? symptoms.replace(/^"|"$/g, '').trim() : null,
-              codeSystemId: icd11CodeSystem.id
+              language: 'en',
+              value: term,
+              use: { system: 'http://terminology.hl7.org/CodeSystem/designation-usage', code: 'synonym' },
+              conceptId: icd11Concept.id
             }
           });
-
-          // Add core terms as designations if available
-          if (coreTerms && coreTerms.trim() && coreTerms !== 'Skipped') {
-            const terms = coreTerms.replace(/^"|"$/g, '').split(',').map(term => term.trim()).filter(term => term);
-            for (const term of terms) {
-              if (term) {
-                await prisma.codeSystemDesignation.create({
-                  data: {
-                    language: 'en',
-                    value: term,
-                    use: { system: 'http://terminology.hl7.org/CodeSystem/designation-usage', code: 'synonym' },
-                    conceptId: icd11Concept.id
-                  }
-                });
-              }
-            }
-          }
-
-          importedCount++;
         }
 
+        importedCount++;
+
         // Log progress every 50 records
-        if ((importedCount + skippedCount) % 50 === 0) {
-          console.log(`📊 Processed ${importedCount + skippedCount} records...`);
+        if (importedCount % 50 === 0) {
+          console.log(`📊 Imported ${importedCount} concepts...`);
         }
 
       } catch (error) {
-        console.log(`❌ Error processing line ${i + 1}: ${error.message}`);
+        console.log(`❌ Error importing ${node.code}: ${error.message}`);
         skippedCount++;
       }
     }
@@ -136,6 +137,7 @@ async function importICD11Data() {
 
     console.log('\n🎉 ICD-11 data import completed!');
     console.log(`✅ Imported: ${importedCount} concepts`);
+    console.log(`🔗 Re-linked: ${linkedCount} existing concepts`);
     console.log(`⚠️  Skipped: ${skippedCount} records`);
     console.log(`📊 ICD-11 CodeSystem: ${icd11Count} concepts`);
 
@@ -147,29 +149,145 @@ async function importICD11Data() {
   }
 }
 
-// Helper function to parse CSV line with quoted fields
-function parseCSVLine(line) {
-  const result = [];
+/**
+ * Rebuild the TM2 hierarchy from the CSV rows.
+ *
+ * Grouping rows (chapters and blocks) have no code and mark their depth with
+ * leading "- " prefixes in Disease_Name. Some grouping rows lost their
+ * prefixes; they sit one level above a following grouping row, or at block
+ * depth when categories follow directly. Categories belong to the closest
+ * grouping above them. Returns nodes in file order (parents first).
+ */
+function buildHierarchy(records) {
+  const rows = [];
+
+  for (const [code = '', diseaseName = '', symptoms = '', , coreTerms = ''] of records) {
+    const prefix = diseaseName.match(/^(-\s*)+/);
+    const display = diseaseName.replace(/^(-\s*)+/, '').replace(/,+$/, '').trim();
+    if (!display) continue;
+
+    const row = {
+      code: code.trim() || null,
+      display,
+      depth: prefix ? (prefix[0].match(/-/g) || []).length : null,
+      grouping: !code.trim() || !!prefix,
+      definition: symptoms && !symptoms.startsWith('Skipped') ? symptoms.trim() : null,
+      terms: coreTerms && coreTerms !== 'Skipped'
+        ? coreTerms.split(',').map(term => term.trim()).filter(term => term)
+        : [],
+      parent: null,
+      children: []
+    };
+
+    // A coded copy of the grouping row just above gives that grouping its code
+    const previous = rows[rows.length - 1];
+    if (row.code && row.grouping && previous && previous.grouping && !previous.code &&
+        previous.display === row.display && previous.depth === row.depth) {
+      previous.code = row.code;
+      continue;
+    }
+
+    rows.push(row);
+  }
+
+  // Infer the depth of grouping rows without prefixes, last row first
+  for (let i = rows.length - 1; i >= 0; i--) {
+    const row = rows[i];
+    if (!row.grouping || row.depth !== null) continue;
+
+    const next = rows[i + 1];
+    row.depth = DEPTH_OVERRIDES[row.display] ||
+      (next && next.grouping ? Math.max(next.depth - 1, 1) : BLOCK_DEPTH);
+  }
+
+  // Attach every row to the closest open grouping above it
+  const stack = [];
+  for (const row of rows) {
+    if (row.grouping) {
+      while (stack.length > 0 && stack[stack.length - 1].depth >= row.depth) {
+        stack.pop();
+      }
+    }
+
+    row.parent = stack[stack.length - 1] || null;
+    if (row.parent) row.parent.children.push(row);
+
+    if (row.grouping) stack.push(row);
+  }
+
+  // Groupings without a code are identified by the range of categories they contain
+  const usedCodes = new Set(rows.filter(row => row.code).map(row => row.code));
+  for (const row of rows) {
+    if (row.code) continue;
+
+    const codes = getCategoryCodes(row);
+    let code = codes.length > 0 ? `${codes[0]}-${codes[codes.length - 1]}` : row.display;
+    if (usedCodes.has(code)) {
+      code = `L${row.depth}-${code}`;
+    }
+
+    row.code = code;
+    usedCodes.add(code);
+  }
+
+  return rows;
+}
+
+/**
+ * Collect the category codes below a grouping row in file order
+ */
+function getCategoryCodes(row) {
+  const codes = [];
+  for (const child of row.children) {
+    if (!child.grouping) codes.push(child.code);
+    codes.push(...getCategoryCodes(child));
+  }
+  return codes;
+}
+
+/**
+ * Parse CSV text into records, handling quoted fields with commas,
+ * escaped quotes ("") and line breaks
+ */
+function parseCSV(text) {
+  const records = [];
+  let record = [];
   let current = '';
   let inQuotes = false;
 
-  for (let i = 0; i < line.length; i++) {
-    const char = line[i];
-
-    if (char === '"') {
-      inQuotes = !inQuotes;
-    } else if (char === ',' && !inQuotes) {
-      result.push(current.trim().replace(/^"|"$/g, ''));
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        current += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      record.push(current.trim());
+      current = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      record.push(current.trim());
+      if (record.some(value => value)) records.push(record);
+      record = [];
       current = '';
     } else {
       current += char;
     }
   }
 
-  // Add the last field
-  result.push(current.trim().replace(/^"|"$/g, ''));
+  // Add the last record
+  record.push(current.trim());
+  if (record.some(value => value)) records.push(record);
 
-  return result;
+  return records;
 }
 
 // Run import if this script is executed directly
@@ -177,4 +295,4 @@ if (require.main === module) {
   importICD11Data();
 }
 
-module.exports = { importICD11Data };
+module.exports = { importICD11Data, buildHierarchy, parseCSV };
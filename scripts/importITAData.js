@@ -0,0 +1,419 @@
+const fs = require('fs');
+const path = require('path');
+const { PrismaClient } = require('@prisma/client');
+const { parseCSV } = require('./importICD11Data');
+const { findConceptByCode } = require('../src/services/conceptAlias');
+const { resolveCodeSystem } = require('../src/services/codeSystemResolver');
+const { buildSearchKey, toSearchKey } = require('../src/utils/transliteration');
+const { ICD11_MMS_URL } = require('../src/utils/systemAlias');
+
+const prisma = new PrismaClient();
+
+const ITA_URL = 'https://ayush.gov.in/fhir/CodeSystem/who-ita';
+const NAMASTE_URL = 'https://ayush.gov.in/fhir/CodeSystem/namaste';
+
+// Accepted header names (lowercase, punctuation removed) for each column
+const COLUMN_ALIASES = {
+  code: ['term id', 'ita id', 'id', 'code'],
+  display: ['english term', 'term', 'english'],
+  definition: ['description', 'definition'],
+  sanskrit: ['sanskrit term', 'sanskrit term devanagari', 'sanskrit', 'devanagari'],
+  iast: ['sanskrit term iast', 'iast', 'transliteration'],
+  namasteCodes: ['namaste code', 'namaste codes', 'namc code'],
+  tm2Codes: ['icd 11 tm2 code', 'icd 11 tm2 codes', 'tm2 code', 'tm2 codes']
+};
+
+/**
+ * Import the WHO International Standard Terminologies on Ayurveda (ITA)
+ * term list from a local CSV file and rebuild the NAMASTE -> ITA and
+ * ITA -> ICD-11 TM2 ConceptMaps from it.
+ *
+ * Usage: node scripts/importITAData.js [file]
+ * The file defaults to ITA_DATA_PATH or who_ita_terms.csv in the project root.
+ */
+async function importITAData(filePath = process.env.ITA_DATA_PATH || path.join(__dirname, '..', 'who_ita_terms.csv')) {
+  try {
+    console.log('🔄 Starting WHO ITA data import...');
+
+    const csvData = fs.readFileSync(filePath, 'utf8');
+    const [headers, ...rows] = parseCSV(csvData.replace(/^\uFEFF/, ''));
+    const columns = mapColumns(headers);
+
+    if (columns.code === undefined || columns.display === undefined) {
+      throw new Error(`${filePath} must have a term id and an English term column`);
+    }
+
+    console.log(`📊 Found ${rows.length} data rows in ${path.basename(filePath)}`);
+
+    const version = process.env.ITA_VERSION || '2022';
+
+    // Get or create ITA CodeSystem
+    let itaCodeSystem = await prisma.codeSystem.findFirst({
+      where: { url: ITA_URL, version }
+    });
+
+    if (!itaCodeSystem) {
+      itaCodeSystem = await prisma.codeSystem.create({
+        data: {
+          url: ITA_URL,
+          version,
+          name: 'WHO_ITA',
+          title: 'WHO International Standard Terminologies on Ayurveda',
+          status: 'active',
+          publisher: 'World Health Organization',
+          description: 'WHO standardised Ayurveda terms with English terms, descriptions and Sanskrit equivalents',
+          content: 'complete',
+          count: 0
+        }
+      });
+      console.log('✅ Created WHO ITA CodeSystem');
+    }
+
+    let importedCount = 0;
+    let updatedCount = 0;
+    let skippedCount = 0;
+    const terms = [];
+
+    for (let i = 0; i < rows.length; i++) {
+      const term = readRow(rows[i], columns);
+
+      if (!term.code || !term.display) {
+        console.log(`⚠️  Skipping row ${i + 2}: missing term id or English term`);
+        skippedCount++;
+        continue;
+      }
+
+      try {
+        const data = {
+          display: term.display,
+          definition: term.definition || null,
+          searchKey: buildSearchKey([term.display, term.sanskrit, term.iast])
+        };
+
+        const existingConcept = await prisma.codeSystemConcept.findUnique({
+          where: { codeSystemId_code: { codeSystemId: itaCodeSystem.id, code: term.code } }
+        });
+
+        if (existingConcept) {
+          await prisma.codeSystemConcept.update({
+            where: { id: existingConcept.id },
+            data
+          });
+          term.conceptId = existingConcept.id;
+          updatedCount++;
+        } else {
+          const concept = await prisma.codeSystemConcept.create({
+            data: {
+              code: term.code,
+              ...data,
+              codeSystemId: itaCodeSystem.id
+            }
+          });
+          term.conceptId = concept.id;
+
+          // Add Sanskrit designations
+          if (term.sanskrit) {
+            await prisma.codeSystemDesignation.create({
+              data: {
+                language: 'sa',
+                value: term.sanskrit,
+                use: { system: 'http://terminology.hl7.org/CodeSystem/designation-usage', code: 'display' },
+                conceptId: concept.id
+              }
+            });
+          }
+
+          if (term.iast) {
+            await prisma.codeSystemDesignation.create({
+              data: {
+                language: 'sa-Latn',
+                value: term.iast,
+                use: { system: 'http://terminology.hl7.org/CodeSystem/designation-usage', code: 'display' },
+                conceptId: concept.id
+              }
+            });
+          }
+
+          importedCount++;
+        }
+
+        terms.push(term);
+      } catch (error) {
+        console.log(`❌ Error processing row ${i + 2}: ${error.message}`);
+        skippedCount++;
+      }
+    }
+
+    // ITA term ids are hierarchical: ITA-2.1.3 sits below ITA-2.1
+    const linkedCount = await linkTerms(terms);
+    console.log(`🌳 Linked ${linkedCount} terms to their parent terms`);
+
+    const itaCount = await prisma.codeSystemConcept.count({
+      where: { codeSystemId: itaCodeSystem.id }
+    });
+
+    await prisma.codeSystem.update({
+      where: { id: itaCodeSystem.id },
+      data: { count: itaCount }
+    });
+
+    // Rebuild the ConceptMaps from the mapping columns and Sanskrit terms
+    const namasteElements = await buildNamasteElements(terms, columns);
+    const tm2Elements = await buildTM2Elements(terms);
+
+    await replaceConceptMap({
+      url: 'https://ayush.gov.in/fhir/ConceptMap/namaste-to-who-ita',
+      name: 'namaste-to-who-ita',
+      title: 'NAMASTE to WHO ITA Mapping',
+      description: 'Mapping between NAMASTE Ayurveda terms and the WHO International Standard Terminologies on Ayurveda',
+      sourceUri: NAMASTE_URL,
+      targetUri: ITA_URL
+    }, namasteElements);
+
+    await replaceConceptMap({
+      url: 'https://ayush.gov.in/fhir/ConceptMap/who-ita-to-icd11-tm2',
+      name: 'who-ita-to-icd11-tm2',
+      title: 'WHO ITA to ICD-11 TM2 Mapping',
+      description: 'Mapping between the WHO International Standard Terminologies on Ayurveda and ICD-11 Traditional Medicine terminology',
+      sourceUri: ITA_URL,
+      targetUri: ICD11_MMS_URL
+    }, tm2Elements);
+
+    console.log('\n🎉 WHO ITA data import completed!');
+    console.log(`✅ Imported: ${importedCount} terms`);
+    console.log(`🔄 Updated: ${updatedCount} terms`);
+    console.log(`⚠️  Skipped: ${skippedCount} rows`);
+    console.log(`📊 WHO ITA CodeSystem: ${itaCount} concepts`);
+    console.log(`🔗 NAMASTE to WHO ITA: ${namasteElements.length} mapped NAMASTE codes`);
+    console.log(`🔗 WHO ITA to ICD-11 TM2: ${tm2Elements.length} mapped ITA terms`);
+
+  } catch (error) {
+    console.error('❌ Import failed:', error);
+    process.exit(1);
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+// Helper function to find the index of each known column in the header row
+function mapColumns(headers) {
+  const normalized = headers.map(header => header.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim());
+  const columns = {};
+
+  for (const [column, aliases] of Object.entries(COLUMN_ALIASES)) {
+    const index = aliases
+      .map(alias => normalized.indexOf(alias))
+      .find(position => position !== -1);
+    if (index !== undefined) columns[column] = index;
+  }
+
+  return columns;
+}
+
+// Helper function to read a term from a CSV row
+function readRow(row, columns) {
+  const value = column => (columns[column] === undefined ? '' : (row[columns[column]] || '').trim());
+  const list = column => value(column).split(/[;|]/).map(code => code.trim()).filter(Boolean);
+
+  return {
+    code: value('code'),
+    display: value('display'),
+    definition: value('definition'),
+    sanskrit: value('sanskrit'),
+    iast: value('iast'),
+    namasteCodes: list('namasteCodes'),
+    tm2Codes: list('tm2Codes')
+  };
+}
+
+// Helper function to set each term's parent to its nearest loaded ancestor term
+async function linkTerms(terms) {
+  const conceptIds = new Map(terms.map(term => [term.code, term.conceptId]));
+  let linkedCount = 0;
+
+  for (const term of terms) {
+    let parentCode = term.code.replace(/\.\d+$/, '');
+
+    while (parentCode !== term.code && !conceptIds.has(parentCode) && /\.\d+$/.test(parentCode)) {
+      parentCode = parentCode.replace(/\.\d+$/, '');
+    }
+
+    if (parentCode !== term.code && conceptIds.has(parentCode)) {
+      await prisma.codeSystemConcept.update({
+        where: { id: term.conceptId },
+        data: { parentId: conceptIds.get(parentCode) }
+      });
+      linkedCount++;
+    }
+  }
+
+  return linkedCount;
+}
+
+/**
+ * Build NAMASTE -> ITA elements. Listed NAMASTE codes are mapped as given;
+ * otherwise a term is linked to the single NAMASTE concept with the same
+ * Sanskrit term, if there is exactly one.
+ */
+async function buildNamasteElements(terms, columns) {
+  const namasteSystem = await resolveCodeSystem(NAMASTE_URL);
+
+  if (!namasteSystem) {
+    console.log('⚠️  NAMASTE CodeSystem not found, skipping NAMASTE to WHO ITA mappings');
+    return [];
+  }
+
+  const namasteByKey = columns.sanskrit === undefined ? new Map() : await indexBySanskritKey(namasteSystem.id);
+  const elements = new Map();
+
+  for (const term of terms) {
+    const matches = [];
+
+    for (const code of term.namasteCodes) {
+      const concept = await findConceptByCode(namasteSystem.id, code);
+      if (concept) {
+        matches.push({ concept, comment: null });
+      } else {
+        console.log(`⚠️  ${term.code}: NAMASTE code '${code}' not found`);
+      }
+    }
+
+    if (term.namasteCodes.length === 0 && term.sanskrit) {
+      const candidates = namasteByKey.get(toSearchKey(term.sanskrit)) || [];
+      if (candidates.length === 1) {
+        matches.push({ concept: candidates[0], comment: 'Matched on Sanskrit term' });
+      }
+    }
+
+    for (const { concept, comment } of matches) {
+      addTarget(elements, concept, {
+        code: term.code,
+        display: term.display,
+        equivalence: 'equivalent',
+        comment
+      });
+    }
+  }
+
+  return [...elements.values()];
+}
+
+// Helper function to index NAMASTE concepts by the search key of their Sanskrit display
+async function indexBySanskritKey(codeSystemId) {
+  const concepts = await prisma.codeSystemConcept.findMany({
+    where: { codeSystemId },
+    select: { code: true, display: true }
+  });
+
+  const index = new Map();
+  for (const concept of concepts) {
+    const key = toSearchKey(concept.display || '');
+    if (!key) continue;
+    if (!index.has(key)) index.set(key, []);
+    index.get(key).push(concept);
+  }
+
+  return index;
+}
+
+// Build ITA -> TM2 elements from the listed TM2 codes
+async function buildTM2Elements(terms) {
+  const tm2System = await resolveCodeSystem(ICD11_MMS_URL);
+
+  const elements = new Map();
+
+  for (const term of terms) {
+    for (const code of term.tm2Codes) {
+      const tm2Concept = tm2System && await prisma.codeSystemConcept.findUnique({
+        where: { codeSystemId_code: { codeSystemId: tm2System.id, code } }
+      });
+
+      if (!tm2Concept) {
+        console.log(`⚠️  ${term.code}: ICD-11 TM2 code '${code}' not found`);
+        continue;
+      }
+
+      addTarget(elements, term, {
+        code: tm2Concept.code,
+        display: tm2Concept.display,
+        equivalence: 'equivalent',
+        comment: null
+      });
+    }
+  }
+
+  return [...elements.values()];
+}
+
+// Helper function to add a target to the element of a source code
+function addTarget(elements, source, target) {
+  if (!elements.has(source.code)) {
+    elements.set(source.code, {
+      code: source.code,
+      display: source.display,
+      targets: { create: [] }
+    });
+  }
+
+  const { targets } = elements.get(source.code);
+  if (!targets.create.some(existing => existing.code === target.code)) {
+    targets.create.push(target);
+  }
+}
+
+// Helper function to create a ConceptMap or replace the mappings of an existing one.
+// New links are proposals; links rebuilt unchanged keep their review.
+async function replaceConceptMap(conceptMapData, elements) {
+  const existing = await prisma.conceptMap.findFirst({
+    where: { url: conceptMapData.url, version: conceptMapData.version ?? null }
+  });
+
+  const data = { ...conceptMapData, status: 'active' };
+  const conceptMap = existing
+    ? await prisma.conceptMap.update({ where: { id: existing.id }, data })
+    : await prisma.conceptMap.create({ data });
+
+  const previousTargets = await prisma.conceptMapTarget.findMany({
+    where: { element: { group: { conceptMapId: conceptMap.id } } },
+    include: { element: { select: { code: true } } }
+  });
+  const reviews = new Map(previousTargets.map(target => [
+    `${target.element.code}|${target.code}|${target.equivalence}`,
+    target
+  ]));
+
+  await prisma.conceptMapGroup.deleteMany({
+    where: { conceptMapId: conceptMap.id }
+  });
+
+  await prisma.conceptMapGroup.create({
+    data: {
+      source: conceptMapData.sourceUri,
+      target: conceptMapData.targetUri,
+      conceptMapId: conceptMap.id,
+      elements: {
+        create: elements.map(element => ({
+          ...element,
+          targets: {
+            create: element.targets.create.map(target => {
+              const review = reviews.get(`${element.code}|${target.code}|${target.equivalence}`);
+              if (!review) return { ...target, author: 'WHO ITA import' };
+
+              const { curationStatus, author, authorId, proposedAt, reviewer, reviewerId, reviewComment, reviewedAt, createdAt } = review;
+              return { ...target, curationStatus, author, authorId, proposedAt, reviewer, reviewerId, reviewComment, reviewedAt, createdAt };
+            })
+          }
+        }))
+      }
+    }
+  });
+
+  console.log(`✅ Rebuilt ConceptMap ${conceptMapData.name}`);
+}
+
+// Run import if this script is executed directly
+if (require.main === module) {
+  importITAData(process.argv[2]);
+}
+
+module.exports = { importITAData };
@@ -1,6 +1,8 @@
 const fs = require('fs');
 const path = require('path');
 const { PrismaClient } = require('@prisma/client');
+const { buildSearchKey } = require('../src/utils/transliteration');
+const { parseNamasteCode, getNamasteCodeLineage, getNamasteCodeProperties } = require('../src/utils/namasteCode');
 
 const prisma = new PrismaClient();
 
@@ -19,7 +21,7 @@ async function importNamasteData() {
     console.log(`📊 Found ${lines.length - 1} data rows in CSV`);
 
     // Get or create NAMASTE CodeSystem
-    let namasteCodeSystem = await prisma.codeSystem.findUnique({
+    let namasteCodeSystem = await prisma.codeSystem.findFirst({
       where: { url: 'https://ayush.gov.in/fhir/CodeSystem/namaste' }
     });
 
@@ -39,7 +41,7 @@ async function importNamasteData() {
     }
 
     // Get or create Unani CodeSystem
-    let unaniCodeSystem = await prisma.codeSystem.findUnique({
+    let unaniCodeSystem = await prisma.codeSystem.findFirst({
       where: { url: 'https://ayush.gov.in/fhir/CodeSystem/unani' }
     });
 
@@ -58,9 +60,34 @@ async function importNamasteData() {
       console.log('✅ Created Unani CodeSystem');
     }
 
+    // Get or create Siddha CodeSystem
+    let siddhaCodeSystem = await prisma.codeSystem.findFirst({
+      where: { url: 'https://ayush.gov.in/fhir/CodeSystem/siddha' }
+    });
+
+    if (!siddhaCodeSystem) {
+      siddhaCodeSystem = await prisma.codeSystem.create({
+        data: {
+          url: 'https://ayush.gov.in/fhir/CodeSystem/siddha',
+          name: 'SIDDHA',
+          title: 'Siddha Medicine Terminology',
+          status: 'active',
+          description: 'Standardized terminologies for Siddha medicine, with Tamil and romanised Tamil terms',
+          content: 'complete',
+          count: 0
+        }
+      });
+      console.log('✅ Created Siddha CodeSystem');
+    }
+
     let importedCount = 0;
     let skippedCount = 0;
 
+    // Concept ids by tradition and family code, used to rebuild the hierarchy
+    const namasteFamilies = new Map();
+    const siddhaFamilies = new Map();
+    const unaniFamilies = new Map();
+
     // Process each line
     for (let i = 1; i < lines.length; i++) {
       const line = lines[i].trim();
@@ -90,9 +117,75 @@ async function importNamasteData() {
         definition
       ] = values;
 
+      // Siddha concept of a Siddha row, which replaces its NAMASTE concept
+      let siddhaConceptId = null;
+
       try {
-        // Create NAMASTE concept if NAMC_CODE exists
+        // Create Siddha concept for Siddha rows of NAMC_CODE
+        if (system === 'Siddha' && namcCode && namcCode.trim()) {
+          const properties = getNamasteCodeProperties(namcCode, namcId);
+          const existingSiddhaConcept = await prisma.codeSystemConcept.findFirst({
+            where: {
+              code: namcCode.trim(),
+              codeSystemId: siddhaCodeSystem.id
+            }
+          });
+
+          if (existingSiddhaConcept) {
+            if (!existingSiddhaConcept.properties) {
+              await prisma.codeSystemConcept.update({
+                where: { id: existingSiddhaConcept.id },
+                data: { properties }
+              });
+            }
+            registerFamily(siddhaFamilies, 'Siddha', namcCode, existingSiddhaConcept.id);
+            siddhaConceptId = existingSiddhaConcept.id;
+          } else {
+            const siddhaConcept = await prisma.codeSystemConcept.create({
+              data: {
+                code: namcCode.trim(),
+                display: tamilTerm || namcTerm2 || namcCode,
+                definition: definition || null,
+                properties,
+                searchKey: buildSearchKey([tamilTerm, namcTerm2]),
+                codeSystemId: siddhaCodeSystem.id
+              }
+            });
+            registerFamily(siddhaFamilies, 'Siddha', namcCode, siddhaConcept.id);
+            siddhaConceptId = siddhaConcept.id;
+
+            // Add Tamil and romanised Tamil designations
+            if (tamilTerm && tamilTerm.trim()) {
+              await prisma.codeSystemDesignation.create({
+                data: {
+                  language: 'ta',
+                  value: tamilTerm.trim(),
+                  use: { system: 'http://terminology.hl7.org/CodeSystem/designation-usage', code: 'display' },
+                  conceptId: siddhaConcept.id
+                }
+              });
+            }
+
+            if (namcTerm2 && namcTerm2.trim()) {
+              await prisma.codeSystemDesignation.create({
+                data: {
+                  language: 'ta-Latn',
+                  value: namcTerm2.trim(),
+                  use: { system: 'http://terminology.hl7.org/CodeSystem/designation-usage', code: 'display' },
+                  conceptId: siddhaConcept.id
+                }
+              });
+            }
+
+            importedCount++;
+          }
+        }
+
+        // Create NAMASTE concept for every NAMC_CODE row. Siddha rows stay
+        // resolvable as NAMASTE codes, deprecated and replaced by the Siddha
+        // concept, so codings recorded before the Siddha CodeSystem still work
         if (namcCode && namcCode.trim()) {
+          const properties = getNamasteCodeProperties(namcCode, namcId);
           const existingNamasteConcept = await prisma.codeSystemConcept.findFirst({
             where: {
               code: namcCode.trim(),
@@ -100,15 +193,42 @@ async function importNamasteData() {
             }
           });
 
-          if (!existingNamasteConcept) {
+          if (existingNamasteConcept) {
+            // Add alias properties to concepts from earlier imports and
+            // retire NAMASTE concepts of Siddha rows
+            const data = {
+              ...(!existingNamasteConcept.properties && { properties }),
+              ...(siddhaConceptId && existingNamasteConcept.replacedById !== siddhaConceptId && {
+                status: 'deprecated',
+                retiredAt: existingNamasteConcept.retiredAt || new Date(),
+                replacedById: siddhaConceptId
+              })
+            };
+
+            if (Object.keys(data).length > 0) {
+              await prisma.codeSystemConcept.update({
+                where: { id: existingNamasteConcept.id },
+                data
+              });
+            }
+            registerFamily(namasteFamilies, system, namcCode, existingNamasteConcept.id);
+          } else {
             const namasteConcept = await prisma.codeSystemConcept.create({
               data: {
                 code: namcCode.trim(),
                 display: namcTermDevanagari || namcTerm2 || namcCode,
                 definition: definition || null,
-                codeSystemId: namasteCodeSystem.id
+                properties,
+                searchKey: buildSearchKey([namcTermDevanagari, namcTerm2, tamilTerm]),
+                codeSystemId: namasteCodeSystem.id,
+                ...(siddhaConceptId && {
+                  status: 'deprecated',
+                  retiredAt: new Date(),
+                  replacedById: siddhaConceptId
+                })
               }
             });
+            registerFamily(namasteFamilies, system, namcCode, namasteConcept.id);
 
             // Add designations for different languages
             if (namcTermDevanagari && namcTermDevanagari !== namcCode) {
@@ -139,6 +259,7 @@ async function importNamasteData() {
 
         // Create Unani concept if NUMC_CODE exists
         if (numcCode && numcCode.trim()) {
+          const properties = getNamasteCodeProperties(numcCode, numcId);
           const existingUnaniConcept = await prisma.codeSystemConcept.findFirst({
             where: {
               code: numcCode.trim(),
@@ -146,15 +267,26 @@ async function importNamasteData() {
             }
           });
 
-          if (!existingUnaniConcept) {
+          if (existingUnaniConcept) {
+            if (!existingUnaniConcept.properties) {
+              await prisma.codeSystemConcept.update({
+                where: { id: existingUnaniConcept.id },
+                data: { properties }
+              });
+            }
+            registerFamily(unaniFamilies, 'Unani', numcCode, existingUnaniConcept.id);
+          } else {
             const unaniConcept = await prisma.codeSystemConcept.create({
               data: {
                 code: numcCode.trim(),
                 display: arabicTerm || numcTerm || numcCode,
                 definition: definition || null,
+                properties,
+                searchKey: buildSearchKey([arabicTerm, numcTerm]),
                 codeSystemId: unaniCodeSystem.id
               }
             });
+            registerFamily(unaniFamilies, 'Unani', numcCode, unaniConcept.id);
 
             // Add Arabic designation
             if (arabicTerm && arabicTerm.trim()) {
@@ -183,11 +315,21 @@ async function importNamasteData() {
       }
     }
 
+    // Derive the AAA-n family hierarchy from the code structure
+    const linkedCount = await linkFamilies(namasteFamilies) +
+      await linkFamilies(siddhaFamilies) +
+      await linkFamilies(unaniFamilies);
+    console.log(`🌳 Linked ${linkedCount} concepts to their parent families`);
+
     // Update CodeSystem counts
     const namasteCount = await prisma.codeSystemConcept.count({
       where: { codeSystemId: namasteCodeSystem.id }
     });
 
+    const siddhaCount = await prisma.codeSystemConcept.count({
+      where: { codeSystemId: siddhaCodeSystem.id }
+    });
+
     const unaniCount = await prisma.codeSystemConcept.count({
       where: { codeSystemId: unaniCodeSystem.id }
     });
@@ -197,6 +339,11 @@ async function importNamasteData() {
       data: { count: namasteCount }
     });
 
+    await prisma.codeSystem.update({
+      where: { id: siddhaCodeSystem.id },
+      data: { count: siddhaCount }
+    });
+
     await prisma.codeSystem.update({
       where: { id: unaniCodeSystem.id },
       data: { count: unaniCount }
@@ -206,6 +353,7 @@ async function importNamasteData() {
     console.log(`✅ Imported: ${importedCount} concepts`);
     console.log(`⚠️  Skipped: ${skippedCount} records`);
     console.log(`📊 NAMASTE CodeSystem: ${namasteCount} concepts`);
+    console.log(`📊 Siddha CodeSystem: ${siddhaCount} concepts`);
     console.log(`📊 Unani CodeSystem: ${unaniCount} concepts`);
 
   } catch (error) {
@@ -216,6 +364,35 @@ async function importNamasteData() {
   }
 }
 
+// Helper function to remember a concept under its tradition and family code
+function registerFamily(families, tradition, code, conceptId) {
+  const { namasteCode } = parseNamasteCode(code);
+  if (namasteCode) {
+    families.set(`${tradition}|${namasteCode}`, conceptId);
+  }
+}
+
+// Helper function to set each concept's parent to its nearest loaded ancestor family
+async function linkFamilies(families) {
+  let linkedCount = 0;
+
+  for (const [key, conceptId] of families) {
+    const [tradition, namasteCode] = key.split('|');
+    const parentCode = getNamasteCodeLineage(namasteCode)
+      .find(code => families.has(`${tradition}|${code}`));
+
+    if (parentCode) {
+      await prisma.codeSystemConcept.update({
+        where: { id: conceptId },
+        data: { parentId: families.get(`${tradition}|${parentCode}`) }
+      });
+      linkedCount++;
+    }
+  }
+
+  return linkedCount;
+}
+
 // Helper function to parse CSV line with quoted fields
 function parseCSVLine(line) {
   const result = [];
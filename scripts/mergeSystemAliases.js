@@ -0,0 +1,149 @@
+const { PrismaClient } = require('@prisma/client');
+const { NAMING_SYSTEMS, canonicalizeCodeableConcept } = require('../src/utils/systemAlias');
+
+const prisma = new PrismaClient();
+
+/**
+ * Move data stored under alias system URLs (see src/utils/systemAlias.js)
+ * to the canonical URLs:
+ * - CodeSystems under an alias are renamed, or merged into the canonical
+ *   CodeSystem of the same version (concepts already there are kept)
+ * - ConceptMap source/target URIs are rewritten
+ * - Condition codings are rewritten
+ *
+ * Usage: node scripts/mergeSystemAliases.js
+ */
+async function mergeSystemAliases() {
+  try {
+    console.log('🔄 Merging alias system URLs into canonical URLs...');
+
+    for (const namingSystem of NAMING_SYSTEMS) {
+      if (namingSystem.aliases.length === 0) continue;
+
+      const aliasSystems = await prisma.codeSystem.findMany({
+        where: { url: { in: namingSystem.aliases } },
+        orderBy: { createdAt: 'asc' }
+      });
+
+      for (const aliasSystem of aliasSystems) {
+        await mergeCodeSystem(aliasSystem, namingSystem.url);
+      }
+
+      const aliases = { in: namingSystem.aliases };
+      const maps = await Promise.all([
+        prisma.conceptMap.updateMany({ where: { sourceUri: aliases }, data: { sourceUri: namingSystem.url } }),
+        prisma.conceptMap.updateMany({ where: { targetUri: aliases }, data: { targetUri: namingSystem.url } }),
+        prisma.conceptMapGroup.updateMany({ where: { source: aliases }, data: { source: namingSystem.url } }),
+        prisma.conceptMapGroup.updateMany({ where: { target: aliases }, data: { target: namingSystem.url } })
+      ]);
+
+      console.log(`✅ ${namingSystem.name}: rewrote ${maps.reduce((sum, result) => sum + result.count, 0)} ConceptMap URIs`);
+    }
+
+    // Rewrite stored Condition codings
+    const conditions = await prisma.condition.findMany({
+      select: { id: true, code: true }
+    });
+
+    let conditionCount = 0;
+    for (const condition of conditions) {
+      const code = canonicalizeCodeableConcept(condition.code);
+      if (JSON.stringify(code) === JSON.stringify(condition.code)) continue;
+
+      await prisma.condition.update({
+        where: { id: condition.id },
+        data: { code }
+      });
+      conditionCount++;
+    }
+
+    console.log('\n🎉 Alias merge completed!');
+    console.log(`📋 Conditions rewritten: ${conditionCount}`);
+
+  } catch (error) {
+    console.error('❌ Alias merge failed:', error.message);
+    process.exit(1);
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+/**
+ * Rename a CodeSystem stored under an alias URL, or merge its concepts into
+ * the canonical CodeSystem with the same version
+ */
+async function mergeCodeSystem(aliasSystem, canonicalUrl) {
+  const label = `${aliasSystem.url}${aliasSystem.version ? `|${aliasSystem.version}` : ''}`;
+
+  const target = await prisma.codeSystem.findFirst({
+    where: { url: canonicalUrl, version: aliasSystem.version }
+  });
+
+  if (!target) {
+    await prisma.codeSystem.update({
+      where: { id: aliasSystem.id },
+      data: { url: canonicalUrl }
+    });
+    console.log(`✅ Renamed ${label} to ${canonicalUrl}`);
+    return;
+  }
+
+  const targetConcepts = await prisma.codeSystemConcept.findMany({
+    where: { codeSystemId: target.id },
+    select: { id: true, code: true }
+  });
+  const targetIds = new Map(targetConcepts.map(concept => [concept.code, concept.id]));
+
+  const aliasConcepts = await prisma.codeSystemConcept.findMany({
+    where: { codeSystemId: aliasSystem.id },
+    select: {
+      id: true,
+      code: true,
+      parent: { select: { code: true } },
+      replacedBy: { select: { code: true } }
+    }
+  });
+  const moving = aliasConcepts.filter(concept => !targetIds.has(concept.code));
+
+  await prisma.codeSystemConcept.updateMany({
+    where: { id: { in: moving.map(concept => concept.id) } },
+    data: { codeSystemId: target.id }
+  });
+
+  // Concepts whose parent or replacement was already in the canonical
+  // CodeSystem now point at that concept
+  for (const concept of moving) {
+    const parentId = concept.parent && targetIds.get(concept.parent.code);
+    const replacedById = concept.replacedBy && targetIds.get(concept.replacedBy.code);
+    if (!parentId && !replacedById) continue;
+
+    await prisma.codeSystemConcept.update({
+      where: { id: concept.id },
+      data: {
+        ...(parentId && { parentId }),
+        ...(replacedById && { replacedById })
+      }
+    });
+  }
+
+  // Remaining duplicates are dropped with the alias CodeSystem
+  await prisma.codeSystem.delete({ where: { id: aliasSystem.id } });
+
+  const count = await prisma.codeSystemConcept.count({
+    where: { codeSystemId: target.id }
+  });
+
+  await prisma.codeSystem.update({
+    where: { id: target.id },
+    data: { count }
+  });
+
+  console.log(`✅ Merged ${moving.length} concepts of ${label} into ${canonicalUrl} (${aliasConcepts.length - moving.length} duplicates dropped)`);
+}
+
+// Run merge if this script is executed directly
+if (require.main === module) {
+  mergeSystemAliases();
+}
+
+module.exports = { mergeSystemAliases };
@@ -1,5 +1,12 @@
 const { PrismaClient } = require('@prisma/client');
 
+// Sample mappings are curated data: store them approved so translations use them
+const SAMPLE_REVIEW = {
+  curationStatus: 'approved',
+  reviewer: 'sample-data',
+  reviewedAt: new Date()
+};
+
 async function setupDatabase() {
   const prisma = new PrismaClient();
 
@@ -135,6 +142,7 @@ async function setupDatabase() {
         code: 'TM26.0',
         display: 'Disorders of vata dosha',
         equivalence: 'equivalent',
+        ...SAMPLE_REVIEW,
         elementId: element1.id
       }
     });
@@ -152,6 +160,7 @@ async function setupDatabase() {
         code: 'TM27.0',
         display: 'Disorders of pitta dosha',
         equivalence: 'relatedto',
+        ...SAMPLE_REVIEW,
         elementId: element2.id
       }
     });
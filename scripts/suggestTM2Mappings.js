@@ -0,0 +1,385 @@
+const fs = require('fs');
+const path = require('path');
+const { PrismaClient } = require('@prisma/client');
+const { parseCSV, buildHierarchy } = require('./importICD11Data');
+const { resolveCodeSystem } = require('../src/services/codeSystemResolver');
+const { findConceptByCode } = require('../src/services/conceptAlias');
+const { findConceptMap } = require('../src/services/conceptMapTranslation');
+const { devanagariToIast, toSearchKey } = require('../src/utils/transliteration');
+const { ICD11_MMS_URL, getSystemAliases } = require('../src/utils/systemAlias');
+
+const prisma = new PrismaClient();
+
+const NAMASTE_URL = 'https://ayush.gov.in/fhir/CodeSystem/namaste';
+const CONCEPT_MAP_URL = 'https://ayush.gov.in/fhir/ConceptMap/namaste-to-icd11-tm2';
+
+// Proposals written by this script are attributed to it
+const SUGGESTION_AUTHOR = 'lexical-matcher';
+
+// Terms weigh more than definitions and symptom descriptions
+const FIELD_WEIGHTS = {
+  term: 3,
+  coreTerm: 2,
+  definition: 1
+};
+
+// Words that carry no meaning for matching, folded to search keys
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'due', 'for', 'from', 'in', 'into', 'is',
+  'it', 'its', 'may', 'of', 'on', 'or', 'other', 'such', 'that', 'the', 'this', 'to', 'which', 'with',
+  'also', 'known', 'source', 'characterized', 'explained', 'resulting', 'designated', 'site',
+  'disorder', 'disorders', 'disease', 'diseases', 'condition', 'tm2', 'specified', 'unspecified'
+].map(toSearchKey));
+
+const BATCH_SIZE = 1000;
+
+/**
+ * Suggest ICD-11 TM2 targets for NAMASTE concepts with an offline lexical
+ * matcher and store them as proposed ConceptMap targets for review.
+ *
+ * NAMASTE concepts are described by their term (romanised to IAST) and
+ * definition from namaste_csv.csv; TM2 categories by their disease name,
+ * Core_Terms and Symptoms from final_icd_11.csv. All text is reduced to
+ * search keys (see src/utils/transliteration.js) and compared as TF-IDF
+ * vectors; the cosine similarity is the confidence. The top candidates of
+ * each concept scoring at least minScore are added to the NAMASTE to TM2
+ * ConceptMap as proposed targets with equivalence relatedto; links that
+ * already exist in any curation state are not proposed again. A JSON report
+ * is written to reportDir (default reports/); with dryRun only the report is
+ * written.
+ *
+ * Usage: node scripts/suggestTM2Mappings.js [--namaste=PATH] [--icd=PATH]
+ *          [--top=N] [--min-score=0.1] [--report-dir=PATH] [--dry-run]
+ */
+async function suggestTM2Mappings(options = {}) {
+  const {
+    namastePath = path.join(__dirname, '..', 'namaste_csv.csv'),
+    icdPath = path.join(__dirname, '..', 'final_icd_11.csv'),
+    top = 3,
+    minScore = 0.1,
+    reportDir = path.join(__dirname, '..', 'reports'),
+    dryRun = false
+  } = options;
+
+  try {
+    console.log('🔄 Suggesting NAMASTE to TM2 mappings...');
+
+    const sources = readNamasteDocuments(readCSV(namastePath));
+    const targets = readTM2Documents(readCSV(icdPath));
+    console.log(`📊 ${sources.length} NAMASTE concepts, ${targets.length} TM2 categories`);
+
+    const idf = buildIdf([...sources, ...targets]);
+    for (const document of [...sources, ...targets]) {
+      document.vector = toVector(document.tokens, idf);
+    }
+
+    const suggestions = sources
+      .map(source => ({ source, candidates: rankCandidates(source, targets, { top, minScore }) }))
+      .filter(suggestion => suggestion.candidates.length > 0);
+
+    const candidateCount = suggestions.reduce((sum, suggestion) => sum + suggestion.candidates.length, 0);
+    console.log(`🔎 ${candidateCount} candidates for ${suggestions.length} concepts`);
+
+    const stored = dryRun ? null : await storeSuggestions(suggestions);
+
+    const report = {
+      generatedAt: new Date().toISOString(),
+      dryRun,
+      top,
+      minScore,
+      summary: {
+        namasteConcepts: sources.length,
+        tm2Categories: targets.length,
+        conceptsWithCandidates: suggestions.length,
+        candidates: candidateCount,
+        ...stored
+      },
+      suggestions: suggestions.map(({ source, candidates }) => ({
+        code: source.code,
+        display: source.display,
+        candidates: candidates.map(candidate => ({
+          code: candidate.target.code,
+          display: candidate.target.display,
+          confidence: candidate.confidence,
+          matchedTerms: candidate.matchedTerms
+        }))
+      }))
+    };
+
+    fs.mkdirSync(reportDir, { recursive: true });
+    const reportPath = path.join(reportDir, `namaste-tm2-suggestions${dryRun ? '-dry-run' : ''}.json`);
+    fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
+
+    console.log('\n🎉 Mapping suggestion completed!');
+    if (stored) {
+      console.log(`✅ Proposed: ${stored.proposed} targets`);
+      console.log(`⏭️  Already mapped: ${stored.existing} targets`);
+      console.log(`⚠️  NAMASTE codes not loaded: ${stored.unknownCodes}`);
+    }
+    console.log(`📝 Report: ${reportPath}`);
+
+    return report;
+
+  } catch (error) {
+    console.error('❌ Mapping suggestion failed:', error.message);
+    process.exit(1);
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+/**
+ * Read the NAMASTE (Ayurveda) rows of namaste_csv.csv as documents
+ */
+function readNamasteDocuments(records) {
+  const [headers, ...rows] = records;
+  const column = name => headers.indexOf(name);
+  const codeColumn = column('NAMC_CODE');
+  const termColumn = column('NAMC_term_DEVANAGARI');
+  const systemColumn = column('System');
+  const term2Column = column('NAMC_TERM2');
+  const definitionColumn = column('Definition');
+
+  return rows
+    .filter(row => row[codeColumn] && row[systemColumn] !== 'Siddha')
+    .map(row => {
+      const term = row[termColumn];
+      return {
+        code: row[codeColumn],
+        display: term || row[term2Column] || row[codeColumn],
+        tokens: [
+          ...weigh(tokenize(devanagariToIast(term)), FIELD_WEIGHTS.term),
+          ...weigh(tokenize(row[term2Column]), FIELD_WEIGHTS.term),
+          ...weigh(tokenize(row[definitionColumn]), FIELD_WEIGHTS.definition)
+        ]
+      };
+    });
+}
+
+/**
+ * Read the TM2 categories of final_icd_11.csv as documents. Residual
+ * "other specified" (Y) and "unspecified" (Z) categories are left out; they
+ * are better expressed as a group.unmapped fallback.
+ */
+function readTM2Documents(records) {
+  return buildHierarchy(records.slice(1))
+    .filter(node => !node.grouping && !/[YZ]$/.test(node.code))
+    .map(node => ({
+      code: node.code,
+      display: node.display,
+      tokens: [
+        ...weigh(tokenize(node.display), FIELD_WEIGHTS.term),
+        ...weigh(node.terms.flatMap(tokenize), FIELD_WEIGHTS.coreTerm),
+        ...weigh(tokenize(node.definition), FIELD_WEIGHTS.definition)
+      ]
+    }));
+}
+
+/**
+ * Split text into search key tokens without stop words; plural and
+ * short tokens are folded or dropped
+ */
+function tokenize(text) {
+  if (!text) return [];
+
+  return toSearchKey(text)
+    .split(' ')
+    .map(token => (token.length > 4 && token.endsWith('s') ? token.slice(0, -1) : token))
+    .filter(token => token.length > 2 && !STOP_WORDS.has(token) && !/^\d+$/.test(token));
+}
+
+// Helper function to repeat the tokens of a field by its weight
+function weigh(tokens, weight) {
+  return tokens.flatMap(token => Array(weight).fill(token));
+}
+
+/**
+ * Inverse document frequency of every token over all documents
+ */
+function buildIdf(documents) {
+  const documentCounts = new Map();
+
+  for (const document of documents) {
+    for (const token of new Set(document.tokens)) {
+      documentCounts.set(token, (documentCounts.get(token) || 0) + 1);
+    }
+  }
+
+  const idf = new Map();
+  for (const [token, count] of documentCounts) {
+    idf.set(token, Math.log(documents.length / count));
+  }
+
+  return idf;
+}
+
+/**
+ * Build the unit length TF-IDF vector of a token list
+ */
+function toVector(tokens, idf) {
+  const vector = new Map();
+
+  for (const token of tokens) {
+    vector.set(token, (vector.get(token) || 0) + 1);
+  }
+
+  let norm = 0;
+  for (const [token, count] of vector) {
+    const weight = count * (idf.get(token) || 0);
+    vector.set(token, weight);
+    norm += weight * weight;
+  }
+
+  norm = Math.sqrt(norm);
+  for (const [token, weight] of vector) {
+    vector.set(token, norm > 0 ? weight / norm : 0);
+  }
+
+  return vector;
+}
+
+/**
+ * Score every target against a source document and keep the top candidates
+ * scoring at least minScore. matchedTerms lists the shared tokens that
+ * contributed most.
+ */
+function rankCandidates(source, targets, { top = 3, minScore = 0.1 } = {}) {
+  const candidates = [];
+
+  for (const target of targets) {
+    const contributions = [];
+    for (const [token, weight] of source.vector) {
+      const targetWeight = target.vector.get(token);
+      if (targetWeight) contributions.push([token, weight * targetWeight]);
+    }
+
+    const confidence = contributions.reduce((sum, [, value]) => sum + value, 0);
+    if (confidence < minScore) continue;
+
+    candidates.push({
+      target,
+      confidence: Math.round(confidence * 1000) / 1000,
+      matchedTerms: contributions
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, 5)
+        .map(([token]) => token)
+    });
+  }
+
+  return candidates
+    .sort((a, b) => b.confidence - a.confidence)
+    .slice(0, top);
+}
+
+/**
+ * Add the candidates as proposed targets to the NAMASTE to TM2 ConceptMap
+ */
+async function storeSuggestions(suggestions) {
+  const namasteSystem = await resolveCodeSystem(NAMASTE_URL);
+  if (!namasteSystem) {
+    throw new Error('NAMASTE CodeSystem not found, run the NAMASTE import first');
+  }
+
+  const conceptMap = await findConceptMap(CONCEPT_MAP_URL) || await prisma.conceptMap.create({
+    data: {
+      url: CONCEPT_MAP_URL,
+      name: 'namaste-to-icd11-tm2',
+      title: 'NAMASTE to ICD-11 TM2 Mapping',
+      status: 'active',
+      description: 'Mapping between NAMASTE and ICD-11 Traditional Medicine terminology',
+      sourceUri: NAMASTE_URL,
+      targetUri: ICD11_MMS_URL
+    }
+  });
+
+  const group = await prisma.conceptMapGroup.findFirst({
+    where: {
+      conceptMapId: conceptMap.id,
+      OR: [{ target: { in: getSystemAliases(ICD11_MMS_URL) } }, { target: null }]
+    }
+  }) || await prisma.conceptMapGroup.create({
+    data: { source: NAMASTE_URL, target: ICD11_MMS_URL, conceptMapId: conceptMap.id }
+  });
+
+  const elements = new Map();
+  for (const element of await prisma.conceptMapElement.findMany({
+    where: { groupId: group.id },
+    include: { targets: { select: { code: true } } }
+  })) {
+    elements.set(element.code, element);
+  }
+
+  const counts = { proposed: 0, existing: 0, unknownCodes: 0 };
+  const newTargets = [];
+
+  for (const { source, candidates } of suggestions) {
+    const concept = await findConceptByCode(namasteSystem.id, source.code);
+    if (!concept) {
+      counts.unknownCodes++;
+      continue;
+    }
+
+    let element = elements.get(concept.code);
+    if (!element) {
+      element = await prisma.conceptMapElement.create({
+        data: { code: concept.code, display: concept.display, groupId: group.id },
+        include: { targets: { select: { code: true } } }
+      });
+      elements.set(concept.code, element);
+    }
+
+    for (const candidate of candidates) {
+      // Links that exist in any curation state (including rejected) are not proposed again
+      if (element.targets.some(target => target.code === candidate.target.code)) {
+        counts.existing++;
+        continue;
+      }
+
+      newTargets.push({
+        code: candidate.target.code,
+        display: candidate.target.display,
+        equivalence: 'relatedto',
+        comment: `Lexical match on: ${candidate.matchedTerms.join(', ')}`,
+        confidence: candidate.confidence,
+        author: SUGGESTION_AUTHOR,
+        elementId: element.id
+      });
+    }
+  }
+
+  for (let i = 0; i < newTargets.length; i += BATCH_SIZE) {
+    await prisma.conceptMapTarget.createMany({ data: newTargets.slice(i, i + BATCH_SIZE) });
+  }
+  counts.proposed = newTargets.length;
+
+  return counts;
+}
+
+// Helper function to read a CSV file into records
+function readCSV(filePath) {
+  return parseCSV(fs.readFileSync(filePath, 'utf8').replace(/^\uFEFF/, ''));
+}
+
+// Helper function to read --name=value command line options
+function parseArgs(args) {
+  const options = {};
+
+  for (const arg of args) {
+    const [name, value] = arg.replace(/^--/, '').split('=');
+    if (name === 'dry-run') options.dryRun = true;
+    if (name === 'namaste') options.namastePath = value;
+    if (name === 'icd') options.icdPath = value;
+    if (name === 'top') options.top = parseInt(value);
+    if (name === 'min-score') options.minScore = parseFloat(value);
+    if (name === 'report-dir') options.reportDir = value;
+  }
+
+  return options;
+}
+
+// Run suggestion if this script is executed directly
+if (require.main === module) {
+  suggestTM2Mappings(parseArgs(process.argv.slice(2)));
+}
+
+module.exports = { suggestTM2Mappings, tokenize, buildIdf, toVector, rankCandidates };
@@ -0,0 +1,500 @@
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { PrismaClient } = require('@prisma/client');
+const { createIcdApiSource, getEntityPath } = require('../src/services/icdApiSource');
+const { resolveCodeSystem } = require('../src/services/codeSystemResolver');
+const { buildSearchKey } = require('../src/utils/transliteration');
+
+const prisma = new PrismaClient();
+
+const MMS_URL = 'http://id.who.int/icd/release/11/mms';
+
+const SYNONYM_USE = { system: 'http://terminology.hl7.org/CodeSystem/designation-usage', code: 'synonym' };
+
+// Concept properties owned by the sync; other stored properties are kept
+const SYNC_PROPERTIES = ['entityId', 'kind', 'notSelectable', 'useAdditionalCode'];
+
+const BATCH_SIZE = 1000;
+
+/**
+ * Synchronise the ICD-11 MMS CodeSystem with a release served by an ICD-API
+ * (e.g. the WHO ICD-API container on the hospital network) or read from a
+ * directory of downloaded ICD-API JSON, see src/services/icdApiSource.js.
+ *
+ * The release is compared with the latest stored version and loaded as a new
+ * CodeSystem version; the previous version is kept for pinned codings and
+ * marked retired. Entities missing from the release stay in the new version
+ * as inactive concepts, and recoded entities keep their old code as an
+ * inactive concept replaced by the new one. A JSON change report listing the
+ * added, changed and retired entities is written to ICD_SYNC_REPORT_DIR
+ * (default reports/). With dryRun only the report is written.
+ *
+ * Usage: node scripts/syncICD11Release.js [--base-url=URL | --dir=PATH]
+ *          [--release=ID] [--report-dir=PATH] [--dry-run]
+ */
+async function syncICD11Release(options = {}) {
+  try {
+    console.log('🔄 Starting ICD-11 release sync...');
+
+    const source = createIcdApiSource(options);
+    const release = await source.getRelease();
+    const releaseId = release.releaseId || options.releaseId;
+
+    if (!releaseId) {
+      throw new Error(`Could not detect the ICD-11 release id from ${source.description}`);
+    }
+
+    const loaded = await prisma.codeSystem.findFirst({
+      where: { url: MMS_URL, version: releaseId }
+    });
+
+    if (loaded) {
+      console.log(`✅ ICD-11 MMS release ${releaseId} is already loaded`);
+      return null;
+    }
+
+    const stored = await resolveCodeSystem(MMS_URL);
+
+    console.log(`📡 Reading ICD-11 MMS release ${releaseId} from ${source.description}...`);
+    const entities = await readReleaseEntities(source, release);
+    console.log(`📊 Read ${entities.length} entities`);
+
+    const storedConcepts = stored ? await prisma.codeSystemConcept.findMany({
+      where: { codeSystemId: stored.id },
+      include: {
+        designations: true,
+        parent: { select: { code: true } },
+        replacedBy: { select: { code: true } }
+      }
+    }) : [];
+
+    const diff = diffRelease(storedConcepts, entities);
+
+    if (!options.dryRun) {
+      await applyRelease(stored, release, releaseId, diff);
+    }
+
+    const report = buildReport(source, stored, release, releaseId, diff, options);
+    const reportPath = writeReport(report, options.reportDir);
+
+    console.log(`\n🎉 ICD-11 release sync ${options.dryRun ? 'dry run ' : ''}completed!`);
+    console.log(`📦 ${stored ? stored.version || '(unversioned)' : '(none)'} -> ${releaseId}`);
+    console.log(`➕ Added: ${report.summary.added}`);
+    console.log(`✏️  Changed: ${report.summary.changed}`);
+    console.log(`🗄️  Retired: ${report.summary.retired}`);
+    console.log(`📝 Change report: ${reportPath}`);
+
+    return report;
+
+  } catch (error) {
+    console.error('❌ ICD-11 release sync failed:', error.message);
+    if (error.response) {
+      console.error('Response status:', error.response.status);
+    }
+    process.exit(1);
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+/**
+ * Walk the release from its chapters down, parents before children
+ */
+async function readReleaseEntities(source, release) {
+  const entities = [];
+  const seenEntities = new Set();
+  const seenCodes = new Set();
+  const queue = (release.child || []).map(uri => ({ uri, parent: null }));
+
+  for (let i = 0; i < queue.length; i++) {
+    const { uri, parent } = queue[i];
+    const entityId = getEntityPath(uri);
+    if (seenEntities.has(entityId)) continue;
+    seenEntities.add(entityId);
+
+    const data = await source.getEntity(uri);
+    const entity = toReleaseEntity(entityId, data, parent);
+
+    if (seenCodes.has(entity.code)) {
+      console.log(`⚠️  Skipping entity ${entityId}: code ${entity.code} is already used`);
+      continue;
+    }
+    seenCodes.add(entity.code);
+    entities.push(entity);
+
+    for (const child of data.child || []) {
+      queue.push({ uri: child, parent: entity });
+    }
+
+    if (entities.length % 500 === 0) {
+      console.log(`📊 Read ${entities.length} entities...`);
+    }
+  }
+
+  // Instructions point at entities; codings name their codes
+  const codesByEntityId = new Map(entities.map(entity => [entity.entityId, entity.code]));
+  for (const entity of entities) {
+    entity.additionalCodes = entity.additionalEntityIds
+      .map(entityId => codesByEntityId.get(entityId))
+      .filter(Boolean);
+  }
+
+  return entities;
+}
+
+/**
+ * Compare the stored concepts with the release entities.
+ * Concepts are matched by their entityId property, then by code.
+ */
+function diffRelease(storedConcepts, entities) {
+  const byEntityId = new Map();
+  const byCode = new Map();
+
+  for (const concept of storedConcepts) {
+    byCode.set(concept.code, concept);
+    const entityId = getPropertyValue(concept, 'entityId');
+    if (entityId) byEntityId.set(entityId, concept);
+  }
+
+  const matched = new Set();
+  const added = [];
+  const changed = [];
+  const unchanged = [];
+
+  for (const entity of entities) {
+    const concept = byEntityId.get(entity.entityId) || byCode.get(entity.code);
+
+    if (!concept || matched.has(concept)) {
+      added.push(entity);
+      continue;
+    }
+
+    matched.add(concept);
+    entity.previous = concept;
+
+    const changes = compareConcept(concept, entity);
+    if (Object.keys(changes).length > 0) {
+      changed.push({ entity, changes });
+    } else {
+      unchanged.push(entity);
+    }
+  }
+
+  const retired = [
+    ...storedConcepts
+      .filter(concept => !matched.has(concept) && concept.status === 'active')
+      .map(concept => ({ concept, replacedBy: null })),
+    // Recoded entities keep their old code, replaced by the new one
+    ...changed
+      .filter(({ changes }) => changes.code)
+      .map(({ entity }) => ({ concept: entity.previous, replacedBy: entity.code }))
+  ];
+
+  // Concepts retired by earlier releases are carried over as they are
+  const carried = storedConcepts.filter(concept => !matched.has(concept) && concept.status !== 'active');
+
+  return { added, changed, unchanged, retired, carried };
+}
+
+/**
+ * List the differences between a stored concept and a release entity
+ */
+function compareConcept(concept, entity) {
+  const changes = {};
+  const compare = (field, from, to) => {
+    if ((from || null) !== (to || null)) changes[field] = { from: from || null, to: to || null };
+  };
+
+  compare('code', concept.code, entity.code);
+  compare('display', concept.display, entity.display);
+  compare('definition', concept.definition, entity.definition);
+  compare('parent', concept.parent?.code, entity.parentCode);
+  compare('kind', getPropertyValue(concept, 'kind') || 'category', entity.kind);
+  compare('status', concept.status, 'active');
+  compare('synonyms', getSynonyms(concept).sort().join('; '), [...entity.synonyms].sort().join('; '));
+
+  return changes;
+}
+
+/**
+ * Load the release as a new CodeSystem version and retire the previous one
+ */
+async function applyRelease(stored, release, releaseId, diff) {
+  const codeSystem = await prisma.codeSystem.create({
+    data: {
+      url: MMS_URL,
+      version: releaseId,
+      name: 'ICD-11',
+      title: 'International Classification of Diseases 11th Revision',
+      status: 'active',
+      date: release.releaseDate ? new Date(release.releaseDate) : new Date(),
+      publisher: 'World Health Organization',
+      description: `WHO International Classification of Diseases, 11th Revision (MMS release ${releaseId})`,
+      content: 'complete',
+      count: 0
+    }
+  });
+
+  try {
+    const conceptIds = new Map();
+    const entities = [...diff.unchanged, ...diff.changed.map(({ entity }) => entity), ...diff.added];
+    const releaseCodes = new Set(entities.map(entity => entity.code));
+
+    // Release entities, parents first so parentId always refers to a loaded concept
+    const rows = [];
+    const designations = [];
+
+    for (const entity of sortByDepth(entities)) {
+      const id = uuidv4();
+      conceptIds.set(entity.code, id);
+
+      rows.push({
+        id,
+        code: entity.code,
+        display: entity.display,
+        definition: entity.definition,
+        parentId: entity.parentCode ? conceptIds.get(entity.parentCode) : null,
+        properties: buildProperties(entity),
+        searchKey: buildSearchKey([entity.display, ...entity.synonyms]),
+        codeSystemId: codeSystem.id
+      });
+
+      designations.push(...entity.synonyms.map(value => ({
+        language: 'en',
+        value,
+        use: SYNONYM_USE,
+        conceptId: id
+      })));
+
+      // Curated designations (translations etc.) survive the sync
+      designations.push(...(entity.previous?.designations || [])
+        .filter(designation => designation.use?.code !== SYNONYM_USE.code)
+        .map(({ language, value, use }) => ({ language, value, use: use || undefined, conceptId: id })));
+    }
+
+    // Retired and previously retired concepts whose code is not reused
+    const retiredAt = new Date();
+    const leftovers = [
+      ...diff.retired.map(({ concept, replacedBy }) => ({ concept, replacedBy, status: 'inactive', retiredAt })),
+      ...diff.carried.map(concept => ({
+        concept,
+        replacedBy: concept.replacedBy?.code,
+        status: concept.status,
+        retiredAt: concept.retiredAt
+      }))
+    ].filter(({ concept }) => !releaseCodes.has(concept.code));
+
+    for (const leftover of leftovers) {
+      const { concept } = leftover;
+      leftover.id = uuidv4();
+      conceptIds.set(concept.code, leftover.id);
+
+      rows.push({
+        id: leftover.id,
+        code: concept.code,
+        display: concept.display,
+        definition: concept.definition,
+        status: leftover.status,
+        retiredAt: leftover.retiredAt,
+        properties: concept.properties || undefined,
+        searchKey: concept.searchKey,
+        codeSystemId: codeSystem.id
+      });
+
+      designations.push(...concept.designations.map(({ language, value, use }) => ({
+        language,
+        value,
+        use: use || undefined,
+        conceptId: leftover.id
+      })));
+    }
+
+    for (let i = 0; i < rows.length; i += BATCH_SIZE) {
+      await prisma.codeSystemConcept.createMany({ data: rows.slice(i, i + BATCH_SIZE) });
+      console.log(`📊 Loaded ${Math.min(i + BATCH_SIZE, rows.length)} of ${rows.length} concepts...`);
+    }
+
+    for (let i = 0; i < designations.length; i += BATCH_SIZE) {
+      await prisma.codeSystemDesignation.createMany({ data: designations.slice(i, i + BATCH_SIZE) });
+    }
+
+    // Link retired concepts once every concept of the version exists
+    for (const { id, concept, replacedBy } of leftovers) {
+      const parentId = concept.parent ? conceptIds.get(concept.parent.code) : null;
+      const replacedById = replacedBy ? conceptIds.get(replacedBy) : null;
+      if (!parentId && !replacedById) continue;
+
+      await prisma.codeSystemConcept.update({
+        where: { id },
+        data: { parentId, replacedById }
+      });
+    }
+
+    await prisma.codeSystem.update({
+      where: { id: codeSystem.id },
+      data: { count: rows.length }
+    });
+  } catch (error) {
+    // Do not leave a half-loaded release behind
+    await prisma.codeSystem.delete({ where: { id: codeSystem.id } });
+    throw error;
+  }
+
+  // Codings pinned to the previous version still resolve it by version
+  if (stored) {
+    await prisma.codeSystem.update({
+      where: { id: stored.id },
+      data: { status: 'retired' }
+    });
+  }
+
+  console.log(`✅ Loaded ICD-11 MMS release ${releaseId}`);
+  return codeSystem;
+}
+
+/**
+ * Build the change report of a sync
+ */
+function buildReport(source, stored, release, releaseId, diff, options) {
+  const summarise = entity => ({ entityId: entity.entityId, code: entity.code, display: entity.display });
+
+  return {
+    generatedAt: new Date().toISOString(),
+    source: source.description,
+    system: MMS_URL,
+    previousVersion: stored ? stored.version : null,
+    version: releaseId,
+    releaseDate: release.releaseDate || null,
+    applied: !options.dryRun,
+    summary: {
+      total: diff.added.length + diff.changed.length + diff.unchanged.length,
+      added: diff.added.length,
+      changed: diff.changed.length,
+      retired: diff.retired.length,
+      unchanged: diff.unchanged.length
+    },
+    added: diff.added.map(entity => ({ ...summarise(entity), kind: entity.kind })),
+    changed: diff.changed.map(({ entity, changes }) => ({ ...summarise(entity), changes })),
+    retired: diff.retired.map(({ concept, replacedBy }) => ({
+      entityId: getPropertyValue(concept, 'entityId'),
+      code: concept.code,
+      display: concept.display,
+      ...(replacedBy && { replacedBy })
+    }))
+  };
+}
+
+/**
+ * Write the change report as JSON and return its path
+ */
+function writeReport(report, reportDir = process.env.ICD_SYNC_REPORT_DIR || path.join(__dirname, '..', 'reports')) {
+  fs.mkdirSync(reportDir, { recursive: true });
+
+  const from = report.previousVersion || 'initial';
+  const fileName = `icd11-mms-${from}-to-${report.version}${report.applied ? '' : '-dry-run'}.json`;
+  const reportPath = path.join(reportDir, fileName);
+
+  fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
+  return reportPath;
+}
+
+// Helper function to read an ICD-API entity into the fields stored per concept
+function toReleaseEntity(entityId, data, parent) {
+  const synonyms = (data.synonym || [])
+    .map(synonym => getText(synonym.label || synonym))
+    .filter(Boolean);
+
+  return {
+    entityId,
+    // Chapters and blocks have no code; they are stored under their code range
+    code: data.code || data.codeRange || data.blockId || entityId,
+    display: getText(data.title),
+    definition: getText(data.definition),
+    kind: data.classKind || 'category',
+    parentCode: parent ? parent.code : null,
+    synonyms: [...new Set(synonyms)],
+    // Required postcoordination axes are "use additional code" instructions
+    additionalEntityIds: (data.postcoordinationScale || [])
+      .filter(scale => String(scale.requiredPostcoordination) === 'true')
+      .flatMap(scale => [].concat(scale.scaleEntity || []))
+      .filter(uri => /\/mms\//.test(uri))
+      .map(getEntityPath)
+  };
+}
+
+// Helper function to read an ICD-API language specific text
+function getText(value) {
+  if (!value) return null;
+  return typeof value === 'string' ? value : value['@value'] || null;
+}
+
+// Helper function to order entities so parents precede their children
+function sortByDepth(entities) {
+  const byCode = new Map(entities.map(entity => [entity.code, entity]));
+  const depths = new Map();
+  const depthOf = entity => {
+    if (!depths.has(entity.code)) {
+      const parent = entity.parentCode && byCode.get(entity.parentCode);
+      depths.set(entity.code, parent ? depthOf(parent) + 1 : 0);
+    }
+    return depths.get(entity.code);
+  };
+
+  return [...entities].sort((a, b) => depthOf(a) - depthOf(b));
+}
+
+// Helper function to build the properties of a release entity
+function buildProperties(entity) {
+  const kept = Array.isArray(entity.previous?.properties)
+    ? entity.previous.properties.filter(property => !SYNC_PROPERTIES.includes(property.code))
+    : [];
+
+  return [
+    { code: 'entityId', valueString: entity.entityId },
+    ...(entity.kind !== 'category' ? [
+      { code: 'kind', valueCode: entity.kind },
+      { code: 'notSelectable', valueBoolean: true }
+    ] : []),
+    ...(entity.additionalCodes || []).map(code => ({ code: 'useAdditionalCode', valueCode: code })),
+    ...kept
+  ];
+}
+
+// Helper function to read a concept property value
+function getPropertyValue(concept, code) {
+  const property = Array.isArray(concept.properties)
+    ? concept.properties.find(p => p.code === code)
+    : null;
+  return property ? property.valueCode || property.valueString : null;
+}
+
+// Helper function to list the synonym designations of a stored concept
+function getSynonyms(concept) {
+  return concept.designations
+    .filter(designation => designation.use?.code === SYNONYM_USE.code)
+    .map(designation => designation.value);
+}
+
+// Helper function to read --name=value command line options
+function parseArgs(args) {
+  const options = {};
+
+  for (const arg of args) {
+    const [name, value] = arg.replace(/^--/, '').split('=');
+    if (name === 'dry-run') options.dryRun = true;
+    if (name === 'base-url') options.baseUrl = value;
+    if (name === 'dir') options.dir = value;
+    if (name === 'release') options.releaseId = value;
+    if (name === 'report-dir') options.reportDir = value;
+  }
+
+  return options;
+}
+
+// Run sync if this script is executed directly
+if (require.main === module) {
+  syncICD11Release(parseArgs(process.argv.slice(2)));
+}
+
+module.exports = { syncICD11Release };
@@ -7,7 +7,9 @@ const compression = require('compression');
 
 // Import routes
 const codeSystemRoutes = require('./routes/codeSystem');
+const codeSystemConceptRoutes = require('./routes/codeSystemConcept');
 const conceptMapRoutes = require('./routes/conceptMap');
+const namingSystemRoutes = require('./routes/namingSystem');
 const valueSetRoutes = require('./routes/valueSet');
 const conditionRoutes = require('./routes/condition');
 const patientRoutes = require('./routes/patient');
@@ -108,6 +110,21 @@ app.get('/fhir/metadata', (req, res) => {
             { name: 'status', type: 'token' }
           ]
         },
+        {
+          type: 'NamingSystem',
+          interaction: [
+            { code: 'read' },
+            { code: 'search-type' }
+          ],
+          searchParam: [
+            { name: 'value', type: 'string' },
+            { name: 'name', type: 'string' },
+            { name: 'kind', type: 'token' }
+          ],
+          operation: [
+            { name: 'preferred-id', definition: 'http://hl7.org/fhir/OperationDefinition/NamingSystem-preferred-id' }
+          ]
+        },
         {
           type: 'ValueSet',
           interaction: [
@@ -163,7 +180,9 @@ app.get('/fhir/metadata', (req, res) => {
 
 // API Routes
 app.use('/fhir/CodeSystem', codeSystemRoutes);
+app.use('/fhir/CodeSystem/:codeSystemId/concept', codeSystemConceptRoutes);
 app.use('/fhir/ConceptMap', conceptMapRoutes);
+app.use('/fhir/NamingSystem', namingSystemRoutes);
 app.use('/fhir/ValueSet', valueSetRoutes);
 app.use('/fhir/Condition', conditionRoutes);
 app.use('/fhir/Patient', patientRoutes);
@@ -26,6 +26,20 @@ const authenticateToken = async (req, res, next) => {
     // Verify JWT token
     const decoded = jwt.verify(token, process.env.JWT_SECRET || 'default-secret-key');
 
+    // Writes are attributed to the user id, so tokens must carry one
+    if (!decoded.userId) {
+      return res.status(401).json({
+        resourceType: 'OperationOutcome',
+        issue: [{
+          severity: 'error',
+          code: 'login',
+          details: {
+            text: 'Authorization token carries no user id'
+          }
+        }]
+      });
+    }
+
     // Attach user context to request
     req.user = {
       id: decoded.userId,
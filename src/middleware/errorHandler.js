@@ -52,10 +52,10 @@ const errorHandler = (err, req, res, next) => {
     errorMessage = err.message;
   }
 
-  // Return FHIR OperationOutcome
+  // Return FHIR OperationOutcome (errors may carry their own issues)
   res.status(statusCode).json({
     resourceType: 'OperationOutcome',
-    issue: [{
+    issue: err.issues || [{
       severity: 'error',
       code: errorCode,
       details: {
@@ -109,10 +109,28 @@ class ValidationError extends Error {
   }
 }
 
+/**
+ * Business rule violation error class (coding rules, ConceptMap
+ * integrity), carries the OperationOutcome issues
+ */
+class BusinessRuleError extends Error {
+  constructor(issues) {
+    super(issues
+      .filter(issue => ['fatal', 'error'].includes(issue.severity))
+      .map(issue => issue.details.text)
+      .join('; '));
+    this.name = 'BusinessRuleError';
+    this.statusCode = 422;
+    this.code = 'business-rule';
+    this.issues = issues;
+  }
+}
+
 module.exports = {
   errorHandler,
   asyncHandler,
   FHIRValidationError,
   NotFoundError,
-  ValidationError
+  ValidationError,
+  BusinessRuleError
 };
@@ -26,9 +26,11 @@ const requestLogger = (req, res, next) => {
  * FHIR request validation middleware
  */
 const validateFHIRRequest = (req, res, next) => {
-  // Check Accept header for FHIR content
+  // Check Accept header for FHIR content; $export also serves spreadsheets
   const accept = req.get('Accept');
-  if (accept && !accept.includes('application/fhir+json') && !accept.includes('application/json')) {
+  const acceptable = ['application/fhir+json', 'application/json',
+    ...(req.path.endsWith('/$export') ? ['text/csv', 'text/tab-separated-values'] : [])];
+  if (accept && !acceptable.some(type => accept.includes(type))) {
     return res.status(406).json({
       resourceType: 'OperationOutcome',
       issue: [{
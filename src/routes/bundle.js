@@ -2,6 +2,9 @@ const express = require('express');
 const { asyncHandler, ValidationError } = require('../middleware/errorHandler');
 const { validateFHIRRequest } = require('../middleware/requestLogger');
 const { authenticateApiKey, authorizeAccess, auditLog } = require('../middleware/auth');
+const { annotateClusterCodings } = require('../services/icdCluster');
+const { enforceCodingRules, hasWarnings } = require('../services/codingRules');
+const { ICD11_MMS_URL, canonicalizeCodeableConcept } = require('../utils/systemAlias');
 const { PrismaClient } = require('@prisma/client');
 
 const router = express.Router();
@@ -174,24 +177,31 @@ async function createCondition(conditionData) {
     throw new ValidationError(`Patient ${patientId} not found`);
   }
 
-  // Validate dual-coding: should have both NAMASTE and ICD-11 codes
-  const namasteCoding = conditionData.code.coding.find(c =>
-    c.system === 'https://ayush.gov.in/fhir/CodeSystem/namaste'
-  );
+  // Codings under alias system URLs are stored under the canonical URL
+  const canonicalCode = canonicalizeCodeableConcept(conditionData.code);
 
-  const icd11Coding = conditionData.code.coding.find(c =>
-    c.system === 'http://id.who.int/icd/release/11/mms' ||
-    c.system === 'http://id.who.int/icd/release/11/2022'
+  // Validate dual-coding: should have both NAMASTE (or Siddha) and ICD-11 codes
+  const namasteCoding = canonicalCode.coding.find(c =>
+    c.system === 'https://ayush.gov.in/fhir/CodeSystem/namaste' ||
+    c.system === 'https://ayush.gov.in/fhir/CodeSystem/siddha'
   );
 
+  const icd11Coding = canonicalCode.coding.find(c => c.system === ICD11_MMS_URL);
+
   if (!namasteCoding) {
-    throw new ValidationError('Condition must include NAMASTE coding for dual-coding');
+    throw new ValidationError('Condition must include NAMASTE or Siddha coding for dual-coding');
   }
 
   if (!icd11Coding) {
     throw new ValidationError('Condition must include ICD-11 coding for dual-coding');
   }
 
+  // Validate ICD-11 cluster expressions and keep their stem and extension codes
+  const code = await annotateClusterCodings(canonicalCode);
+
+  // Enforce ICD-11 coding rules; warnings are returned with the entry
+  const outcome = await enforceCodingRules(code);
+
   // Create Condition
   const condition = await prisma.condition.create({
     data: {
@@ -199,7 +209,7 @@ async function createCondition(conditionData) {
       verificationStatus: conditionData.verificationStatus || { coding: [{ system: 'http://terminology.hl7.org/CodeSystem/condition-ver-status', code: 'confirmed' }] },
       category: conditionData.category || [{ coding: [{ system: 'http://terminology.hl7.org/CodeSystem/condition-category', code: 'problem-list-item' }] }],
       severity: conditionData.severity,
-      code: conditionData.code,
+      code,
       bodySite: conditionData.bodySite || [],
       subjectId: patientId,
       encounterId: conditionData.encounter?.reference?.replace('Encounter/', ''),
@@ -225,7 +235,7 @@ async function createCondition(conditionData) {
       verificationStatus: condition.verificationStatus,
       category: condition.category,
       severity: condition.severity,
-      code: condition.code,
+      code: canonicalizeCodeableConcept(condition.code),
       bodySite: condition.bodySite,
       subject: {
         reference: `Patient/${condition.subjectId}`,
@@ -237,7 +247,8 @@ async function createCondition(conditionData) {
       onsetDateTime: condition.onsetDateTime?.toISOString(),
       recordedDate: condition.recordedDate?.toISOString()
     },
-    status: '201'
+    status: '201',
+    ...(hasWarnings(outcome) && { outcome })
   };
 }
 
@@ -371,6 +382,9 @@ async function updateCondition(id, conditionData) {
     patientId = conditionData.subject.reference.replace('Patient/', '');
   }
 
+  const code = await annotateClusterCodings(canonicalizeCodeableConcept(conditionData.code));
+  const outcome = code ? await enforceCodingRules(code) : null;
+
   const updatedCondition = await prisma.condition.update({
     where: { id },
     data: {
@@ -378,7 +392,7 @@ async function updateCondition(id, conditionData) {
       verificationStatus: conditionData.verificationStatus,
       category: conditionData.category,
       severity: conditionData.severity,
-      code: conditionData.code,
+      code,
       bodySite: conditionData.bodySite,
       subjectId: patientId,
       encounterId: conditionData.encounter?.reference?.replace('Encounter/', ''),
@@ -416,7 +430,8 @@ async function updateCondition(id, conditionData) {
       onsetDateTime: updatedCondition.onsetDateTime?.toISOString(),
       recordedDate: updatedCondition.recordedDate?.toISOString()
     },
-    status: '200'
+    status: '200',
+    ...(hasWarnings(outcome) && { outcome })
   };
 }
 
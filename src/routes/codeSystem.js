@@ -2,11 +2,24 @@ const express = require('express');
 const { asyncHandler, NotFoundError, ValidationError } = require('../middleware/errorHandler');
 const { validateFHIRRequest } = require('../middleware/requestLogger');
 const { authenticateApiKey, authorizeAccess, auditLog } = require('../middleware/auth');
+const { getOperationParameters, toCoding } = require('../utils/parameters');
+const { hasDevanagari, devanagariToIast, toSearchKey, buildSearchKey } = require('../utils/transliteration');
+const { getRequestedLanguages, localizeConcept } = require('../utils/language');
+const { getSubsumptionOutcome } = require('../services/conceptHierarchy');
+const { resolveCodeSystem } = require('../services/codeSystemResolver');
+const { findConceptByCode } = require('../services/conceptAlias');
+const { REPLACED_BY_INCLUDE, isRetired, getRetirementMessage, getLifecycleProperties } = require('../services/conceptLifecycle');
+const { validateClusterExpression } = require('../services/icdCluster');
+const { isClusterExpression } = require('../utils/icdCluster');
+const { getCanonicalSystem, getSystemAliases, isSameSystem } = require('../utils/systemAlias');
 const { PrismaClient } = require('@prisma/client');
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
+// Number of concepts read per query when streaming a CodeSystem export
+const EXPORT_BATCH_SIZE = 500;
+
 // Apply FHIR validation to all routes
 router.use(validateFHIRRequest);
 
@@ -25,7 +38,7 @@ router.get('/', asyncHandler(async (req, res) => {
 
   const where = {};
 
-  if (url) where.url = url;
+  if (url) where.url = { in: getSystemAliases(url) };
   if (version) where.version = version;
   if (name) where.name = { contains: name, mode: 'insensitive' };
   if (status) where.status = status;
@@ -90,22 +103,192 @@ router.get('/', asyncHandler(async (req, res) => {
   res.json(bundle);
 }));
 
+/**
+ * GET/POST /fhir/CodeSystem/$subsumes - Test subsumption between two codes
+ * The CodeSystem is identified by the system (and optional version) parameter
+ */
+router.get('/$subsumes', asyncHandler(async (req, res) => {
+  res.json(await subsumes(null, getOperationParameters(req)));
+}));
+
+router.post('/$subsumes', asyncHandler(async (req, res) => {
+  res.json(await subsumes(null, getOperationParameters(req)));
+}));
+
+/**
+ * GET/POST /fhir/CodeSystem/$lookup - Lookup a code by system URL
+ * Accepts code + system (+ version) or a coding parameter. The display is
+ * chosen by displayLanguage or the Accept-Language header.
+ */
+router.get('/$lookup', asyncHandler(async (req, res) => {
+  const params = getOperationParameters(req);
+  res.json(await lookupBySystem(params, getRequestedLanguages(req, params.displayLanguage)));
+}));
+
+router.post('/$lookup', asyncHandler(async (req, res) => {
+  const params = getOperationParameters(req);
+  res.json(await lookupBySystem(params, getRequestedLanguages(req, params.displayLanguage)));
+}));
+
+/**
+ * GET/POST /fhir/CodeSystem/$validate-code - Validate a code by system URL
+ * Accepts code + system (+ version), a coding or a codeableConcept parameter
+ */
+router.get('/$validate-code', asyncHandler(async (req, res) => {
+  res.json(await validateCodeBySystem(getOperationParameters(req)));
+}));
+
+router.post('/$validate-code', asyncHandler(async (req, res) => {
+  res.json(await validateCodeBySystem(getOperationParameters(req)));
+}));
+
+/**
+ * GET /fhir/CodeSystem/$autocomplete - Auto-complete search for codes
+ * Displays follow displayLanguage or the Accept-Language header
+ */
+router.get('/$autocomplete', asyncHandler(async (req, res) => {
+  const {
+    system,
+    version,
+    search,
+    limit = 10,
+    includeDesignations = true,
+    includeInactive = 'false',
+    displayLanguage
+  } = req.query;
+
+  const languages = getRequestedLanguages(req, displayLanguage);
+
+  if (!system) {
+    throw new ValidationError('system parameter is required');
+  }
+
+  if (!search || search.length < 2) {
+    throw new ValidationError('search parameter must be at least 2 characters');
+  }
+
+  // Devanagari, IAST and simplified Latin queries share one search key
+  const searchKey = toSearchKey(search);
+
+  // Find the CodeSystem (latest active version unless one is requested)
+  const codeSystem = await resolveCodeSystem(system, version, {
+    include: {
+      concepts: {
+        where: {
+          // Retired concepts are hidden unless explicitly requested
+          ...(includeInactive !== 'true' && { status: 'active' }),
+          OR: [
+            { code: { contains: search, mode: 'insensitive' } },
+            { display: { contains: search, mode: 'insensitive' } },
+            ...(searchKey ? [{ searchKey: { contains: searchKey } }] : []),
+            ...(includeDesignations ? [{
+              designations: {
+                some: {
+                  value: { contains: search, mode: 'insensitive' }
+                }
+              }
+            }] : [])
+          ]
+        },
+        include: {
+          // Designations are needed to choose the display language
+          designations: includeDesignations || languages.length > 0
+        },
+        take: parseInt(limit),
+        orderBy: [
+          { display: 'asc' },
+          { code: 'asc' }
+        ]
+      }
+    }
+  });
+
+  if (!codeSystem) {
+    throw new NotFoundError('CodeSystem', version ? `${system}|${version}` : system);
+  }
+
+  // Format results
+  const results = codeSystem.concepts.map(concept => {
+    const localized = localizeConcept(concept, languages);
+
+    return {
+      code: concept.code,
+      display: localized.display,
+      system: getCanonicalSystem(codeSystem.url),
+      version: codeSystem.version,
+      ...(includeDesignations && localized.designations.length > 0 && {
+        designation: localized.designations.map(d => ({
+          language: d.language,
+          value: d.value,
+          use: d.use
+        }))
+      })
+    };
+  });
+
+  res.json({
+    resourceType: 'Parameters',
+    parameter: [
+      {
+        name: 'result',
+        valueBoolean: results.length > 0
+      },
+      {
+        name: 'matches',
+        valueInteger: results.length
+      },
+      ...results.map((result, index) => ({
+        name: 'match',
+        part: [
+          {
+            name: 'index',
+            valueInteger: index
+          },
+          {
+            name: 'code',
+            valueCoding: {
+              system: result.system,
+              code: result.code,
+              display: result.display,
+              version: result.version
+            }
+          },
+          ...(result.designation ? [{
+            name: 'designation',
+            valueString: result.designation.map(d => d.language ? `${d.language}: ${d.value}` : d.value).join('; ')
+          }] : [])
+        ]
+      }))
+    ]
+  });
+}));
+
 /**
  * GET /fhir/CodeSystem/:id - Read CodeSystem by ID
+ * Supports _summary=true and _elements=a,b,c; concepts are only loaded when
+ * they are part of the requested elements. Use /:id/concept for paged
+ * concept listings and /:id/$export for a streamed full export.
  */
 router.get('/:id', asyncHandler(async (req, res) => {
   const { id } = req.params;
+  const { _summary, _elements } = req.query;
+
+  const elements = _elements ? _elements.split(',').map(e => e.trim()).filter(Boolean) : null;
+  const summary = _summary === 'true';
+  const includeConcepts = !summary && (!elements || elements.includes('concept'));
 
   const codeSystem = await prisma.codeSystem.findUnique({
     where: { id },
     include: {
-      concepts: {
-        include: {
-          designations: true,
-          children: true,
-          parent: true
+      ...(includeConcepts && {
+        concepts: {
+          include: {
+            designations: true,
+            children: true,
+            parent: true
+          }
         }
-      },
+      }),
       _count: {
         select: { concepts: true }
       }
@@ -135,18 +318,25 @@ router.get('/:id', asyncHandler(async (req, res) => {
     caseSensitive: codeSystem.caseSensitive,
     compositional: codeSystem.compositional,
     versionNeeded: codeSystem.versionNeeded,
-    concept: codeSystem.concepts.map(concept => ({
-      code: concept.code,
-      display: concept.display,
-      definition: concept.definition,
-      designation: concept.designations.map(d => ({
-        language: d.language,
-        use: d.use,
-        value: d.value
+    ...(includeConcepts && {
+      concept: codeSystem.concepts.map(concept => ({
+        code: concept.code,
+        display: concept.display,
+        definition: concept.definition,
+        designation: concept.designations.map(d => ({
+          language: d.language,
+          use: d.use,
+          value: d.value
+        }))
       }))
-    }))
+    })
   };
 
+  if (summary || elements) {
+    res.json(markSubsetted(elements ? selectElements(fhirCodeSystem, elements) : fhirCodeSystem));
+    return;
+  }
+
   res.json(fhirCodeSystem);
 }));
 
@@ -161,19 +351,27 @@ router.post('/', authenticateApiKey, authorizeAccess(['write']), auditLog('CREAT
     throw new ValidationError('CodeSystem.url is required');
   }
 
-  // Check if CodeSystem with this URL already exists
-  const existing = await prisma.codeSystem.findUnique({
-    where: { url: codeSystemData.url }
+  // CodeSystems are stored under the canonical URL of their terminology
+  const url = getCanonicalSystem(codeSystemData.url);
+
+  // Check if this version of the CodeSystem already exists
+  const existing = await prisma.codeSystem.findFirst({
+    where: {
+      url,
+      version: codeSystemData.version ?? null
+    }
   });
 
   if (existing) {
-    throw new ValidationError(`CodeSystem with URL ${codeSystemData.url} already exists`);
+    throw new ValidationError(
+      `CodeSystem with URL ${url}${codeSystemData.version ? ` and version ${codeSystemData.version}` : ''} already exists`
+    );
   }
 
   // Create CodeSystem
   const codeSystem = await prisma.codeSystem.create({
     data: {
-      url: codeSystemData.url,
+      url,
       version: codeSystemData.version,
       name: codeSystemData.name,
       title: codeSystemData.title,
@@ -353,49 +551,355 @@ router.delete('/:id', authenticateApiKey, authorizeAccess(['write']), auditLog('
  * POST /fhir/CodeSystem/:id/$lookup - Lookup code in CodeSystem
  */
 router.post('/:id/$lookup', asyncHandler(async (req, res) => {
-  const { id } = req.params;
-  const { code, system, version, display, property } = req.body.parameter?.reduce((acc, param) => {
-    acc[param.name] = param.valueCode || param.valueString || param.valueUri;
-    return acc;
-  }, {}) || {};
+  const params = getOperationParameters(req);
+  const coding = toCoding(params.coding) || { code: params.code };
 
-  if (!code) {
+  if (!coding.code) {
     throw new ValidationError('code parameter is required');
   }
 
-  // Find the CodeSystem
+  const codeSystem = await findCodeSystem(req.params.id);
+
+  res.json(await lookup(codeSystem, coding.code, params.property, getRequestedLanguages(req, params.displayLanguage)));
+}));
+
+/**
+ * POST /fhir/CodeSystem/:id/$validate-code - Validate code in CodeSystem
+ */
+router.post('/:id/$validate-code', asyncHandler(async (req, res) => {
+  const params = getOperationParameters(req);
+  const codings = getCodingsToValidate(params);
+
+  const codeSystem = await findCodeSystem(req.params.id);
+
+  res.json(await validateCode(codeSystem, codings, params.display));
+}));
+
+
+/**
+ * GET/POST /fhir/CodeSystem/:id/$subsumes - Test subsumption between two codes
+ */
+router.get('/:id/$subsumes', asyncHandler(async (req, res) => {
+  res.json(await subsumes(req.params.id, getOperationParameters(req)));
+}));
+
+router.post('/:id/$subsumes', asyncHandler(async (req, res) => {
+  res.json(await subsumes(req.params.id, getOperationParameters(req)));
+}));
+
+/**
+ * GET /fhir/CodeSystem/:id/$export - Stream the complete CodeSystem as JSON
+ * Concepts are read in keyset-paged batches and written as they arrive, so
+ * the whole terminology is never held in memory. Concepts are emitted as a
+ * flat list with their parent as a property.
+ */
+router.get('/:id/$export', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const batchSize = Math.min(parseInt(req.query.batchSize) || EXPORT_BATCH_SIZE, 5000);
+
   const codeSystem = await prisma.codeSystem.findUnique({
     where: { id },
     include: {
-      concepts: {
-        where: { code },
+      _count: {
+        select: { concepts: true }
+      }
+    }
+  });
+
+  if (!codeSystem) {
+    throw new NotFoundError('CodeSystem', id);
+  }
+
+  const header = {
+    resourceType: 'CodeSystem',
+    id: codeSystem.id,
+    url: codeSystem.url,
+    version: codeSystem.version,
+    name: codeSystem.name,
+    title: codeSystem.title,
+    status: codeSystem.status,
+    experimental: codeSystem.experimental,
+    date: codeSystem.date?.toISOString(),
+    publisher: codeSystem.publisher,
+    description: codeSystem.description,
+    content: codeSystem.content,
+    supplements: codeSystem.supplements,
+    count: codeSystem._count.concepts,
+    caseSensitive: codeSystem.caseSensitive,
+    compositional: codeSystem.compositional,
+    versionNeeded: codeSystem.versionNeeded,
+    hierarchyMeaning: 'is-a'
+  };
+
+  res.status(200);
+  res.type('application/fhir+json');
+  res.setHeader('Content-Disposition', `attachment; filename="${codeSystem.name || codeSystem.id}.json"`);
+
+  // Write the resource header, leaving the concept array open
+  const headerJson = JSON.stringify(header);
+  await writeChunk(res, `${headerJson.slice(0, -1)},"concept":[`);
+
+  try {
+    let cursor = null;
+    let first = true;
+
+    while (!res.destroyed) {
+      const concepts = await prisma.codeSystemConcept.findMany({
+        where: { codeSystemId: id },
         include: {
           designations: true,
-          parent: true,
-          children: true
-        }
-      }
+          parent: { select: { code: true } }
+        },
+        orderBy: { id: 'asc' },
+        take: batchSize,
+        ...(cursor && { cursor: { id: cursor }, skip: 1 })
+      });
+
+      if (concepts.length === 0) break;
+
+      const chunk = concepts.map(concept => JSON.stringify({
+        code: concept.code,
+        display: concept.display,
+        definition: concept.definition,
+        designation: concept.designations.map(d => ({
+          language: d.language,
+          use: d.use,
+          value: d.value
+        })),
+        property: [
+          ...(concept.parent ? [{ code: 'parent', valueCode: concept.parent.code }] : []),
+          { code: 'status', valueCode: concept.status }
+        ]
+      })).join(',');
+
+      await writeChunk(res, (first ? '' : ',') + chunk);
+      first = false;
+
+      cursor = concepts[concepts.length - 1].id;
+      if (concepts.length < batchSize) break;
+    }
+
+    res.end(']}');
+  } catch (error) {
+    // Headers are already sent, so the only option is to abort the stream
+    console.error('CodeSystem export failed:', error);
+    res.destroy(error);
+  }
+}));
+
+/**
+ * Helper function to keep only the requested top-level elements of a resource
+ * (mandatory elements resourceType and id are always kept)
+ */
+function selectElements(resource, elements) {
+  const selected = {
+    resourceType: resource.resourceType,
+    id: resource.id
+  };
+
+  for (const element of elements) {
+    if (resource[element] !== undefined) {
+      selected[element] = resource[element];
+    }
+  }
+
+  return selected;
+}
+
+/**
+ * Helper function to tag a summarised resource as SUBSETTED
+ */
+function markSubsetted(resource) {
+  return {
+    ...resource,
+    meta: {
+      ...resource.meta,
+      tag: [{
+        system: 'http://terminology.hl7.org/CodeSystem/v3-ObservationValue',
+        code: 'SUBSETTED',
+        display: 'subsetted'
+      }]
     }
+  };
+}
+
+/**
+ * Helper function to write to a streamed response, honouring backpressure
+ */
+function writeChunk(res, chunk) {
+  if (res.write(chunk)) {
+    return Promise.resolve();
+  }
+  return new Promise(resolve => {
+    res.once('drain', resolve);
+    res.once('close', resolve);
+  });
+}
+
+/**
+ * Helper function to load a CodeSystem by id
+ */
+async function findCodeSystem(id) {
+  const codeSystem = await prisma.codeSystem.findUnique({
+    where: { id }
   });
 
   if (!codeSystem) {
     throw new NotFoundError('CodeSystem', id);
   }
 
-  // Find the concept
-  const concept = codeSystem.concepts[0];
+  return codeSystem;
+}
+
+/**
+ * Helper function to resolve a CodeSystem from its canonical URL and
+ * optional version, for type-level operations
+ */
+async function findCodeSystemBySystem(system, version) {
+  if (!system) {
+    throw new ValidationError('system parameter is required');
+  }
+
+  const codeSystem = await resolveCodeSystem(system, version);
+
+  if (!codeSystem) {
+    throw new NotFoundError('CodeSystem', version ? `${system}|${version}` : system);
+  }
+
+  return codeSystem;
+}
+
+/**
+ * Helper function to collect the codings to validate from $validate-code
+ * parameters (code/system/version, coding or codeableConcept)
+ */
+function getCodingsToValidate(params) {
+  let codings;
+
+  if (params.codeableConcept) {
+    codings = params.codeableConcept.coding || [];
+  } else if (params.coding) {
+    codings = [toCoding(params.coding)];
+  } else {
+    codings = [{ code: params.code, system: params.system, version: params.version }];
+  }
+
+  codings = codings.filter(coding => coding && coding.code);
+
+  if (codings.length === 0) {
+    throw new ValidationError('code, coding or codeableConcept parameter is required');
+  }
+
+  return codings;
+}
+
+/**
+ * Helper function for type-level $lookup
+ */
+async function lookupBySystem(params, languages = []) {
+  const coding = toCoding(params.coding) || { code: params.code, system: params.system };
+
+  if (!coding.code) {
+    throw new ValidationError('code parameter is required');
+  }
+
+  const codeSystem = await findCodeSystemBySystem(
+    coding.system || params.system,
+    coding.version || params.version
+  );
+
+  return lookup(codeSystem, coding.code, params.property, languages);
+}
+
+/**
+ * Helper function for type-level $validate-code
+ * A codeableConcept is valid when any of its codings is valid
+ */
+async function validateCodeBySystem(params) {
+  const codings = getCodingsToValidate(params);
+  let firstResult = null;
+
+  for (const coding of codings) {
+    const system = coding.system || params.system || params.url;
+    const version = coding.version || params.version;
+
+    // Codings recorded with a version the server does not have (e.g. the
+    // 1.0 once filled in for unversioned releases) are validated against
+    // the latest release, with a message naming the release used
+    const versioned = version && await resolveCodeSystem(system, version);
+    const codeSystem = versioned || await resolveCodeSystem(system);
+
+    if (!codeSystem) {
+      if (!firstResult) {
+        firstResult = {
+          resourceType: 'Parameters',
+          parameter: [
+            { name: 'result', valueBoolean: false },
+            { name: 'code', valueCode: coding.code },
+            ...(system ? [{ name: 'system', valueUri: system }] : []),
+            {
+              name: 'message',
+              valueString: system
+                ? `CodeSystem '${system}' is not known to this server`
+                : `No system provided for code '${coding.code}'`
+            }
+          ]
+        };
+      }
+      continue;
+    }
+
+    const result = await validateCode(codeSystem, [coding], coding.display || params.display);
+    if (version && !versioned) {
+      result.parameter.push({
+        name: 'message',
+        valueString: `CodeSystem '${system}' version '${version}' is not known to this server; ` +
+          `validated against ${codeSystem.version ? `version '${codeSystem.version}'` : 'the latest release'}`
+      });
+    }
+    if (result.parameter[0].valueBoolean) {
+      return result;
+    }
+    if (!firstResult) {
+      firstResult = result;
+    }
+  }
+
+  return firstResult;
+}
+
+/**
+ * Helper function to build the $lookup response for a code in a CodeSystem
+ * languages is the ordered display language preference, see utils/language.js
+ */
+async function lookup(codeSystem, code, property, languages = []) {
+  const concept = await findConceptByCode(codeSystem.id, code, {
+    include: {
+      designations: true,
+      parent: true,
+      children: true,
+      replacedBy: REPLACED_BY_INCLUDE
+    }
+  });
 
   if (!concept) {
+    // Postcoordinated ICD-11 codes are decomposed into their components
+    if (isClusterExpression(code)) {
+      return lookupCluster(codeSystem, code);
+    }
+
     // Return not found
-    return res.json({
+    return {
       resourceType: 'Parameters',
       parameter: [{
         name: 'result',
         valueBoolean: false
       }]
-    });
+    };
   }
 
+  const localized = localizeConcept(concept, languages);
+
   // Build response parameters
   const parameters = [
     {
@@ -406,13 +910,13 @@ router.post('/:id/$lookup', asyncHandler(async (req, res) => {
       name: 'name',
       valueString: codeSystem.name
     },
-    {
+    ...(codeSystem.version ? [{
       name: 'version',
-      valueString: codeSystem.version || '1.0'
-    },
+      valueString: codeSystem.version
+    }] : []),
     {
       name: 'display',
-      valueString: concept.display
+      valueString: localized.display
     },
     {
       name: 'code',
@@ -420,7 +924,7 @@ router.post('/:id/$lookup', asyncHandler(async (req, res) => {
     },
     {
       name: 'system',
-      valueUri: codeSystem.url
+      valueUri: getCanonicalSystem(codeSystem.url)
     }
   ];
 
@@ -432,15 +936,15 @@ router.post('/:id/$lookup', asyncHandler(async (req, res) => {
     });
   }
 
-  // Add designations
-  concept.designations.forEach((designation, index) => {
+  // Add designations (the primary display is listed when another language was chosen)
+  localized.designations.forEach(designation => {
     parameters.push({
       name: 'designation',
       part: [
-        {
+        ...(designation.language ? [{
           name: 'language',
           valueCode: designation.language
-        },
+        }] : []),
         {
           name: 'value',
           valueString: designation.value
@@ -449,83 +953,167 @@ router.post('/:id/$lookup', asyncHandler(async (req, res) => {
     });
   });
 
+  // Romanise Devanagari displays so clients get an IAST form without a stored designation
+  if (hasDevanagari(concept.display) && !concept.designations.some(d => d.language === 'sa-Latn')) {
+    parameters.push({
+      name: 'designation',
+      part: [
+        {
+          name: 'language',
+          valueCode: 'sa-Latn'
+        },
+        {
+          name: 'value',
+          valueString: devanagariToIast(concept.display)
+        }
+      ]
+    });
+  }
+
   // Add property information
-  if (property) {
-    // For TM2 data, add relevant properties
-    if (property === 'parent') {
-      if (concept.parent) {
-        parameters.push({
-          name: 'property',
-          part: [
-            {
-              name: 'code',
-              valueCode: 'parent'
-            },
-            {
-              name: 'value',
-              valueCode: concept.parent.code
-            }
-          ]
-        });
-      }
-    } else if (property === 'child') {
-      concept.children.forEach(child => {
-        parameters.push({
-          name: 'property',
-          part: [
-            {
-              name: 'code',
-              valueCode: 'child'
-            },
-            {
-              name: 'value',
-              valueCode: child.code
-            }
-          ]
-        });
+  if (property === 'parent') {
+    if (concept.parent) {
+      parameters.push({
+        name: 'property',
+        part: [
+          {
+            name: 'code',
+            valueCode: 'parent'
+          },
+          {
+            name: 'value',
+            valueCode: concept.parent.code
+          }
+        ]
       });
     }
+  } else if (property === 'child') {
+    concept.children.forEach(child => {
+      parameters.push({
+        name: 'property',
+        part: [
+          {
+            name: 'code',
+            valueCode: 'child'
+          },
+          {
+            name: 'value',
+            valueCode: child.code
+          }
+        ]
+      });
+    });
   }
 
-  res.json({
+  // Lifecycle properties are returned unless another property was requested
+  if (!property || ['status', 'inactive', 'retirementDate', 'replacedBy'].includes(property)) {
+    parameters.push(...getLifecycleProperties(concept).filter(p =>
+      !property || p.part[0].valueCode === property
+    ));
+  }
+
+  return {
     resourceType: 'Parameters',
     parameter: parameters
-  });
-}));
+  };
+}
 
 /**
- * POST /fhir/CodeSystem/:id/$validate-code - Validate code in CodeSystem
+ * Helper function to build the $lookup response for an ICD-11 cluster
+ * expression, listing each stem and extension code as a property
  */
-router.post('/:id/$validate-code', asyncHandler(async (req, res) => {
-  const { id } = req.params;
-  const { code, system, version, display, date, abstract } = req.body.parameter?.reduce((acc, param) => {
-    acc[param.name] = param.valueCode || param.valueString || param.valueUri || param.valueBoolean;
-    return acc;
-  }, {}) || {};
+async function lookupCluster(codeSystem, expression) {
+  const cluster = await validateClusterExpression(codeSystem, expression);
 
-  if (!code) {
-    throw new ValidationError('code parameter is required');
+  if (!cluster.valid) {
+    return {
+      resourceType: 'Parameters',
+      parameter: [
+        { name: 'result', valueBoolean: false },
+        ...cluster.messages.map(message => ({ name: 'message', valueString: message }))
+      ]
+    };
   }
 
-  // Find the CodeSystem
-  const codeSystem = await prisma.codeSystem.findUnique({
-    where: { id },
-    include: {
-      concepts: {
-        where: { code },
-        include: {
-          designations: true
-        }
+  return {
+    resourceType: 'Parameters',
+    parameter: [
+      { name: 'result', valueBoolean: true },
+      { name: 'name', valueString: codeSystem.name },
+      ...(codeSystem.version ? [{ name: 'version', valueString: codeSystem.version }] : []),
+      { name: 'display', valueString: cluster.display },
+      { name: 'code', valueCode: cluster.expression },
+      { name: 'system', valueUri: getCanonicalSystem(codeSystem.url) },
+      ...cluster.components.map(component => ({
+        name: 'property',
+        part: [
+          { name: 'code', valueCode: component.role },
+          { name: 'value', valueCode: component.code },
+          ...(component.display ? [{ name: 'description', valueString: component.display }] : [])
+        ]
+      }))
+    ]
+  };
+}
+
+/**
+ * Helper function to build the $validate-code response for an ICD-11 cluster
+ * expression. The cluster is valid when its syntax is valid and every
+ * component code exists in the CodeSystem.
+ */
+async function validateCluster(codeSystem, expression) {
+  const cluster = await validateClusterExpression(codeSystem, expression);
+
+  return {
+    resourceType: 'Parameters',
+    parameter: [
+      { name: 'result', valueBoolean: cluster.valid },
+      { name: 'code', valueCode: cluster.expression },
+      { name: 'system', valueUri: getCanonicalSystem(codeSystem.url) },
+      ...(codeSystem.version ? [{ name: 'version', valueString: codeSystem.version }] : []),
+      ...(cluster.valid ? [{ name: 'display', valueString: cluster.display }] : []),
+      ...cluster.messages.map(message => ({ name: 'message', valueString: message }))
+    ]
+  };
+}
+
+/**
+ * Helper function to check a supplied display against a concept's display and
+ * designations. Devanagari, IAST and simplified Latin spellings are equivalent.
+ */
+function isMatchingDisplay(concept, display) {
+  const values = [concept.display, ...concept.designations.map(d => d.value)];
+  if (values.includes(display)) return true;
+
+  const key = toSearchKey(display);
+  return !!key && values.some(value => toSearchKey(value) === key);
+}
+
+/**
+ * Helper function to build the $validate-code response for codings in a
+ * CodeSystem. Codings from other systems are ignored.
+ */
+async function validateCode(codeSystem, codings, display) {
+  const candidates = codings.filter(coding => !coding.system || isSameSystem(coding.system, codeSystem.url));
+  const code = (candidates[0] || codings[0]).code;
+
+  let concept = null;
+  for (const coding of candidates) {
+    concept = await findConceptByCode(codeSystem.id, coding.code, {
+      include: {
+        designations: true,
+        replacedBy: REPLACED_BY_INCLUDE
       }
-    }
-  });
+    });
+    if (concept) break;
+  }
 
-  if (!codeSystem) {
-    throw new NotFoundError('CodeSystem', id);
+  // Postcoordinated ICD-11 codes are validated component by component
+  const clusterCoding = !concept && candidates.find(coding => isClusterExpression(coding.code));
+  if (clusterCoding) {
+    return validateCluster(codeSystem, clusterCoding.code);
   }
 
-  // Check if code exists
-  const concept = codeSystem.concepts[0];
   const isValid = !!concept;
 
   // Build response
@@ -536,16 +1124,16 @@ router.post('/:id/$validate-code', asyncHandler(async (req, res) => {
     },
     {
       name: 'code',
-      valueCode: code
+      valueCode: isValid ? concept.code : code
     },
     {
       name: 'system',
-      valueUri: codeSystem.url
+      valueUri: getCanonicalSystem(codeSystem.url)
     },
-    {
+    ...(codeSystem.version ? [{
       name: 'version',
-      valueString: codeSystem.version || '1.0'
-    }
+      valueString: codeSystem.version
+    }] : [])
   ];
 
   if (isValid) {
@@ -562,12 +1150,41 @@ router.post('/:id/$validate-code', asyncHandler(async (req, res) => {
     }
 
     // Check display match if provided
-    if (display && concept.display !== display) {
+    if (display && !isMatchingDisplay(concept, display)) {
       parameters.push({
         name: 'message',
         valueString: `Display mismatch: expected '${concept.display}', got '${display}'`
       });
     }
+
+    // Retired codes remain valid for existing records but raise a warning
+    if (isRetired(concept)) {
+      const warning = getRetirementMessage(concept);
+
+      parameters.push({
+        name: 'inactive',
+        valueBoolean: true
+      });
+
+      parameters.push({
+        name: 'message',
+        valueString: warning
+      });
+
+      parameters.push({
+        name: 'issues',
+        resource: {
+          resourceType: 'OperationOutcome',
+          issue: [{
+            severity: 'warning',
+            code: 'business-rule',
+            details: {
+              text: warning
+            }
+          }]
+        }
+      });
+    }
   } else {
     parameters.push({
       name: 'message',
@@ -575,116 +1192,56 @@ router.post('/:id/$validate-code', asyncHandler(async (req, res) => {
     });
   }
 
-  res.json({
+  return {
     resourceType: 'Parameters',
     parameter: parameters
-  });
-}));
+  };
+}
 
 /**
- * GET /fhir/CodeSystem/$autocomplete - Auto-complete search for codes
+ * Helper function to evaluate $subsumes for either the instance or type level
+ * operation. Walks the full ancestor chain of both codes.
  */
-router.get('/$autocomplete', asyncHandler(async (req, res) => {
-  const {
-    system,
-    search,
-    limit = 10,
-    includeDesignations = true
-  } = req.query;
+async function subsumes(id, params) {
+  const codingA = toCoding(params.codingA) || { code: params.codeA, system: params.system };
+  const codingB = toCoding(params.codingB) || { code: params.codeB, system: params.system };
 
-  if (!system) {
-    throw new ValidationError('system parameter is required');
+  if (!codingA.code || !codingB.code) {
+    throw new ValidationError('codeA and codeB (or codingA and codingB) parameters are required');
   }
 
-  if (!search || search.length < 2) {
-    throw new ValidationError('search parameter must be at least 2 characters');
-  }
+  const system = params.system || codingA.system || codingB.system;
 
-  // Find the CodeSystem
-  const codeSystem = await prisma.codeSystem.findUnique({
-    where: { url: system },
-    include: {
-      concepts: {
-        where: {
-          OR: [
-            { code: { contains: search, mode: 'insensitive' } },
-            { display: { contains: search, mode: 'insensitive' } },
-            ...(includeDesignations ? [{
-              designations: {
-                some: {
-                  value: { contains: search, mode: 'insensitive' }
-                }
-              }
-            }] : [])
-          ]
-        },
-        include: {
-          designations: includeDesignations
-        },
-        take: parseInt(limit),
-        orderBy: [
-          { display: 'asc' },
-          { code: 'asc' }
-        ]
-      }
+  const codeSystem = id
+    ? await findCodeSystem(id)
+    : await findCodeSystemBySystem(system, params.version);
+
+  for (const coding of [codingA, codingB]) {
+    if (coding.system && !isSameSystem(coding.system, codeSystem.url)) {
+      throw new ValidationError(`Coding system '${coding.system}' does not match CodeSystem '${codeSystem.url}'`);
     }
-  });
+  }
 
-  if (!codeSystem) {
-    throw new NotFoundError('CodeSystem', system);
+  const [conceptA, conceptB] = await Promise.all([codingA.code, codingB.code].map(code =>
+    findConceptByCode(codeSystem.id, code)
+  ));
+
+  if (!conceptA) {
+    throw new ValidationError(`Code '${codingA.code}' not found in CodeSystem '${codeSystem.url}'`);
   }
 
-  // Format results
-  const results = codeSystem.concepts.map(concept => ({
-    code: concept.code,
-    display: concept.display,
-    system: codeSystem.url,
-    version: codeSystem.version,
-    ...(includeDesignations && concept.designations.length > 0 && {
-      designation: concept.designations.map(d => ({
-        language: d.language,
-        value: d.value,
-        use: d.use
-      }))
-    })
-  }));
+  if (!conceptB) {
+    throw new ValidationError(`Code '${codingB.code}' not found in CodeSystem '${codeSystem.url}'`);
+  }
 
-  res.json({
+  return {
     resourceType: 'Parameters',
-    parameter: [
-      {
-        name: 'result',
-        valueBoolean: results.length > 0
-      },
-      {
-        name: 'matches',
-        valueInteger: results.length
-      },
-      ...results.map((result, index) => ({
-        name: 'match',
-        part: [
-          {
-            name: 'index',
-            valueInteger: index
-          },
-          {
-            name: 'code',
-            valueCoding: {
-              system: result.system,
-              code: result.code,
-              display: result.display,
-              version: result.version
-            }
-          },
-          ...(result.designation ? [{
-            name: 'designation',
-            valueString: result.designation.map(d => `${d.language}: ${d.value}`).join('; ')
-          }] : [])
-        ]
-      }))
-    ]
-  });
-}));
+    parameter: [{
+      name: 'outcome',
+      valueCode: await getSubsumptionOutcome(conceptA, conceptB)
+    }]
+  };
+}
 
 /**
  * Helper function to recursively create concepts and their hierarchy
@@ -695,6 +1252,10 @@ async function createConceptRecursive(codeSystemId, concept) {
       code: concept.code,
       display: concept.display,
       definition: concept.definition,
+      searchKey: buildSearchKey([
+        concept.display,
+        ...(concept.designation || []).map(designation => designation.value)
+      ]),
       codeSystemId: codeSystemId
     }
   });
@@ -0,0 +1,429 @@
+const express = require('express');
+const { asyncHandler, NotFoundError, ValidationError } = require('../middleware/errorHandler');
+const { validateFHIRRequest } = require('../middleware/requestLogger');
+const { authenticateApiKey, authorizeAccess, auditLog } = require('../middleware/auth');
+const { createAuditEvent } = require('./audit');
+const { getAncestors } = require('../services/conceptHierarchy');
+const { CONCEPT_STATUSES, REPLACED_BY_INCLUDE, toReplacedByValue } = require('../services/conceptLifecycle');
+const { updateSearchKey } = require('../services/terminologySearch');
+const { PrismaClient } = require('@prisma/client');
+
+const router = express.Router({ mergeParams: true });
+const prisma = new PrismaClient();
+
+// Apply FHIR validation to all routes
+router.use(validateFHIRRequest);
+
+/**
+ * GET /fhir/CodeSystem/:codeSystemId/concept - Paged concept listing
+ * Query: _count, _offset, parent (code whose children to list), root=true
+ * (top-level concepts only). Returns a CodeSystem fragment whose count is the
+ * total number of matching concepts; each concept carries a childCount
+ * property so clients can lazily expand the hierarchy.
+ */
+router.get('/', asyncHandler(async (req, res) => {
+  const codeSystem = await findCodeSystem(req.params.codeSystemId);
+  const {
+    parent,
+    root,
+    includeInactive = 'true',
+    _count = 50,
+    _offset = 0
+  } = req.query;
+
+  const where = { codeSystemId: codeSystem.id };
+
+  if (parent) {
+    const parentConcept = await findConcept(codeSystem, parent);
+    where.parentId = parentConcept.id;
+  } else if (root === 'true') {
+    where.parentId = null;
+  }
+
+  if (includeInactive !== 'true') {
+    where.status = 'active';
+  }
+
+  const [total, concepts] = await Promise.all([
+    prisma.codeSystemConcept.count({ where }),
+    prisma.codeSystemConcept.findMany({
+      where,
+      include: {
+        designations: true,
+        parent: { select: { code: true } },
+        replacedBy: REPLACED_BY_INCLUDE,
+        _count: {
+          select: { children: true }
+        }
+      },
+      take: Math.min(parseInt(_count), 1000),
+      skip: parseInt(_offset),
+      orderBy: { code: 'asc' }
+    })
+  ]);
+
+  res.json({
+    resourceType: 'CodeSystem',
+    id: codeSystem.id,
+    url: codeSystem.url,
+    version: codeSystem.version,
+    name: codeSystem.name,
+    status: codeSystem.status,
+    content: 'fragment',
+    count: total,
+    concept: concepts.map(concept => {
+      const fhirConcept = toFhirConcept(concept);
+      fhirConcept.property.push({ code: 'childCount', valueInteger: concept._count.children });
+      return fhirConcept;
+    })
+  });
+}));
+
+/**
+ * GET /fhir/CodeSystem/:codeSystemId/concept/:code - Read a single concept
+ */
+router.get('/:code', asyncHandler(async (req, res) => {
+  const codeSystem = await findCodeSystem(req.params.codeSystemId);
+  const concept = await findConcept(codeSystem, req.params.code);
+
+  res.json(toFhirConcept(concept));
+}));
+
+/**
+ * POST /fhir/CodeSystem/:codeSystemId/concept - Add a concept
+ * Body: { code, display, definition, designation[], parent, property[] }
+ */
+router.post('/', authenticateApiKey, authorizeAccess(['write']), auditLog('CREATE'), asyncHandler(async (req, res) => {
+  const codeSystem = await findCodeSystem(req.params.codeSystemId);
+  const conceptData = req.body;
+
+  if (!conceptData.code) {
+    throw new ValidationError('concept.code is required');
+  }
+
+  const existing = await prisma.codeSystemConcept.findUnique({
+    where: { codeSystemId_code: { codeSystemId: codeSystem.id, code: conceptData.code } }
+  });
+
+  if (existing) {
+    throw new ValidationError(`Code '${conceptData.code}' already exists in CodeSystem '${codeSystem.url}'`);
+  }
+
+  const parent = conceptData.parent ? await findConcept(codeSystem, conceptData.parent) : null;
+
+  const created = await prisma.codeSystemConcept.create({
+    data: {
+      code: conceptData.code,
+      display: conceptData.display,
+      definition: conceptData.definition,
+      properties: conceptData.property,
+      codeSystemId: codeSystem.id,
+      parentId: parent?.id,
+      designations: {
+        create: (conceptData.designation || []).map(designation => ({
+          language: designation.language,
+          value: designation.value,
+          use: designation.use
+        }))
+      }
+    }
+  });
+
+  await updateSearchKey(created.id);
+  await touchCodeSystem(codeSystem);
+  await recordConceptChange(req, codeSystem, created.code, 'C', `Added concept '${created.code}'`);
+
+  res.status(201).json(toFhirConcept(await findConcept(codeSystem, created.code)));
+}));
+
+/**
+ * PUT /fhir/CodeSystem/:codeSystemId/concept/:code - Edit a concept
+ * Updates display, definition and properties; the code itself is immutable
+ */
+router.put('/:code', authenticateApiKey, authorizeAccess(['write']), auditLog('UPDATE'), asyncHandler(async (req, res) => {
+  const codeSystem = await findCodeSystem(req.params.codeSystemId);
+  const concept = await findConcept(codeSystem, req.params.code);
+  const conceptData = req.body;
+
+  if (conceptData.code && conceptData.code !== concept.code) {
+    throw new ValidationError('concept.code cannot be changed; retire the concept and add a replacement instead');
+  }
+
+  await prisma.codeSystemConcept.update({
+    where: { id: concept.id },
+    data: {
+      display: conceptData.display,
+      definition: conceptData.definition,
+      properties: conceptData.property
+    }
+  });
+
+  await updateSearchKey(concept.id);
+  await touchCodeSystem(codeSystem);
+  await recordConceptChange(req, codeSystem, concept.code, 'U', `Edited concept '${concept.code}'`);
+
+  res.json(toFhirConcept(await findConcept(codeSystem, concept.code)));
+}));
+
+/**
+ * POST /fhir/CodeSystem/:codeSystemId/concept/:code/$move - Change a concept's parent
+ * Body: { parent } - parent code, or null to make the concept a root
+ */
+router.post('/:code/$move', authenticateApiKey, authorizeAccess(['write']), auditLog('UPDATE'), asyncHandler(async (req, res) => {
+  const codeSystem = await findCodeSystem(req.params.codeSystemId);
+  const concept = await findConcept(codeSystem, req.params.code);
+  const parentCode = req.body.parent || null;
+
+  let parent = null;
+  if (parentCode) {
+    parent = await findConcept(codeSystem, parentCode);
+
+    // A concept cannot be moved underneath itself or one of its descendants
+    const ancestors = await getAncestors(parent);
+    if (parent.id === concept.id || ancestors.some(a => a.id === concept.id)) {
+      throw new ValidationError(`Cannot move '${concept.code}' under its own descendant '${parent.code}'`);
+    }
+  }
+
+  await prisma.codeSystemConcept.update({
+    where: { id: concept.id },
+    data: { parentId: parent?.id ?? null }
+  });
+
+  await touchCodeSystem(codeSystem);
+  await recordConceptChange(req, codeSystem, concept.code, 'U',
+    `Moved concept '${concept.code}' from '${concept.parent?.code || '(root)'}' to '${parent?.code || '(root)'}'`);
+
+  res.json(toFhirConcept(await findConcept(codeSystem, concept.code)));
+}));
+
+/**
+ * POST /fhir/CodeSystem/:codeSystemId/concept/:code/$retire - Retire a concept
+ * Body: { status = 'inactive', date, replacedBy }
+ */
+router.post('/:code/$retire', authenticateApiKey, authorizeAccess(['write']), auditLog('UPDATE'), asyncHandler(async (req, res) => {
+  const codeSystem = await findCodeSystem(req.params.codeSystemId);
+  const concept = await findConcept(codeSystem, req.params.code);
+  const { status = 'inactive', date, replacedBy } = req.body;
+
+  if (status === 'active' || !CONCEPT_STATUSES.includes(status)) {
+    throw new ValidationError(`status must be one of ${CONCEPT_STATUSES.filter(s => s !== 'active').join(', ')}`);
+  }
+
+  let replacement = null;
+  if (replacedBy) {
+    replacement = await findConcept(codeSystem, replacedBy);
+    if (replacement.id === concept.id) {
+      throw new ValidationError('A concept cannot be replaced by itself');
+    }
+  }
+
+  await prisma.codeSystemConcept.update({
+    where: { id: concept.id },
+    data: {
+      status,
+      retiredAt: date ? new Date(date) : new Date(),
+      replacedById: replacement?.id ?? null
+    }
+  });
+
+  await touchCodeSystem(codeSystem);
+  await recordConceptChange(req, codeSystem, concept.code, 'U',
+    `Retired concept '${concept.code}' as ${status}${replacement ? `, replaced by '${replacement.code}'` : ''}`);
+
+  res.json(toFhirConcept(await findConcept(codeSystem, concept.code)));
+}));
+
+/**
+ * POST /fhir/CodeSystem/:codeSystemId/concept/:code/designation - Add a designation
+ */
+router.post('/:code/designation', authenticateApiKey, authorizeAccess(['write']), auditLog('CREATE'), asyncHandler(async (req, res) => {
+  const codeSystem = await findCodeSystem(req.params.codeSystemId);
+  const concept = await findConcept(codeSystem, req.params.code);
+  const { language, value, use } = req.body;
+
+  if (!language || !value) {
+    throw new ValidationError('designation.language and designation.value are required');
+  }
+
+  await prisma.codeSystemDesignation.create({
+    data: {
+      language,
+      value,
+      use,
+      conceptId: concept.id
+    }
+  });
+
+  await updateSearchKey(concept.id);
+  await touchCodeSystem(codeSystem);
+  await recordConceptChange(req, codeSystem, concept.code, 'C', `Added ${language} designation to '${concept.code}'`);
+
+  res.status(201).json(toFhirConcept(await findConcept(codeSystem, concept.code)));
+}));
+
+/**
+ * PUT /fhir/CodeSystem/:codeSystemId/concept/:code/designation/:designationId - Edit a designation
+ */
+router.put('/:code/designation/:designationId', authenticateApiKey, authorizeAccess(['write']), auditLog('UPDATE'), asyncHandler(async (req, res) => {
+  const codeSystem = await findCodeSystem(req.params.codeSystemId);
+  const concept = await findConcept(codeSystem, req.params.code);
+  const designation = findDesignation(concept, req.params.designationId);
+  const { language, value, use } = req.body;
+
+  await prisma.codeSystemDesignation.update({
+    where: { id: designation.id },
+    data: { language, value, use }
+  });
+
+  await updateSearchKey(concept.id);
+  await touchCodeSystem(codeSystem);
+  await recordConceptChange(req, codeSystem, concept.code, 'U', `Edited ${designation.language} designation of '${concept.code}'`);
+
+  res.json(toFhirConcept(await findConcept(codeSystem, concept.code)));
+}));
+
+/**
+ * DELETE /fhir/CodeSystem/:codeSystemId/concept/:code/designation/:designationId - Remove a designation
+ */
+router.delete('/:code/designation/:designationId', authenticateApiKey, authorizeAccess(['write']), auditLog('DELETE'), asyncHandler(async (req, res) => {
+  const codeSystem = await findCodeSystem(req.params.codeSystemId);
+  const concept = await findConcept(codeSystem, req.params.code);
+  const designation = findDesignation(concept, req.params.designationId);
+
+  await prisma.codeSystemDesignation.delete({
+    where: { id: designation.id }
+  });
+
+  await updateSearchKey(concept.id);
+  await touchCodeSystem(codeSystem);
+  await recordConceptChange(req, codeSystem, concept.code, 'D', `Removed ${designation.language} designation from '${concept.code}'`);
+
+  res.status(204).send();
+}));
+
+// Helper functions
+
+/**
+ * Load the CodeSystem addressed by the route
+ */
+async function findCodeSystem(id) {
+  const codeSystem = await prisma.codeSystem.findUnique({
+    where: { id }
+  });
+
+  if (!codeSystem) {
+    throw new NotFoundError('CodeSystem', id);
+  }
+
+  return codeSystem;
+}
+
+/**
+ * Load a concept with everything needed to render it
+ */
+async function findConcept(codeSystem, code) {
+  const concept = await prisma.codeSystemConcept.findUnique({
+    where: { codeSystemId_code: { codeSystemId: codeSystem.id, code } },
+    include: {
+      designations: true,
+      parent: { select: { code: true } },
+      replacedBy: REPLACED_BY_INCLUDE
+    }
+  });
+
+  if (!concept) {
+    throw new NotFoundError(`CodeSystem/${codeSystem.id}/concept`, code);
+  }
+
+  return concept;
+}
+
+/**
+ * Find a designation belonging to a concept
+ */
+function findDesignation(concept, designationId) {
+  const designation = concept.designations.find(d => d.id === designationId);
+
+  if (!designation) {
+    throw new NotFoundError(`CodeSystem/concept/${concept.code}/designation`, designationId);
+  }
+
+  return designation;
+}
+
+/**
+ * Refresh CodeSystem.count and bump CodeSystem.date after a concept change
+ */
+async function touchCodeSystem(codeSystem) {
+  const count = await prisma.codeSystemConcept.count({
+    where: { codeSystemId: codeSystem.id }
+  });
+
+  await prisma.codeSystem.update({
+    where: { id: codeSystem.id },
+    data: {
+      count,
+      date: new Date()
+    }
+  });
+}
+
+/**
+ * Persist an AuditEvent describing a concept curation change
+ */
+async function recordConceptChange(req, codeSystem, code, action, description) {
+  const userContext = req.userContext || { userId: 'anonymous', userName: 'Anonymous User' };
+
+  await createAuditEvent({
+    action,
+    subtype: [{
+      system: 'http://hl7.org/fhir/restful-interaction',
+      code: action === 'C' ? 'create' : action === 'D' ? 'delete' : 'update',
+      display: 'Concept curation'
+    }],
+    userId: userContext.userId,
+    outcomeDesc: description,
+    entity: [{
+      what: {
+        reference: `CodeSystem/${codeSystem.id}`,
+        display: codeSystem.url
+      },
+      name: code,
+      description
+    }],
+    details: {
+      codeSystem: codeSystem.url,
+      version: codeSystem.version,
+      code,
+      user: userContext.userName,
+      body: req.body
+    }
+  });
+}
+
+/**
+ * Convert a stored concept into a FHIR CodeSystem.concept element
+ */
+function toFhirConcept(concept) {
+  return {
+    code: concept.code,
+    display: concept.display,
+    definition: concept.definition,
+    designation: concept.designations.map(d => ({
+      id: d.id,
+      language: d.language,
+      use: d.use,
+      value: d.value
+    })),
+    property: [
+      ...(concept.parent ? [{ code: 'parent', valueCode: concept.parent.code }] : []),
+      { code: 'status', valueCode: concept.status },
+      ...(concept.retiredAt ? [{ code: 'retirementDate', valueDateTime: concept.retiredAt.toISOString() }] : []),
+      ...(concept.replacedBy ? [{ code: 'replacedBy', ...toReplacedByValue(concept) }] : []),
+      ...(Array.isArray(concept.properties) ? concept.properties : [])
+    ]
+  };
+}
+
+module.exports = router;
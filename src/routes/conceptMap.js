@@ -1,11 +1,49 @@
 const express = require('express');
 const { asyncHandler, NotFoundError, ValidationError } = require('../middleware/errorHandler');
 const { validateFHIRRequest } = require('../middleware/requestLogger');
+const { authenticateToken, authorizeAccess, auditLog } = require('../middleware/auth');
+const { readTranslateParameters, findConceptMap, translateWithConceptMap, translateWithConceptMaps, toTranslateParameters, getConceptMapReference } = require('../services/conceptMapTranslation');
+const { CURATION_STATUSES, PENDING_STATUSES, getCurationFilter, reviewTargets, toCurationExtension } = require('../services/mappingCuration');
+const { parseMappingRows, findMappingGroup, importMappingRows, toConceptMapResource, toMappingFile } = require('../services/conceptMapCsv');
+const { checkConceptMapIntegrity, enforceConceptMapIntegrity } = require('../services/conceptMapIntegrity');
+const { CONTENT_TYPES, DELIMITERS } = require('../utils/delimited');
+const { getRequestedLanguages } = require('../utils/language');
+const { parseParametersResource } = require('../utils/parameters');
+const { getCanonicalSystem, getSystemAliases } = require('../utils/systemAlias');
 const { PrismaClient } = require('@prisma/client');
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
+// Groups, elements and targets of a full ConceptMap read
+const CONCEPT_MAP_INCLUDE = {
+  groups: {
+    include: {
+      elements: {
+        include: {
+          targets: {
+            include: {
+              dependsOn: true,
+              product: true
+            }
+          }
+        }
+      }
+    }
+  }
+};
+
+// A mapping target with its source element and ConceptMap, for review lists
+const PROPOSAL_INCLUDE = {
+  element: {
+    include: {
+      group: {
+        include: { conceptMap: true }
+      }
+    }
+  }
+};
+
 // Apply FHIR validation to all routes
 router.use(validateFHIRRequest);
 
@@ -30,24 +68,12 @@ router.get('/', asyncHandler(async (req, res) => {
   if (version) where.version = version;
   if (name) where.name = { contains: name, mode: 'insensitive' };
   if (status) where.status = status;
+  if (source) where.sourceUri = { in: getSystemAliases(source) };
+  if (target) where.targetUri = { in: getSystemAliases(target) };
 
   const conceptMaps = await prisma.conceptMap.findMany({
     where,
-    include: {
-      groups: {
-        include: {
-          elements: {
-            include: {
-              targets: {
-                include: {
-                  dependsOn: true
-                }
-              }
-            }
-          }
-        }
-      }
-    },
+    include: CONCEPT_MAP_INCLUDE,
     take: parseInt(_count),
     skip: parseInt(_offset),
     orderBy: { updatedAt: 'desc' }
@@ -59,47 +85,213 @@ router.get('/', asyncHandler(async (req, res) => {
     type: 'searchset',
     total: await prisma.conceptMap.count({ where }),
     entry: conceptMaps.map(cm => ({
-      resource: {
-        resourceType: 'ConceptMap',
-        id: cm.id,
-        url: cm.url,
-        version: cm.version,
-        name: cm.name,
-        title: cm.title,
-        status: cm.status,
-        experimental: cm.experimental,
-        date: cm.date?.toISOString(),
-        publisher: cm.publisher,
-        description: cm.description,
-        sourceUri: cm.sourceUri,
-        targetUri: cm.targetUri,
-        group: cm.groups.map(group => ({
-          source: group.source,
-          target: group.target,
-          element: group.elements.map(element => ({
-            code: element.code,
-            display: element.display,
-            target: element.targets.map(target => ({
-              code: target.code,
-              display: target.display,
-              equivalence: target.equivalence,
-              comment: target.comment,
-              dependsOn: target.dependsOn.map(dep => ({
-                property: dep.property,
-                system: dep.system,
-                value: dep.value,
-                display: dep.display
-              }))
-            }))
-          }))
-        }))
-      }
+      resource: toFhirConceptMap(cm)
     }))
   };
 
   res.json(bundle);
 }));
 
+/**
+ * GET/POST /fhir/ConceptMap/$translate - Translate codes with the ConceptMaps
+ * selected by url (optionally pinned as url|version or with
+ * conceptMapVersion) or by source/target scope. Without a version the
+ * latest active version of each map is used. Each match names the ConceptMap
+ * that produced it as url|version.
+ */
+router.get('/$translate', asyncHandler(async (req, res) => {
+  res.json(await translate(req));
+}));
+
+router.post('/$translate', asyncHandler(async (req, res) => {
+  res.json(await translate(req));
+}));
+
+/**
+ * GET /fhir/ConceptMap/$proposals - List mapping targets waiting for review
+ * Query: status (comma separated, default proposed,under-review), url (of
+ * the ConceptMap), source, target, author, minConfidence, _count, _offset.
+ * The most confident suggestions are listed first.
+ */
+router.get('/$proposals', asyncHandler(async (req, res) => {
+  const {
+    status = PENDING_STATUSES.join(','),
+    url,
+    source,
+    target,
+    author,
+    minConfidence,
+    _count = 50,
+    _offset = 0
+  } = req.query;
+
+  const statuses = status.split(',');
+  const unknown = statuses.filter(s => !CURATION_STATUSES.includes(s));
+  if (unknown.length > 0) {
+    throw new ValidationError(`Unknown curation status: ${unknown.join(', ')}`);
+  }
+
+  const where = {
+    curationStatus: { in: statuses },
+    ...(author && { OR: [{ author }, { authorId: author }] }),
+    ...(minConfidence !== undefined && { confidence: { gte: parseConfidence(minConfidence) } }),
+    element: {
+      group: {
+        conceptMap: {
+          ...(url && { url }),
+          ...(source && { sourceUri: { in: getSystemAliases(source) } }),
+          ...(target && { targetUri: { in: getSystemAliases(target) } })
+        }
+      }
+    }
+  };
+
+  const [total, targets] = await Promise.all([
+    prisma.conceptMapTarget.count({ where }),
+    prisma.conceptMapTarget.findMany({
+      where,
+      include: PROPOSAL_INCLUDE,
+      orderBy: [{ confidence: { sort: 'desc', nulls: 'last' } }, { proposedAt: 'asc' }],
+      take: Math.min(parseInt(_count), 500),
+      skip: parseInt(_offset)
+    })
+  ]);
+
+  res.json({
+    resourceType: 'Parameters',
+    parameter: [
+      { name: 'total', valueInteger: total },
+      ...targets.map(toProposalParameter)
+    ]
+  });
+}));
+
+/**
+ * POST /fhir/ConceptMap/$review - Record a review decision on proposed
+ * mapping targets. Parameters: target (one or more target ids), status
+ * (under-review, approved or rejected), comment (required to reject),
+ * equivalence (replaces the proposed one). Instead of target ids, pending
+ * targets can be selected in bulk with minConfidence, url and author.
+ * Reviewers sign in with a token carrying the review permission and may
+ * not review their own proposals.
+ */
+router.post('/$review', authenticateToken, authorizeAccess(['review']), auditLog('UPDATE'), asyncHandler(async (req, res) => {
+  const parameters = req.body.parameter || [];
+  const targetIds = parameters
+    .filter(param => param.name === 'target')
+    .map(param => param.valueString || param.valueId);
+  const { status, comment, equivalence, minConfidence, url, author } = parseParametersResource(req.body);
+
+  if (targetIds.length === 0) {
+    if (minConfidence === undefined && !url && !author) {
+      throw new ValidationError('At least one target parameter, or minConfidence, url or author to select targets, is required');
+    }
+
+    const pending = await prisma.conceptMapTarget.findMany({
+      where: {
+        curationStatus: { in: PENDING_STATUSES },
+        ...(author && { OR: [{ author }, { authorId: author }] }),
+        ...(minConfidence !== undefined && { confidence: { gte: parseConfidence(minConfidence) } }),
+        ...(url && { element: { group: { conceptMap: { url } } } })
+      },
+      select: { id: true }
+    });
+
+    if (pending.length === 0) {
+      throw new ValidationError('No pending mapping targets match the review selection');
+    }
+
+    targetIds.push(...pending.map(target => target.id));
+  }
+
+  const targets = await reviewTargets(targetIds, {
+    status,
+    comment,
+    equivalence,
+    reviewer: getCurationUser(req)
+  });
+
+  res.json({
+    resourceType: 'Parameters',
+    parameter: targets.map(toProposalParameter)
+  });
+}));
+
+/**
+ * POST /fhir/ConceptMap/$import - Load mappings from a CSV or TSV file into
+ * an existing ConceptMap. Parameters: url (url|version of the map), file
+ * (valueAttachment with base64 data, or valueString), format (csv or tsv,
+ * default from the attachment contentType), source / target (systems of
+ * the group, default the map's), dryRun. Rows with errors are reported
+ * and skipped, as are rows conflicting with a mapping of the group;
+ * imported targets are proposals by the signed-in user, who needs a token
+ * carrying the write permission. The group with the rows added gets the
+ * integrity checks of a posted map, and with strict (a parameter, or
+ * ?strict=true) errors reject the file.
+ */
+router.post('/$import', authenticateToken, authorizeAccess(['write']), auditLog('CREATE'), asyncHandler(async (req, res) => {
+  const { url: reference, format, source, target, dryRun, strict } = parseParametersResource(req.body);
+  const file = req.body.parameter?.find(param => param.name === 'file');
+
+  if (!reference) {
+    throw new ValidationError('url parameter is required');
+  }
+
+  if (!file || !(file.valueAttachment?.data || file.valueString)) {
+    throw new ValidationError('file parameter with the mapping rows is required');
+  }
+
+  const fileFormat = format ||
+    Object.keys(CONTENT_TYPES).find(key => CONTENT_TYPES[key] === file.valueAttachment?.contentType) ||
+    'csv';
+
+  if (!DELIMITERS[fileFormat]) {
+    throw new ValidationError(`format must be csv or tsv, not '${fileFormat}'`);
+  }
+
+  const [url, version] = reference.split('|');
+  const conceptMap = await findConceptMap(url, version);
+
+  if (!conceptMap) {
+    throw new NotFoundError('ConceptMap', reference);
+  }
+
+  const text = file.valueAttachment?.data
+    ? Buffer.from(file.valueAttachment.data, 'base64').toString('utf8')
+    : file.valueString;
+
+  const { rows, errors } = parseMappingRows(text, DELIMITERS[fileFormat]);
+  const mappingGroup = await findMappingGroup(conceptMap, { source, target });
+  const outcome = await enforceConceptMapIntegrity(
+    toConceptMapResource(conceptMap, mappingGroup, rows),
+    strict === true || req.query.strict === 'true'
+  );
+
+  const { imported, skipped, conflicts } = await importMappingRows(conceptMap, mappingGroup, rows, {
+    author: getCurationUser(req),
+    dryRun: dryRun === true
+  });
+
+  res.json({
+    resourceType: 'Parameters',
+    parameter: [
+      { name: 'conceptMap', valueUri: getConceptMapReference(conceptMap) },
+      { name: 'dryRun', valueBoolean: dryRun === true },
+      { name: 'rows', valueInteger: rows.length + errors.length },
+      { name: 'imported', valueInteger: imported },
+      { name: 'skipped', valueInteger: skipped },
+      ...[...errors, ...conflicts].sort((a, b) => a.line - b.line).map(error => ({
+        name: 'error',
+        part: [
+          { name: 'line', valueInteger: error.line },
+          { name: 'message', valueString: error.message }
+        ]
+      })),
+      { name: 'outcome', resource: outcome }
+    ]
+  });
+}));
+
 /**
  * GET /fhir/ConceptMap/:id - Read ConceptMap by ID
  */
@@ -108,21 +300,7 @@ router.get('/:id', asyncHandler(async (req, res) => {
 
   const conceptMap = await prisma.conceptMap.findUnique({
     where: { id },
-    include: {
-      groups: {
-        include: {
-          elements: {
-            include: {
-              targets: {
-                include: {
-                  dependsOn: true
-                }
-              }
-            }
-          }
-        }
-      }
-    }
+    include: CONCEPT_MAP_INCLUDE
   });
 
   if (!conceptMap) {
@@ -130,49 +308,20 @@ router.get('/:id', asyncHandler(async (req, res) => {
   }
 
   // Convert to FHIR ConceptMap
-  const fhirConceptMap = {
-    resourceType: 'ConceptMap',
-    id: conceptMap.id,
-    url: conceptMap.url,
-    version: conceptMap.version,
-    name: conceptMap.name,
-    title: conceptMap.title,
-    status: conceptMap.status,
-    experimental: conceptMap.experimental,
-    date: conceptMap.date?.toISOString(),
-    publisher: conceptMap.publisher,
-    description: conceptMap.description,
-    sourceUri: conceptMap.sourceUri,
-    targetUri: conceptMap.targetUri,
-    group: conceptMap.groups.map(group => ({
-      source: group.source,
-      target: group.target,
-      element: group.elements.map(element => ({
-        code: element.code,
-        display: element.display,
-        target: element.targets.map(target => ({
-          code: target.code,
-          display: target.display,
-          equivalence: target.equivalence,
-          comment: target.comment,
-          dependsOn: target.dependsOn.map(dep => ({
-            property: dep.property,
-            system: dep.system,
-            value: dep.value,
-            display: dep.display
-          }))
-        }))
-      }))
-    }))
-  };
+  const fhirConceptMap = toFhirConceptMap(conceptMap);
 
   res.json(fhirConceptMap);
 }));
 
 /**
  * POST /fhir/ConceptMap - Create ConceptMap
+ * The map is checked against its source and target CodeSystems; with
+ * strict=true integrity errors reject it. Prefer: return=OperationOutcome
+ * returns the integrity OperationOutcome instead of the ConceptMap.
+ * Authors sign in with a token carrying the write permission; the targets
+ * of the map are their proposals.
  */
-router.post('/', asyncHandler(async (req, res) => {
+router.post('/', authenticateToken, authorizeAccess(['write']), auditLog('CREATE'), asyncHandler(async (req, res) => {
   const conceptMapData = req.body;
 
   // Validate required fields
@@ -180,15 +329,22 @@ router.post('/', asyncHandler(async (req, res) => {
     throw new ValidationError('ConceptMap.url is required');
   }
 
-  // Check if ConceptMap with this URL already exists
-  const existing = await prisma.conceptMap.findUnique({
-    where: { url: conceptMapData.url }
+  // Check if this version of the ConceptMap already exists
+  const existing = await prisma.conceptMap.findFirst({
+    where: { url: conceptMapData.url, version: conceptMapData.version ?? null }
   });
 
   if (existing) {
-    throw new ValidationError(`ConceptMap with URL ${conceptMapData.url} already exists`);
+    const label = conceptMapData.version ? `${conceptMapData.url}|${conceptMapData.version}` : conceptMapData.url;
+    throw new ValidationError(`ConceptMap with URL ${label} already exists`);
   }
 
+  for (const group of conceptMapData.group || []) {
+    if (group.unmapped) validateUnmapped(group.unmapped);
+  }
+
+  const outcome = await enforceConceptMapIntegrity(conceptMapData, req.query.strict === 'true');
+
   // Create ConceptMap
   const conceptMap = await prisma.conceptMap.create({
     data: {
@@ -201,93 +357,85 @@ router.post('/', asyncHandler(async (req, res) => {
       date: conceptMapData.date ? new Date(conceptMapData.date) : new Date(),
       publisher: conceptMapData.publisher,
       description: conceptMapData.description,
-      sourceUri: conceptMapData.sourceUri,
-      targetUri: conceptMapData.targetUri
+      sourceUri: getCanonicalSystem(conceptMapData.sourceUri),
+      targetUri: getCanonicalSystem(conceptMapData.targetUri)
     }
   });
 
-  // Create groups and elements if provided
+  // Create groups and elements if provided; targets are proposals until
+  // reviewed and are attributed to the signed-in author
   if (conceptMapData.group && Array.isArray(conceptMapData.group)) {
     for (const group of conceptMapData.group) {
-      await createGroupRecursive(conceptMap.id, group);
+      await createGroupRecursive(conceptMap.id, group, getCurationUser(req));
     }
   }
 
   // Return created ConceptMap
   const createdConceptMap = await prisma.conceptMap.findUnique({
     where: { id: conceptMap.id },
-    include: {
-      groups: {
-        include: {
-          elements: {
-            include: {
-              targets: {
-                include: {
-                  dependsOn: true
-                }
-              }
-            }
-          }
-        }
-      }
-    }
+    include: CONCEPT_MAP_INCLUDE
   });
 
-  const fhirConceptMap = {
-    resourceType: 'ConceptMap',
-    id: createdConceptMap.id,
-    url: createdConceptMap.url,
-    version: createdConceptMap.version,
-    name: createdConceptMap.name,
-    title: createdConceptMap.title,
-    status: createdConceptMap.status,
-    experimental: createdConceptMap.experimental,
-    date: createdConceptMap.date?.toISOString(),
-    publisher: createdConceptMap.publisher,
-    description: createdConceptMap.description,
-    sourceUri: createdConceptMap.sourceUri,
-    targetUri: createdConceptMap.targetUri,
-    group: createdConceptMap.groups.map(group => ({
-      source: group.source,
-      target: group.target,
-      element: group.elements.map(element => ({
-        code: element.code,
-        display: element.display,
-        target: element.targets.map(target => ({
-          code: target.code,
-          display: target.display,
-          equivalence: target.equivalence,
-          comment: target.comment,
-          dependsOn: target.dependsOn.map(dep => ({
-            property: dep.property,
-            system: dep.system,
-            value: dep.value,
-            display: dep.display
-          }))
-        }))
-      }))
-    }))
-  };
+  const fhirConceptMap = toFhirConceptMap(createdConceptMap);
 
-  res.status(201).json(fhirConceptMap);
+  res.status(201).json(prefersOutcome(req) ? outcome : fhirConceptMap);
 }));
 
 /**
  * PUT /fhir/ConceptMap/:id - Update ConceptMap
+ * Updates the map's metadata; groups are changed with $import and $review.
+ * The stored mappings are checked against the updated source and target
+ * systems; strict and Prefer work as for create. Targets of groups that
+ * take a changed source or target system from the map mean something else
+ * now and go back to proposed, attributed to the signed-in user.
  */
-router.put('/:id', asyncHandler(async (req, res) => {
+router.put('/:id', authenticateToken, authorizeAccess(['write']), auditLog('UPDATE'), asyncHandler(async (req, res) => {
   const { id } = req.params;
   const conceptMapData = req.body;
 
   // Check if ConceptMap exists
   const existing = await prisma.conceptMap.findUnique({
-    where: { id }
+    where: { id },
+    include: CONCEPT_MAP_INCLUDE
   });
 
   if (!existing) {
     throw new NotFoundError('ConceptMap', id);
   }
 
+  const outcome = await enforceConceptMapIntegrity({
+    ...toFhirConceptMap(existing),
+    sourceUri: conceptMapData.sourceUri,
+    targetUri: conceptMapData.targetUri
+  }, req.query.strict === 'true');
+
+  // Systems left out of the body are not changed
+  const sourceChanged = conceptMapData.sourceUri !== undefined &&
+    getCanonicalSystem(conceptMapData.sourceUri) !== existing.sourceUri;
+  const targetChanged = conceptMapData.targetUri !== undefined &&
+    getCanonicalSystem(conceptMapData.targetUri) !== existing.targetUri;
+  const changedGroupIds = existing.groups
+    .filter(group => (sourceChanged && !group.source) || (targetChanged && !group.target))
+    .map(group => group.id);
+
+  if (changedGroupIds.length > 0) {
+    const user = getCurationUser(req);
+
+    await prisma.conceptMapTarget.updateMany({
+      where: { element: { groupId: { in: changedGroupIds } } },
+      data: {
+        curationStatus: 'proposed',
+        author: user.name,
+        authorId: user.id,
+        proposedAt: new Date(),
+        reviewer: null,
+        reviewerId: null,
+        reviewComment: null,
+        reviewedAt: null
+      }
+    });
+  }
+
   // Update ConceptMap
   const updatedConceptMap = await prisma.conceptMap.update({
     where: { id },
@@ -300,69 +448,21 @@ router.put('/:id', asyncHandler(async (req, res) => {
       date: conceptMapData.date ? new Date(conceptMapData.date) : new Date(),
       publisher: conceptMapData.publisher,
       description: conceptMapData.description,
-      sourceUri: conceptMapData.sourceUri,
-      targetUri: conceptMapData.targetUri
+      sourceUri: getCanonicalSystem(conceptMapData.sourceUri),
+      targetUri: getCanonicalSystem(conceptMapData.targetUri)
     },
-    include: {
-      groups: {
-        include: {
-          elements: {
-            include: {
-              targets: {
-                include: {
-                  dependsOn: true
-                }
-              }
-            }
-          }
-        }
-      }
-    }
+    include: CONCEPT_MAP_INCLUDE
   });
 
-  const fhirConceptMap = {
-    resourceType: 'ConceptMap',
-    id: updatedConceptMap.id,
-    url: updatedConceptMap.url,
-    version: updatedConceptMap.version,
-    name: updatedConceptMap.name,
-    title: updatedConceptMap.title,
-    status: updatedConceptMap.status,
-    experimental: updatedConceptMap.experimental,
-    date: updatedConceptMap.date?.toISOString(),
-    publisher: updatedConceptMap.publisher,
-    description: updatedConceptMap.description,
-    sourceUri: updatedConceptMap.sourceUri,
-    targetUri: updatedConceptMap.targetUri,
-    group: updatedConceptMap.groups.map(group => ({
-      source: group.source,
-      target: group.target,
-      element: group.elements.map(element => ({
-        code: element.code,
-        display: element.display,
-        target: element.targets.map(target => ({
-          code: target.code,
-          display: target.display,
-          equivalence: target.equivalence,
-          comment: target.comment,
-          dependsOn: target.dependsOn.map(dep => ({
-            property: dep.property,
-            system: dep.system,
-            value: dep.value,
-            display: dep.display
-          }))
-        }))
-      }))
-    }))
-  };
+  const fhirConceptMap = toFhirConceptMap(updatedConceptMap);
 
-  res.json(fhirConceptMap);
+  res.json(prefersOutcome(req) ? outcome : fhirConceptMap);
 }));
 
 /**
  * DELETE /fhir/ConceptMap/:id - Delete ConceptMap
  */
-router.delete('/:id', asyncHandler(async (req, res) => {
+router.delete('/:id', authenticateToken, authorizeAccess(['write']), auditLog('DELETE'), asyncHandler(async (req, res) => {
   const { id } = req.params;
 
   // Check if ConceptMap exists
@@ -383,89 +483,57 @@ router.delete('/:id', asyncHandler(async (req, res) => {
 }));
 
 /**
- * POST /fhir/ConceptMap/:id/$translate - Translate codes using ConceptMap
+ * GET /fhir/ConceptMap/:id/$check-integrity - Check the stored mappings
+ * against the source and target CodeSystems: dangling codes, display
+ * mismatches, retired concepts, duplicate elements and conflicting
+ * equivalences. Returns an OperationOutcome.
  */
-router.post('/:id/$translate', asyncHandler(async (req, res) => {
+router.get('/:id/$check-integrity', asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const { code, system, target, reverse = false } = req.body.parameter?.reduce((acc, param) => {
-    acc[param.name] = param.valueCode || param.valueUri;
-    return acc;
-  }, {}) || {};
-
-  if (!code || !system) {
-    throw new ValidationError('code and system parameters are required');
-  }
 
-  // Find the ConceptMap
   const conceptMap = await prisma.conceptMap.findUnique({
     where: { id },
-    include: {
-      groups: {
-        include: {
-          elements: {
-            where: { code },
-            include: {
-              targets: true
-            }
-          }
-        }
-      }
-    }
+    include: CONCEPT_MAP_INCLUDE
   });
 
   if (!conceptMap) {
     throw new NotFoundError('ConceptMap', id);
   }
 
-  // Find matching element
-  let matchingElement = null;
-  for (const group of conceptMap.groups) {
-    if (group.elements.length > 0) {
-      matchingElement = group.elements[0];
-      break;
-    }
+  res.json(await checkConceptMapIntegrity(toFhirConceptMap(conceptMap)));
+}));
+
+/**
+ * POST /fhir/ConceptMap/:id/$translate - Translate codes using ConceptMap
+ * Returns every matching target of every group. Supports reverse,
+ * targetsystem, dependency parameters (checked against dependsOn) and
+ * returns product elements. Target displays follow displayLanguage or
+ * Accept-Language.
+ */
+router.post('/:id/$translate', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const params = readTranslateParameters(req);
+
+  if (!params.code || !params.system) {
+    throw new ValidationError('code and system parameters are required');
   }
 
-  if (!matchingElement) {
-    // Return no match found
-    return res.json({
-      resourceType: 'Parameters',
-      parameter: [{
-        name: 'result',
-        valueBoolean: false
-      }]
-    });
+  const conceptMap = await prisma.conceptMap.findUnique({
+    where: { id }
+  });
+
+  if (!conceptMap) {
+    throw new NotFoundError('ConceptMap', id);
   }
 
-  // Return translation result
-  const result = {
-    resourceType: 'Parameters',
-    parameter: [
-      {
-        name: 'result',
-        valueBoolean: true
-      },
-      {
-        name: 'match',
-        part: [
-          {
-            name: 'equivalence',
-            valueCode: matchingElement.targets[0]?.equivalence || 'equivalent'
-          },
-          {
-            name: 'concept',
-            valueCoding: {
-              system: conceptMap.targetUri,
-              code: matchingElement.targets[0]?.code,
-              display: matchingElement.targets[0]?.display
-            }
-          }
-        ]
-      }
-    ]
-  };
+  // target is accepted as the target system here for older clients
+  const translation = await translateWithConceptMap(
+    conceptMap,
+    { ...params, targetSystem: params.targetSystem || params.target },
+    getRequestedLanguages(req, params.displayLanguage)
+  );
 
-  res.json(result);
+  res.json(toTranslateParameters(translation));
 }));
 
 /**
@@ -498,7 +566,7 @@ router.post('/:id/$validate', asyncHandler(async (req, res) => {
           elements: {
             where: { code: concept },
             include: {
-              targets: true
+              targets: { where: getCurationFilter() }
             }
           }
         }
@@ -544,7 +612,7 @@ router.post('/:id/$validate', asyncHandler(async (req, res) => {
     parameters.push({
       name: 'target',
       valueCoding: {
-        system: conceptMap.targetUri,
+        system: getCanonicalSystem(conceptMap.targetUri),
         code: matchingTarget.code,
         display: matchingTarget.display
       }
@@ -562,21 +630,105 @@ router.post('/:id/$validate', asyncHandler(async (req, res) => {
   });
 }));
 
+/**
+ * GET /fhir/ConceptMap/:id/$export - Download the mappings as a spreadsheet
+ * Query: format (csv or tsv, default csv), status (comma separated curation
+ * statuses, default all). Columns follow the $import layout.
+ */
+router.get('/:id/$export', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { format = 'csv', status } = req.query;
+
+  if (!DELIMITERS[format]) {
+    throw new ValidationError(`format must be csv or tsv, not '${format}'`);
+  }
+
+  const statuses = status?.split(',');
+  const unknown = (statuses || []).filter(s => !CURATION_STATUSES.includes(s));
+  if (unknown.length > 0) {
+    throw new ValidationError(`Unknown curation status: ${unknown.join(', ')}`);
+  }
+
+  const conceptMap = await prisma.conceptMap.findUnique({
+    where: { id },
+    include: {
+      groups: {
+        include: {
+          elements: {
+            orderBy: { code: 'asc' },
+            include: {
+              targets: {
+                ...(statuses && { where: { curationStatus: { in: statuses } } }),
+                include: { dependsOn: true }
+              }
+            }
+          }
+        }
+      }
+    }
+  });
+
+  if (!conceptMap) {
+    throw new NotFoundError('ConceptMap', id);
+  }
+
+  res.type(CONTENT_TYPES[format]);
+  res.setHeader('Content-Disposition', `attachment; filename="${conceptMap.name || conceptMap.id}.${format}"`);
+  res.send(toMappingFile(conceptMap, DELIMITERS[format]));
+}));
+
+/**
+ * Helper function to run a type-level $translate over every selected
+ * ConceptMap and merge the matches into one Parameters response
+ */
+async function translate(req) {
+  const params = readTranslateParameters(req);
+
+  if (!params.code || !params.system) {
+    throw new ValidationError('code and system parameters are required');
+  }
+
+  const languages = getRequestedLanguages(req, params.displayLanguage);
+
+  return toTranslateParameters(await translateWithConceptMaps(params, languages));
+}
+
+/**
+ * Helper function to check a group.unmapped rule before it is stored
+ */
+function validateUnmapped(unmapped) {
+  if (!['provided', 'fixed', 'other-map'].includes(unmapped.mode)) {
+    throw new ValidationError(`group.unmapped.mode must be provided, fixed or other-map, not '${unmapped.mode}'`);
+  }
+
+  if (unmapped.mode === 'fixed' && !unmapped.code) {
+    throw new ValidationError('group.unmapped.code is required when mode is fixed');
+  }
+
+  if (unmapped.mode === 'other-map' && !unmapped.url) {
+    throw new ValidationError('group.unmapped.url is required when mode is other-map');
+  }
+}
+
 /**
  * Helper function to create groups and elements recursively
  */
-async function createGroupRecursive(conceptMapId, group) {
+async function createGroupRecursive(conceptMapId, group, author) {
   const createdGroup = await prisma.conceptMapGroup.create({
     data: {
-      source: group.source,
-      target: group.target,
+      source: getCanonicalSystem(group.source),
+      target: getCanonicalSystem(group.target),
+      unmappedMode: group.unmapped?.mode,
+      unmappedCode: group.unmapped?.code,
+      unmappedDisplay: group.unmapped?.display,
+      unmappedUrl: group.unmapped?.url,
       conceptMapId
     }
   });
 
   if (group.element && Array.isArray(group.element)) {
     for (const element of group.element) {
-      await createElementRecursive(createdGroup.id, element);
+      await createElementRecursive(createdGroup.id, element, author);
     }
   }
 
@@ -586,7 +738,7 @@ async function createGroupRecursive(conceptMapId, group) {
 /**
  * Helper function to create elements and targets
  */
-async function createElementRecursive(groupId, element) {
+async function createElementRecursive(groupId, element, author) {
   const createdElement = await prisma.conceptMapElement.create({
     data: {
       code: element.code,
@@ -603,6 +755,8 @@ async function createElementRecursive(groupId, element) {
           display: target.display,
           equivalence: target.equivalence || 'equivalent',
           comment: target.comment,
+          author: author?.name,
+          authorId: author?.id,
           elementId: createdElement.id
         }
       });
@@ -621,10 +775,153 @@ async function createElementRecursive(groupId, element) {
           });
         }
       }
+
+      // Create product if provided
+      if (target.product && Array.isArray(target.product)) {
+        for (const product of target.product) {
+          await prisma.conceptMapProduct.create({
+            data: {
+              property: product.property,
+              system: product.system,
+              value: product.value,
+              display: product.display,
+              targetId: createdTarget.id
+            }
+          });
+        }
+      }
     }
   }
 
   return createdElement;
 }
 
+/**
+ * Helper function to convert a ConceptMap read with CONCEPT_MAP_INCLUDE to FHIR
+ */
+function toFhirConceptMap(conceptMap) {
+  return {
+    resourceType: 'ConceptMap',
+    id: conceptMap.id,
+    url: conceptMap.url,
+    version: conceptMap.version,
+    name: conceptMap.name,
+    title: conceptMap.title,
+    status: conceptMap.status,
+    experimental: conceptMap.experimental,
+    date: conceptMap.date?.toISOString(),
+    publisher: conceptMap.publisher,
+    description: conceptMap.description,
+    sourceUri: conceptMap.sourceUri,
+    targetUri: conceptMap.targetUri,
+    group: conceptMap.groups.map(group => ({
+      source: group.source,
+      target: group.target,
+      element: group.elements.map(element => ({
+        code: element.code,
+        display: element.display,
+        target: element.targets.map(target => ({
+          code: target.code,
+          display: target.display,
+          equivalence: target.equivalence,
+          comment: target.comment,
+          dependsOn: target.dependsOn.map(toFhirOtherElement),
+          product: target.product.map(toFhirOtherElement),
+          extension: [toCurationExtension(target)]
+        }))
+      })),
+      ...(group.unmappedMode && {
+        unmapped: {
+          mode: group.unmappedMode,
+          code: group.unmappedCode || undefined,
+          display: group.unmappedDisplay || undefined,
+          url: group.unmappedUrl || undefined
+        }
+      })
+    }))
+  };
+}
+
+/**
+ * Helper function to describe a mapping target read with PROPOSAL_INCLUDE
+ * as a proposal parameter
+ */
+function toProposalParameter(target) {
+  const { group } = target.element;
+  const { conceptMap } = group;
+
+  return {
+    name: 'proposal',
+    part: [
+      { name: 'target', valueString: target.id },
+      { name: 'conceptMap', valueUri: getConceptMapReference(conceptMap) },
+      {
+        name: 'source',
+        valueCoding: {
+          system: getCanonicalSystem(group.source || conceptMap.sourceUri),
+          code: target.element.code,
+          display: target.element.display || undefined
+        }
+      },
+      {
+        name: 'concept',
+        valueCoding: {
+          system: getCanonicalSystem(group.target || conceptMap.targetUri),
+          code: target.code,
+          display: target.display || undefined
+        }
+      },
+      { name: 'equivalence', valueCode: target.equivalence },
+      { name: 'status', valueCode: target.curationStatus },
+      ...(target.author ? [{ name: 'author', valueString: target.author }] : []),
+      ...(target.confidence != null ? [{ name: 'confidence', valueDecimal: target.confidence }] : []),
+      { name: 'proposed', valueDateTime: target.proposedAt.toISOString() },
+      ...(target.reviewer ? [{ name: 'reviewer', valueString: target.reviewer }] : []),
+      ...(target.reviewedAt ? [{ name: 'reviewed', valueDateTime: target.reviewedAt.toISOString() }] : []),
+      ...(target.reviewComment ? [{ name: 'comment', valueString: target.reviewComment }] : [])
+    ]
+  };
+}
+
+/**
+ * Helper function to read the signed-in user proposals and reviews are
+ * attributed to: the id identifies them, the name is shown
+ */
+function getCurationUser(req) {
+  return { id: String(req.user.id), name: req.user.name || String(req.user.id) };
+}
+
+/**
+ * Helper function to check whether a write asks for the OperationOutcome
+ * (Prefer: return=OperationOutcome) instead of the resource
+ */
+function prefersOutcome(req) {
+  return /return=OperationOutcome/i.test(req.get('Prefer') || '');
+}
+
+/**
+ * Helper function to read a confidence threshold between 0 and 1
+ */
+function parseConfidence(value) {
+  const confidence = parseFloat(value);
+
+  if (isNaN(confidence) || confidence < 0 || confidence > 1) {
+    throw new ValidationError(`minConfidence must be a number between 0 and 1, not '${value}'`);
+  }
+
+  return confidence;
+}
+
+/**
+ * Helper function to convert a stored dependsOn or product element to FHIR
+ */
+function toFhirOtherElement(other) {
+  return {
+    property: other.property,
+    system: other.system,
+    value: other.value,
+    display: other.display
+  };
+}
+
 module.exports = router;
@@ -1,6 +1,10 @@
 const express = require('express');
 const { asyncHandler, NotFoundError, ValidationError } = require('../middleware/errorHandler');
 const { validateFHIRRequest } = require('../middleware/requestLogger');
+const { annotateClusterCodings } = require('../services/icdCluster');
+const { evaluateCodingRules, enforceCodingRules, withCodingRuleWarnings } = require('../services/codingRules');
+const { toCoding } = require('../utils/parameters');
+const { canonicalizeCodeableConcept } = require('../utils/systemAlias');
 const { PrismaClient } = require('@prisma/client');
 
 const router = express.Router();
@@ -57,7 +61,7 @@ router.get('/', asyncHandler(async (req, res) => {
         verificationStatus: condition.verificationStatus,
         category: condition.category,
         severity: condition.severity,
-        code: condition.code,
+        code: canonicalizeCodeableConcept(condition.code),
         bodySite: condition.bodySite,
         subject: {
           reference: `Patient/${condition.subjectId}`,
@@ -75,6 +79,20 @@ router.get('/', asyncHandler(async (req, res) => {
   res.json(bundle);
 }));
 
+/**
+ * GET/POST /fhir/Condition/$validate-coding-rules - Check a diagnosis against
+ * the ICD-11 coding rules without storing it. Accepts a Condition, or
+ * Parameters with resource, codeableConcept or repeated coding parameters
+ * (GET: coding=system|code). Returns an OperationOutcome.
+ */
+router.get('/$validate-coding-rules', asyncHandler(async (req, res) => {
+  res.json(await validateCodingRules(req));
+}));
+
+router.post('/$validate-coding-rules', asyncHandler(async (req, res) => {
+  res.json(await validateCodingRules(req));
+}));
+
 /**
  * GET /fhir/Condition/:id - Read Condition by ID
  */
@@ -105,7 +123,7 @@ router.get('/:id', asyncHandler(async (req, res) => {
     verificationStatus: condition.verificationStatus,
     category: condition.category,
     severity: condition.severity,
-    code: condition.code,
+    code: canonicalizeCodeableConcept(condition.code),
     bodySite: condition.bodySite,
     subject: {
       reference: `Patient/${condition.subjectId}`,
@@ -148,6 +166,10 @@ router.post('/', asyncHandler(async (req, res) => {
     throw new NotFoundError('Patient', patientId);
   }
 
+  // Validate ICD-11 clusters and coding rules before storing the diagnosis
+  const code = await annotateClusterCodings(canonicalizeCodeableConcept(conditionData.code));
+  const outcome = await enforceCodingRules(code);
+
   // Create Condition
   const condition = await prisma.condition.create({
     data: {
@@ -155,7 +177,7 @@ router.post('/', asyncHandler(async (req, res) => {
       verificationStatus: conditionData.verificationStatus,
       category: conditionData.category || [],
       severity: conditionData.severity,
-      code: conditionData.code,
+      code,
       bodySite: conditionData.bodySite || [],
       subjectId: patientId,
       encounterId: conditionData.encounter?.reference?.replace('Encounter/', ''),
@@ -180,7 +202,7 @@ router.post('/', asyncHandler(async (req, res) => {
     verificationStatus: condition.verificationStatus,
     category: condition.category,
     severity: condition.severity,
-    code: condition.code,
+    code: canonicalizeCodeableConcept(condition.code),
     bodySite: condition.bodySite,
     subject: {
       reference: `Patient/${condition.subjectId}`,
@@ -193,7 +215,7 @@ router.post('/', asyncHandler(async (req, res) => {
     recordedDate: condition.recordedDate?.toISOString()
   };
 
-  res.status(201).json(fhirCondition);
+  res.status(201).json(withCodingRuleWarnings(fhirCondition, outcome));
 }));
 
 /**
@@ -218,6 +240,9 @@ router.put('/:id', asyncHandler(async (req, res) => {
     patientId = conditionData.subject.reference.replace('Patient/', '');
   }
 
+  const code = await annotateClusterCodings(canonicalizeCodeableConcept(conditionData.code));
+  const outcome = code ? await enforceCodingRules(code) : null;
+
   // Update Condition
   const updatedCondition = await prisma.condition.update({
     where: { id },
@@ -226,7 +251,7 @@ router.put('/:id', asyncHandler(async (req, res) => {
       verificationStatus: conditionData.verificationStatus,
       category: conditionData.category,
       severity: conditionData.severity,
-      code: conditionData.code,
+      code,
       bodySite: conditionData.bodySite,
       subjectId: patientId,
       encounterId: conditionData.encounter?.reference?.replace('Encounter/', ''),
@@ -263,7 +288,7 @@ router.put('/:id', asyncHandler(async (req, res) => {
     recordedDate: updatedCondition.recordedDate?.toISOString()
   };
 
-  res.json(fhirCondition);
+  res.json(withCodingRuleWarnings(fhirCondition, outcome));
 }));
 
 /**
@@ -289,4 +314,30 @@ router.delete('/:id', asyncHandler(async (req, res) => {
   res.status(204).send();
 }));
 
+/**
+ * Helper function to evaluate the coding rules for a $validate-coding-rules request
+ */
+async function validateCodingRules(req) {
+  let code;
+
+  if (req.method === 'GET') {
+    code = { coding: [].concat(req.query.coding || []).map(toCoding) };
+  } else if (req.body?.resourceType === 'Condition') {
+    code = req.body.code;
+  } else {
+    const parameters = req.body?.parameter || [];
+    const resource = parameters.find(param => param.name === 'resource')?.resource;
+    const codeableConcept = parameters.find(param => param.name === 'codeableConcept')?.valueCodeableConcept;
+    const codings = parameters.filter(param => param.name === 'coding').map(param => param.valueCoding);
+
+    code = resource?.code || codeableConcept || { coding: codings };
+  }
+
+  if (!code || !Array.isArray(code.coding) || code.coding.length === 0) {
+    throw new ValidationError('A Condition, codeableConcept or coding parameter is required');
+  }
+
+  return evaluateCodingRules(await annotateClusterCodings(canonicalizeCodeableConcept(code)));
+}
+
 module.exports = router;
@@ -0,0 +1,114 @@
+const express = require('express');
+const { asyncHandler, NotFoundError, ValidationError } = require('../middleware/errorHandler');
+const { validateFHIRRequest } = require('../middleware/requestLogger');
+const { getOperationParameters } = require('../utils/parameters');
+const { NAMING_SYSTEMS, findNamingSystem } = require('../utils/systemAlias');
+
+const router = express.Router();
+
+// Apply FHIR validation to all routes
+router.use(validateFHIRRequest);
+
+/**
+ * GET /fhir/NamingSystem - Search the code system URL registry
+ * value matches the canonical URL or any alias
+ */
+router.get('/', asyncHandler(async (req, res) => {
+  const { value, name, kind } = req.query;
+
+  const namingSystems = NAMING_SYSTEMS.filter(namingSystem =>
+    (!value || findNamingSystem(value) === namingSystem) &&
+    (!name || namingSystem.name.toLowerCase().includes(name.toLowerCase())) &&
+    (!kind || kind === 'codesystem')
+  );
+
+  res.json({
+    resourceType: 'Bundle',
+    type: 'searchset',
+    total: namingSystems.length,
+    entry: namingSystems.map(namingSystem => ({
+      resource: toNamingSystemResource(namingSystem)
+    }))
+  });
+}));
+
+/**
+ * GET/POST /fhir/NamingSystem/$preferred-id - Get the preferred identifier
+ * for a system identifier, e.g. the canonical URL for an alias URL.
+ * Parameters: id (required), type (uri)
+ */
+router.get('/$preferred-id', asyncHandler(async (req, res) => {
+  res.json(preferredId(getOperationParameters(req)));
+}));
+
+router.post('/$preferred-id', asyncHandler(async (req, res) => {
+  res.json(preferredId(getOperationParameters(req)));
+}));
+
+/**
+ * GET /fhir/NamingSystem/:id - Read NamingSystem by ID
+ */
+router.get('/:id', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const namingSystem = NAMING_SYSTEMS.find(ns => ns.id === id);
+
+  if (!namingSystem) {
+    throw new NotFoundError('NamingSystem', id);
+  }
+
+  res.json(toNamingSystemResource(namingSystem));
+}));
+
+/**
+ * Resolve $preferred-id parameters to a Parameters response
+ */
+function preferredId({ id, type = 'uri' }) {
+  if (!id) {
+    throw new ValidationError('id parameter is required');
+  }
+
+  if (type !== 'uri') {
+    throw new ValidationError(`Identifier type '${type}' is not supported; system identifiers are URIs`);
+  }
+
+  const namingSystem = findNamingSystem(id);
+
+  if (!namingSystem) {
+    throw new NotFoundError('NamingSystem', id);
+  }
+
+  return {
+    resourceType: 'Parameters',
+    parameter: [
+      { name: 'result', valueString: namingSystem.url }
+    ]
+  };
+}
+
+/**
+ * Convert a registry entry to a FHIR NamingSystem resource
+ */
+function toNamingSystemResource(namingSystem) {
+  return {
+    resourceType: 'NamingSystem',
+    id: namingSystem.id,
+    name: namingSystem.name,
+    status: 'active',
+    kind: 'codesystem',
+    date: new Date().toISOString(),
+    publisher: namingSystem.publisher,
+    description: `${namingSystem.title}. ${namingSystem.description}`,
+    uniqueId: [
+      { type: 'uri', value: namingSystem.url, preferred: true },
+      ...namingSystem.aliases.map(alias => ({
+        type: 'uri',
+        value: alias,
+        preferred: false,
+        comment: 'Alias; codings are rewritten to the preferred URI'
+      }))
+    ]
+  };
+}
+
+module.exports = router;
@@ -2,6 +2,13 @@ const express = require('express');
 const { asyncHandler, ValidationError, NotFoundError } = require('../middleware/errorHandler');
 const { validateFHIRRequest } = require('../middleware/requestLogger');
 const { authenticateApiKey, authorizeAccess, auditLog } = require('../middleware/auth');
+const { resolveCodeSystem } = require('../services/codeSystemResolver');
+const { findConceptByCode } = require('../services/conceptAlias');
+const { validateClusterExpression } = require('../services/icdCluster');
+const { enforceCodingRules, withCodingRuleWarnings } = require('../services/codingRules');
+const { NO_MATCH_EQUIVALENCES, translateWithConceptMaps } = require('../services/conceptMapTranslation');
+const { isClusterExpression, isTm2Code, toClusterExtension, getStemCode } = require('../utils/icdCluster');
+const { ICD11_MMS_URL, isSameSystem, canonicalizeCodeableConcept } = require('../utils/systemAlias');
 const { PrismaClient } = require('@prisma/client');
 
 const router = express.Router();
@@ -12,12 +19,13 @@ router.use(validateFHIRRequest);
 
 /**
  * POST /fhir/problem-list - Create FHIR Problem List with dual coding
- * Creates a complete problem list entry with NAMASTE and ICD-11 codes
+ * Creates a complete problem list entry with NAMASTE or Siddha and ICD-11 codes
  */
 router.post('/', authenticateApiKey, authorizeAccess(['write']), auditLog('CREATE_PROBLEM_LIST'), asyncHandler(async (req, res) => {
   const {
     patientId,
     namasteCode,
+    siddhaCode,
     icd11Code,
     clinicalStatus = 'active',
     verificationStatus = 'confirmed',
@@ -33,8 +41,8 @@ router.post('/', authenticateApiKey, authorizeAccess(['write']), auditLog('CREAT
     throw new ValidationError('patientId is required');
   }
 
-  if (!namasteCode && !icd11Code) {
-    throw new ValidationError('Either namasteCode or icd11Code is required');
+  if (!namasteCode && !siddhaCode && !icd11Code) {
+    throw new ValidationError('Either namasteCode, siddhaCode or icd11Code is required');
   }
 
   // Verify patient exists
@@ -53,93 +61,133 @@ router.post('/', authenticateApiKey, authorizeAccess(['write']), auditLog('CREAT
   // Build coding array
   const coding = [];
 
-  // Add NAMASTE code if provided
-  if (namasteCode) {
-    const namasteConcept = await prisma.codeSystemConcept.findFirst({
-      where: {
-        code: namasteCode,
-        codeSystem: {
-          url: 'https://ayush.gov.in/fhir/CodeSystem/namaste'
-        }
-      },
+  // Add NAMASTE and Siddha codes if provided
+  const traditionalCodes = [
+    { label: 'NAMASTE', code: namasteCode, url: 'https://ayush.gov.in/fhir/CodeSystem/namaste' },
+    { label: 'Siddha', code: siddhaCode, url: 'https://ayush.gov.in/fhir/CodeSystem/siddha' }
+  ];
+  let mappedIcd11 = false;
+  let addedTm2Code = null;
+
+  for (const traditional of traditionalCodes) {
+    if (!traditional.code) continue;
+
+    const traditionalSystem = await resolveCodeSystem(traditional.url);
+    // Accepts the compound NAMC_CODE or any of its aliases (AAA-1, SR11, NAMC_ID)
+    const traditionalConcept = traditionalSystem && await findConceptByCode(traditionalSystem.id, traditional.code, {
       include: {
         codeSystem: true,
         designations: true
       }
     });
 
-    if (!namasteConcept) {
-      throw new ValidationError(`NAMASTE code '${namasteCode}' not found`);
+    if (!traditionalConcept) {
+      throw new ValidationError(`${traditional.label} code '${traditional.code}' not found`);
     }
 
     coding.push({
-      system: 'https://ayush.gov.in/fhir/CodeSystem/namaste',
-      code: namasteConcept.code,
-      display: namasteConcept.display,
-      version: '1.0'
+      system: traditional.url,
+      code: traditionalConcept.code,
+      display: traditionalConcept.display,
+      ...(traditionalSystem.version && { version: traditionalSystem.version })
     });
 
-    // If ICD-11 code not provided, try to find mapping
-    if (!icd11Code) {
-      const mappings = await findMappingsForConcept(namasteCode, 'https://ayush.gov.in/fhir/CodeSystem/namaste');
-      if (mappings.length > 0) {
+    // Unless a TM2 code was provided, try to find the TM2 mapping (once for all
+    // traditional codes) so a biomedical icd11Code is recorded alongside it
+    if (!mappedIcd11 && !(icd11Code && isTm2Code(icd11Code))) {
+      const { matches } = await translateWithConceptMaps({
+        code: traditionalConcept.code,
+        system: traditional.url,
+        source: traditional.url,
+        target: ICD11_MMS_URL,
+        targetSystem: ICD11_MMS_URL
+      });
+      const mapped = matches.find(match => match.concept.code && !NO_MATCH_EQUIVALENCES.includes(match.equivalence));
+      if (mapped) {
         coding.push({
-          system: mappings[0].targetSystem,
-          code: mappings[0].targetCode,
-          display: mappings[0].targetDisplay,
-          version: '1.0'
+          system: mapped.concept.system,
+          code: mapped.concept.code,
+          display: mapped.concept.display
         });
+        mappedIcd11 = true;
+        if (isTm2Code(mapped.concept.code)) addedTm2Code = mapped.concept.code;
       }
     }
   }
 
+  // Without an icd11Code, follow the TM2 code added above to a biomedical
+  // ICD-11 code so the diagnosis is dual coded
+  if (addedTm2Code && !icd11Code) {
+    const { matches } = await translateWithConceptMaps({
+      code: addedTm2Code,
+      system: ICD11_MMS_URL,
+      source: ICD11_MMS_URL,
+      target: ICD11_MMS_URL,
+      targetSystem: ICD11_MMS_URL
+    });
+    const biomedical = matches.find(match =>
+      match.concept.code &&
+      !isTm2Code(match.concept.code) &&
+      !NO_MATCH_EQUIVALENCES.includes(match.equivalence)
+    );
+    if (biomedical) {
+      coding.push({
+        system: biomedical.concept.system,
+        code: biomedical.concept.code,
+        display: biomedical.concept.display
+      });
+    }
+  }
+
   // Add ICD-11 code if provided
   if (icd11Code) {
-    const icd11Systems = [
-      'http://id.who.int/icd/release/11/mms',
-      'https://icd.who.int/browse11/l-m/en'
-    ];
-
-    let icd11Concept = null;
-    for (const systemUrl of icd11Systems) {
-      icd11Concept = await prisma.codeSystemConcept.findFirst({
-        where: {
-          code: icd11Code,
-          codeSystem: {
-            url: systemUrl
-          }
-        },
-        include: {
-          codeSystem: true
-        }
-      });
+    // Alias URLs resolve to the canonical ICD-11 MMS CodeSystem
+    const icd11System = await resolveCodeSystem(ICD11_MMS_URL);
 
-      if (icd11Concept) {
-        coding.push({
-          system: systemUrl,
-          code: icd11Concept.code,
-          display: icd11Concept.display,
-          version: '1.0'
-        });
-        break;
-      }
+    // Postcoordinated codes are recorded once every component is valid
+    const cluster = isClusterExpression(icd11Code) ? await validateClusterExpression(icd11System, icd11Code) : null;
+    if (cluster && !cluster.valid) {
+      throw new ValidationError(`Invalid ICD-11 cluster '${icd11Code}': ${cluster.messages.join('; ')}`);
     }
 
+    const icd11Concept = icd11System && await prisma.codeSystemConcept.findFirst({
+      where: {
+        code: cluster ? cluster.stemCode : icd11Code,
+        codeSystemId: icd11System.id
+      },
+      include: {
+        codeSystem: true
+      }
+    });
+
     if (!icd11Concept) {
       throw new ValidationError(`ICD-11 code '${icd11Code}' not found`);
     }
 
-    // If NAMASTE code not provided, try to find reverse mapping
-    if (!namasteCode) {
-      const reverseMappings = await findReverseMappingsForConcept(icd11Code, icd11Concept.codeSystem.url);
-      if (reverseMappings.length > 0) {
-        const namasteConcept = await prisma.codeSystemConcept.findFirst({
-          where: {
-            code: reverseMappings[0].sourceCode,
-            codeSystem: {
-              url: reverseMappings[0].sourceSystem
-            }
-          },
+    coding.push({
+      system: ICD11_MMS_URL,
+      code: cluster ? cluster.expression : icd11Concept.code,
+      display: cluster ? cluster.display : icd11Concept.display,
+      ...(icd11System.version && { version: icd11System.version }),
+      ...(cluster && { extension: [toClusterExtension(cluster.components, ICD11_MMS_URL)] })
+    });
+
+    // If no NAMASTE or Siddha code provided, try to find reverse mapping
+    if (!namasteCode && !siddhaCode) {
+      // Only NAMASTE and Siddha sources, not intermediate terminologies such as WHO ITA
+      const { matches } = await translateWithConceptMaps({
+        code: icd11Concept.code,
+        system: ICD11_MMS_URL,
+        reverse: true
+      });
+      const reverseMatch = matches.find(match =>
+        match.concept.code &&
+        !NO_MATCH_EQUIVALENCES.includes(match.equivalence) &&
+        traditionalCodes.some(traditional => traditional.url === match.concept.system)
+      );
+      if (reverseMatch) {
+        const sourceSystem = await resolveCodeSystem(reverseMatch.concept.system);
+        const namasteConcept = sourceSystem && await findConceptByCode(sourceSystem.id, reverseMatch.concept.code, {
           include: {
             codeSystem: true
           }
@@ -147,10 +195,10 @@ router.post('/', authenticateApiKey, authorizeAccess(['write']), auditLog('CREAT
 
         if (namasteConcept) {
           coding.push({
-            system: reverseMappings[0].sourceSystem,
+            system: reverseMatch.concept.system,
             code: namasteConcept.code,
             display: namasteConcept.display,
-            version: '1.0'
+            ...(sourceSystem.version && { version: sourceSystem.version })
           });
         }
       }
@@ -161,6 +209,13 @@ router.post('/', authenticateApiKey, authorizeAccess(['write']), auditLog('CREAT
     throw new ValidationError('Unable to create problem list entry - no valid codes found');
   }
 
+  // Enforce ICD-11 coding rules, e.g. TM2 codes need a biomedical code. A
+  // TM2 code the server added from the mappings only gives a warning when
+  // no biomedical code could be found for it
+  const outcome = await enforceCodingRules({ coding }, 'Condition.code', {
+    severities: addedTm2Code && !icd11Code ? { 'tm2-requires-biomedical': 'warning' } : {}
+  });
+
   // Create the Condition resource
   const condition = await prisma.condition.create({
     data: {
@@ -235,7 +290,7 @@ router.post('/', authenticateApiKey, authorizeAccess(['write']), auditLog('CREAT
     verificationStatus: condition.verificationStatus,
     category: condition.category,
     severity: condition.severity,
-    code: condition.code,
+    code: canonicalizeCodeableConcept(condition.code),
     bodySite: condition.bodySite,
     subject: {
       reference: `Patient/${condition.subjectId}`,
@@ -251,7 +306,7 @@ router.post('/', authenticateApiKey, authorizeAccess(['write']), auditLog('CREAT
     note: condition.note
   };
 
-  res.status(201).json(fhirCondition);
+  res.status(201).json(withCodingRuleWarnings(fhirCondition, outcome));
 }));
 
 /**
@@ -325,7 +380,7 @@ router.get('/:patientId', asyncHandler(async (req, res) => {
         verificationStatus: condition.verificationStatus,
         category: condition.category,
         severity: condition.severity,
-        code: condition.code,
+        code: canonicalizeCodeableConcept(condition.code),
         bodySite: condition.bodySite,
         subject: {
           reference: `Patient/${condition.subjectId}`,
@@ -438,6 +493,10 @@ router.get('/:patientId/summary', asyncHandler(async (req, res) => {
             name: 'namasteCodings',
             valueInteger: terminologyStats.namaste
           },
+          {
+            name: 'siddhaCodings',
+            valueInteger: terminologyStats.siddha
+          },
           {
             name: 'icd11Codings',
             valueInteger: terminologyStats.icd11
@@ -445,7 +504,15 @@ router.get('/:patientId/summary', asyncHandler(async (req, res) => {
           {
             name: 'dualCodings',
             valueInteger: terminologyStats.dual
-          }
+          },
+          // Postcoordinated ICD-11 codings are counted under their stem code
+          ...Object.entries(terminologyStats.icd11StemCodes).map(([stemCode, count]) => ({
+            name: 'icd11StemCode',
+            part: [
+              { name: 'code', valueCode: stemCode },
+              { name: 'count', valueInteger: count }
+            ]
+          }))
         ]
       },
       {
@@ -459,7 +526,7 @@ router.get('/:patientId/summary', asyncHandler(async (req, res) => {
             },
             {
               name: 'code',
-              valueCodeableConcept: condition.code
+              valueCodeableConcept: canonicalizeCodeableConcept(condition.code)
             },
             {
               name: 'recordedDate',
@@ -476,91 +543,6 @@ router.get('/:patientId/summary', asyncHandler(async (req, res) => {
 
 // Helper functions
 
-/**
- * Find mappings for a concept
- */
-async function findMappingsForConcept(code, system, targetSystem = null) {
-  const conceptMaps = await prisma.conceptMap.findMany({
-    where: {
-      sourceUri: system,
-      ...(targetSystem && { targetUri: targetSystem })
-    },
-    include: {
-      groups: {
-        include: {
-          elements: {
-            where: { code },
-            include: {
-              targets: true
-            }
-          }
-        }
-      }
-    }
-  });
-
-  const mappings = [];
-  for (const conceptMap of conceptMaps) {
-    for (const group of conceptMap.groups) {
-      for (const element of group.elements) {
-        for (const target of element.targets) {
-          mappings.push({
-            targetSystem: conceptMap.targetUri,
-            targetCode: target.code,
-            targetDisplay: target.display,
-            equivalence: target.equivalence,
-            comment: target.comment
-          });
-        }
-      }
-    }
-  }
-
-  return mappings;
-}
-
-/**
- * Find reverse mappings for a concept
- */
-async function findReverseMappingsForConcept(code, system) {
-  const conceptMaps = await prisma.conceptMap.findMany({
-    where: {
-      targetUri: system
-    },
-    include: {
-      groups: {
-        include: {
-          elements: {
-            include: {
-              targets: {
-                where: { code }
-              }
-            }
-          }
-        }
-      }
-    }
-  });
-
-  const mappings = [];
-  for (const conceptMap of conceptMaps) {
-    for (const group of conceptMap.groups) {
-      for (const element of group.elements) {
-        if (element.targets.length > 0) {
-          mappings.push({
-            sourceSystem: conceptMap.sourceUri,
-            sourceCode: element.code,
-            sourceDisplay: element.display,
-            equivalence: element.targets[0].equivalence
-          });
-        }
-      }
-    }
-  }
-
-  return mappings;
-}
-
 /**
  * Analyze terminology usage for a patient
  */
@@ -571,29 +553,38 @@ async function analyzeTerminologyUsage(patientId) {
   });
 
   let namasteCount = 0;
+  let siddhaCount = 0;
   let icd11Count = 0;
   let dualCount = 0;
+  const icd11StemCodes = {};
 
   for (const condition of conditions) {
     if (condition.code && condition.code.coding) {
       const codings = Array.isArray(condition.code.coding) ? condition.code.coding : [condition.code.coding];
       
       const hasNamaste = codings.some(c => c.system === 'https://ayush.gov.in/fhir/CodeSystem/namaste');
-      const hasIcd11 = codings.some(c => 
-        c.system === 'http://id.who.int/icd/release/11/mms' ||
-        c.system === 'https://icd.who.int/browse11/l-m/en'
-      );
+      const hasSiddha = codings.some(c => c.system === 'https://ayush.gov.in/fhir/CodeSystem/siddha');
+      const icd11Coding = codings.find(c => isSameSystem(c.system, ICD11_MMS_URL));
+      const hasIcd11 = !!icd11Coding;
+
+      if (icd11Coding) {
+        const stemCode = getStemCode(icd11Coding);
+        icd11StemCodes[stemCode] = (icd11StemCodes[stemCode] || 0) + 1;
+      }
 
       if (hasNamaste) namasteCount++;
+      if (hasSiddha) siddhaCount++;
       if (hasIcd11) icd11Count++;
-      if (hasNamaste && hasIcd11) dualCount++;
+      if ((hasNamaste || hasSiddha) && hasIcd11) dualCount++;
     }
   }
 
   return {
     namaste: namasteCount,
+    siddha: siddhaCount,
     icd11: icd11Count,
-    dual: dualCount
+    dual: dualCount,
+    icd11StemCodes
   };
 }
 
@@ -1,43 +1,67 @@
 const express = require('express');
 const { asyncHandler, ValidationError } = require('../middleware/errorHandler');
 const { validateFHIRRequest } = require('../middleware/requestLogger');
+const { resolveCodeSystem } = require('../services/codeSystemResolver');
+const { findConceptByCode, getConceptCodes } = require('../services/conceptAlias');
+const { searchConcepts, suggestTerms } = require('../services/terminologySearch');
+const { localizeMappings } = require('../services/conceptDisplay');
+const { REVERSE_EQUIVALENCE, NO_MATCH_EQUIVALENCES, combineEquivalence, translateWithConceptMaps } = require('../services/conceptMapTranslation');
+const { getRequestedLanguages, localizeConcept } = require('../utils/language');
+const { ICD11_MMS_URL, getCanonicalSystem, isSameSystem } = require('../utils/systemAlias');
 const { PrismaClient } = require('@prisma/client');
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
+// Terminology keys accepted by systems= and their CodeSystem URLs
+const systemUrls = {
+  'namaste': 'https://ayush.gov.in/fhir/CodeSystem/namaste',
+  'siddha': 'https://ayush.gov.in/fhir/CodeSystem/siddha',
+  'ita': 'https://ayush.gov.in/fhir/CodeSystem/who-ita',
+  'unani': 'https://ayush.gov.in/fhir/CodeSystem/unani',
+  // TM2 and biomedical ICD-11 codes share the MMS CodeSystem
+  'icd11-tm2': ICD11_MMS_URL,
+  'icd11': ICD11_MMS_URL
+};
+
+// Most ConceptMaps a chained translation goes through
+const MAX_CHAIN_LENGTH = 3;
+
 // Apply FHIR validation to all routes
 router.use(validateFHIRRequest);
 
 /**
  * GET /fhir/terminology/$autocomplete - Enhanced auto-complete for NAMASTE and ICD-11
- * Supports searching across multiple terminology systems with dual coding
+ * Supports searching across multiple terminology systems with dual coding.
+ * fuzzy=true adds typo-tolerant trigram matching; when nothing matches,
+ * "did you mean" suggestions are returned. Displays follow displayLanguage
+ * (or language) and the Accept-Language header.
  */
 router.get('/$autocomplete', asyncHandler(async (req, res) => {
   const {
     search,
     system,
-    language = 'en',
+    language,
+    displayLanguage,
     limit = 20,
     includeDesignations = true,
     includeMappings = true,
-    systems = 'namaste,icd11-tm2,unani' // Default systems to search
+    includeInactive = 'false',
+    fuzzy = 'false',
+    systems = 'namaste,siddha,ita,icd11-tm2,unani' // Default systems to search
   } = req.query;
 
   if (!search || search.length < 2) {
     throw new ValidationError('search parameter must be at least 2 characters');
   }
 
+  const withDesignations = includeDesignations !== 'false';
+  const languages = getRequestedLanguages(req, displayLanguage || language);
+
   // Parse systems to search
   const systemsToSearch = systems.split(',').map(s => s.trim().toLowerCase());
-  const systemUrls = {
-    'namaste': 'https://ayush.gov.in/fhir/CodeSystem/namaste',
-    'unani': 'https://ayush.gov.in/fhir/CodeSystem/unani',
-    'icd11-tm2': 'http://id.who.int/icd/release/11/mms',
-    'icd11': 'https://icd.who.int/browse11/l-m/en'
-  };
-
   const results = [];
+  const searchedCodeSystemIds = [];
 
   // Search in specified systems
   for (const systemKey of systemsToSearch) {
@@ -45,56 +69,55 @@ router.get('/$autocomplete', asyncHandler(async (req, res) => {
     if (!systemUrl) continue;
 
     // Skip if specific system is requested and this isn't it
-    if (system && system !== systemUrl) continue;
+    if (system && !isSameSystem(system, systemUrl)) continue;
 
-    const codeSystem = await prisma.codeSystem.findUnique({
-      where: { url: systemUrl },
-      include: {
-        concepts: {
-          where: {
-            OR: [
-              { code: { contains: search, mode: 'insensitive' } },
-              { display: { contains: search, mode: 'insensitive' } },
-              { definition: { contains: search, mode: 'insensitive' } },
-              ...(includeDesignations ? [{
-                designations: {
-                  some: {
-                    value: { contains: search, mode: 'insensitive' }
-                  }
-                }
-              }] : [])
-            ]
-          },
-          include: {
-            designations: includeDesignations,
-            codeSystem: {
-              select: { name: true, url: true, title: true }
-            }
-          },
-          take: Math.min(parseInt(limit), 50),
-          orderBy: [
-            { display: 'asc' },
-            { code: 'asc' }
-          ]
-        }
-      }
+    const codeSystem = await resolveCodeSystem(systemUrl);
+    if (!codeSystem || searchedCodeSystemIds.includes(codeSystem.id)) continue;
+
+    searchedCodeSystemIds.push(codeSystem.id);
+
+    // Retired concepts are hidden unless explicitly requested
+    const matches = await searchConcepts(codeSystem.id, search, {
+      fuzzy: fuzzy === 'true',
+      includeInactive: includeInactive === 'true',
+      includeDesignations: withDesignations,
+      limit: Math.min(parseInt(limit), 50)
     });
 
-    if (codeSystem && codeSystem.concepts.length > 0) {
-      for (const concept of codeSystem.concepts) {
+    if (matches.length > 0) {
+      const concepts = await prisma.codeSystemConcept.findMany({
+        where: { id: { in: matches.map(match => match.id) } },
+        include: {
+          // Designations are needed to choose the display language
+          designations: withDesignations || languages.length > 0,
+          codeSystem: {
+            select: { name: true, url: true, title: true }
+          }
+        }
+      });
+      const conceptsById = new Map(concepts.map(concept => [concept.id, concept]));
+
+      for (const match of matches) {
+        const concept = conceptsById.get(match.id);
+        if (!concept) continue;
+
+        const localized = localizeConcept(concept, languages);
+
         const result = {
-          system: codeSystem.url,
+          system: getCanonicalSystem(codeSystem.url),
+          version: codeSystem.version || undefined,
           systemName: codeSystem.name,
           code: concept.code,
-          display: concept.display,
+          display: localized.display,
           definition: concept.definition,
-          score: calculateRelevanceScore(concept, search),
+          score: calculateRelevanceScore(concept, search) +
+            Math.round((match.similarity + match.rank) * 100),
           terminology: systemKey.toUpperCase()
         };
 
         // Add designations (translations)
-        if (includeDesignations && concept.designations?.length > 0) {
-          result.designations = concept.designations.map(d => ({
+        if (withDesignations && localized.designations.length > 0) {
+          result.designations = localized.designations.map(d => ({
             language: d.language,
             value: d.value,
             use: d.use
@@ -103,7 +126,10 @@ router.get('/$autocomplete', asyncHandler(async (req, res) => {
 
         // Find mappings if requested
         if (includeMappings) {
-          const mappings = await findMappingsForConcept(concept.code, codeSystem.url);
+          const mappings = await localizeMappings(
+            await findMappingsForConcept(getConceptCodes(concept), codeSystem.url),
+            languages
+          );
           if (mappings.length > 0) {
             result.mappings = mappings;
           }
@@ -118,6 +144,11 @@ router.get('/$autocomplete', asyncHandler(async (req, res) => {
   results.sort((a, b) => b.score - a.score);
   const limitedResults = results.slice(0, parseInt(limit));
 
+  // Offer "did you mean" suggestions when nothing matched
+  const suggestions = limitedResults.length === 0
+    ? await suggestTerms(searchedCodeSystemIds, search)
+    : [];
+
   // Build FHIR Parameters response
   const response = {
     resourceType: 'Parameters',
@@ -138,6 +169,19 @@ router.get('/$autocomplete', asyncHandler(async (req, res) => {
         name: 'systemsSearched',
         valueString: systemsToSearch.join(', ')
       },
+      ...suggestions.map(suggestion => ({
+        name: 'suggestion',
+        part: [
+          {
+            name: 'term',
+            valueString: suggestion.term
+          },
+          {
+            name: 'score',
+            valueDecimal: Math.round(suggestion.score * 100) / 100
+          }
+        ]
+      })),
       ...limitedResults.map((result, index) => ({
         name: 'match',
         part: [
@@ -155,7 +199,7 @@ router.get('/$autocomplete', asyncHandler(async (req, res) => {
               system: result.system,
               code: result.code,
               display: result.display,
-              version: '1.0'
+              version: result.version
             }
           },
           {
@@ -168,7 +212,7 @@ router.get('/$autocomplete', asyncHandler(async (req, res) => {
           }] : []),
           ...(result.designations ? [{
             name: 'designations',
-            valueString: result.designations.map(d => `${d.language}: ${d.value}`).join('; ')
+            valueString: result.designations.map(d => d.language ? `${d.language}: ${d.value}` : d.value).join('; ')
           }] : []),
           ...(result.mappings ? [{
             name: 'mappings',
@@ -203,11 +247,16 @@ router.get('/$autocomplete', asyncHandler(async (req, res) => {
 }));
 
 /**
- * POST /fhir/terminology/$translate - Translate between NAMASTE and ICD-11
+ * POST /fhir/terminology/$translate - Translate between NAMASTE, WHO ITA and ICD-11
+ * Source and target displays follow displayLanguage or Accept-Language.
+ * With reverse=true the code is looked up as a ConceptMap target (e.g. ITA -> NAMASTE).
+ * With chain=true mappings are followed through further ConceptMaps (e.g.
+ * NAMASTE -> TM2 -> ICD-11 biomedicine) and each match lists its path.
+ * Only approved mappings are used unless includeProposed=true.
  */
 router.post('/$translate', asyncHandler(async (req, res) => {
-  const { code, system, target, reverse = false } = req.body.parameter?.reduce((acc, param) => {
-    acc[param.name] = param.valueCode || param.valueUri || param.valueBoolean;
+  const { code, system, version, target, displayLanguage, reverse = false, chain = false, includeProposed = false } = req.body.parameter?.reduce((acc, param) => {
+    acc[param.name === 'system-version' ? 'version' : param.name] = param.valueCode || param.valueUri || param.valueString || param.valueBoolean;
     return acc;
   }, {}) || {};
 
@@ -215,14 +264,17 @@ router.post('/$translate', asyncHandler(async (req, res) => {
     throw new ValidationError('code and system parameters are required');
   }
 
-  // Find concept in source system
-  const sourceConcept = await prisma.codeSystemConcept.findFirst({
-    where: {
-      code,
-      codeSystem: {
-        url: system
-      }
-    },
+  const isReverse = reverse === true || reverse === 'true';
+  const isChain = chain === true || chain === 'true';
+  const withProposed = includeProposed === true || includeProposed === 'true';
+
+  if (isReverse && isChain) {
+    throw new ValidationError('chain cannot be combined with reverse');
+  }
+
+  // Find concept in the requested (or latest active) version of the source system
+  const sourceSystem = await resolveCodeSystem(system, version);
+  const sourceConcept = sourceSystem && await findConceptByCode(sourceSystem.id, code, {
     include: {
       codeSystem: true,
       designations: true
@@ -237,13 +289,26 @@ router.post('/$translate', asyncHandler(async (req, res) => {
         valueBoolean: false
       }, {
         name: 'message',
-        valueString: `Code '${code}' not found in system '${system}'`
+        valueString: `Code '${code}' not found in system '${system}'${version ? ` version '${version}'` : ''}`
       }]
     });
   }
 
+  const languages = getRequestedLanguages(req, displayLanguage);
+
   // Find mappings
-  const mappings = await findMappingsForConcept(code, system, target);
+  const conceptCodes = getConceptCodes(sourceConcept);
+  let mappings;
+  if (isReverse) {
+    mappings = (await findReverseMappingsForConcept(conceptCodes, system, withProposed))
+      .filter(mapping => !target || isSameSystem(mapping.sourceSystem, target))
+      .map(reverseMapping);
+  } else if (isChain) {
+    mappings = await findChainedMappings(conceptCodes, system, target, withProposed);
+  } else {
+    mappings = await findMappingsForConcept(conceptCodes, system, target, withProposed);
+  }
+  mappings = await localizeMappings(mappings, languages);
 
   if (mappings.length === 0) {
     return res.json({
@@ -269,9 +334,10 @@ router.post('/$translate', asyncHandler(async (req, res) => {
       {
         name: 'source',
         valueCoding: {
-          system: sourceConcept.codeSystem.url,
+          system: getCanonicalSystem(sourceConcept.codeSystem.url),
+          version: sourceConcept.codeSystem.version,
           code: sourceConcept.code,
-          display: sourceConcept.display
+          display: localizeConcept(sourceConcept, languages).display
         }
       },
       ...mappings.map(mapping => ({
@@ -289,10 +355,15 @@ router.post('/$translate', asyncHandler(async (req, res) => {
               display: mapping.targetDisplay
             }
           },
+          ...(mapping.source ? [{
+            name: 'source',
+            valueUri: mapping.source
+          }] : []),
           ...(mapping.comment ? [{
             name: 'comment',
             valueString: mapping.comment
-          }] : [])
+          }] : []),
+          ...(mapping.path ? [buildPathParameter(mapping.path)] : [])
         ]
       }))
     ]
@@ -302,18 +373,23 @@ router.post('/$translate', asyncHandler(async (req, res) => {
 }));
 
 /**
- * GET /fhir/terminology/$dual-code-lookup - Look up dual codes (NAMASTE + ICD-11)
+ * GET /fhir/terminology/$dual-code-lookup - Look up dual codes (NAMASTE/Siddha + ICD-11)
+ * With chain=true the ICD-11 mappings also include codes reached through
+ * further ConceptMaps, e.g. the biomedicine code a TM2 code relates to.
  */
 router.get('/$dual-code-lookup', asyncHandler(async (req, res) => {
   const { 
     namasteCode, 
+    siddhaCode,
+    itaCode,
     icd11Code, 
     includeDetails = true,
-    includeHierarchy = false 
+    includeHierarchy = false,
+    chain = false
   } = req.query;
 
-  if (!namasteCode && !icd11Code) {
-    throw new ValidationError('Either namasteCode or icd11Code parameter is required');
+  if (!namasteCode && !siddhaCode && !itaCode && !icd11Code) {
+    throw new ValidationError('Either namasteCode, siddhaCode, itaCode or icd11Code parameter is required');
   }
 
   const result = {
@@ -321,15 +397,18 @@ router.get('/$dual-code-lookup', asyncHandler(async (req, res) => {
     parameter: []
   };
 
-  // Look up NAMASTE code
-  if (namasteCode) {
-    const namasteConcept = await prisma.codeSystemConcept.findFirst({
-      where: {
-        code: namasteCode,
-        codeSystem: {
-          url: 'https://ayush.gov.in/fhir/CodeSystem/namaste'
-        }
-      },
+  // Look up NAMASTE, Siddha and WHO ITA codes
+  const traditionalCodes = [
+    { name: 'namaste', mappingName: 'mappedIcd11Codes', itaMappingName: 'mappedItaCodes', code: namasteCode, url: systemUrls.namaste },
+    { name: 'siddha', mappingName: 'siddhaMappedIcd11Codes', itaMappingName: 'siddhaMappedItaCodes', code: siddhaCode, url: systemUrls.siddha },
+    { name: 'ita', mappingName: 'itaMappedIcd11Codes', code: itaCode, url: systemUrls.ita }
+  ];
+
+  for (const traditional of traditionalCodes) {
+    if (!traditional.code) continue;
+
+    const traditionalSystem = await resolveCodeSystem(traditional.url);
+    const traditionalConcept = traditionalSystem && await findConceptByCode(traditionalSystem.id, traditional.code, {
       include: {
         codeSystem: true,
         designations: true,
@@ -340,43 +419,101 @@ router.get('/$dual-code-lookup', asyncHandler(async (req, res) => {
       }
     });
 
-    if (namasteConcept) {
+    if (traditionalConcept) {
       result.parameter.push({
-        name: 'namaste',
+        name: traditional.name,
         part: [
           {
             name: 'code',
             valueCoding: {
-              system: namasteConcept.codeSystem.url,
-              code: namasteConcept.code,
-              display: namasteConcept.display
+              system: traditionalConcept.codeSystem.url,
+              code: traditionalConcept.code,
+              display: traditionalConcept.display
             }
           },
-          ...(includeDetails && namasteConcept.definition ? [{
+          ...(includeDetails && traditionalConcept.definition ? [{
             name: 'definition',
-            valueString: namasteConcept.definition
+            valueString: traditionalConcept.definition
           }] : []),
-          ...(includeDetails && namasteConcept.designations.length > 0 ? [{
+          ...(includeDetails && traditionalConcept.designations.length > 0 ? [{
             name: 'designations',
-            valueString: namasteConcept.designations.map(d => `${d.language}: ${d.value}`).join('; ')
+            valueString: traditionalConcept.designations.map(d => `${d.language}: ${d.value}`).join('; ')
           }] : [])
         ]
       });
 
-      // Find ICD-11 mappings for this NAMASTE code
-      const mappings = await findMappingsForConcept(namasteCode, namasteConcept.codeSystem.url);
-      if (mappings.length > 0) {
+      // Find ICD-11 and WHO ITA mappings for this code
+      const mappings = chain === true || chain === 'true'
+        ? await findChainedMappings(getConceptCodes(traditionalConcept), traditionalConcept.codeSystem.url)
+        : await findMappingsForConcept(getConceptCodes(traditionalConcept), traditionalConcept.codeSystem.url);
+      const icd11Mappings = mappings.filter(mapping => mapping.targetSystem !== systemUrls.ita);
+      const itaMappings = mappings.filter(mapping => mapping.targetSystem === systemUrls.ita);
+
+      if (icd11Mappings.length > 0) {
+        result.parameter.push(buildMappingParameter(traditional.mappingName, icd11Mappings));
+      }
+
+      if (itaMappings.length > 0 && traditional.itaMappingName) {
+        result.parameter.push(buildMappingParameter(traditional.itaMappingName, itaMappings));
+      }
+    }
+  }
+
+  // Look up ICD-11 code
+  if (icd11Code) {
+    // Alias URLs resolve to the canonical ICD-11 MMS CodeSystem
+    const icd11System = await resolveCodeSystem(ICD11_MMS_URL);
+    const icd11Concept = icd11System && await prisma.codeSystemConcept.findFirst({
+      where: {
+        code: icd11Code,
+        codeSystemId: icd11System.id
+      },
+      include: {
+        codeSystem: true,
+        designations: true
+      }
+    });
+
+    if (icd11Concept) {
+      result.parameter.push({
+        name: 'icd11',
+        part: [
+          {
+            name: 'code',
+            valueCoding: {
+              system: getCanonicalSystem(icd11Concept.codeSystem.url),
+              code: icd11Concept.code,
+              display: icd11Concept.display
+            }
+          },
+          ...(includeDetails && icd11Concept.definition ? [{
+            name: 'definition',
+            valueString: icd11Concept.definition
+          }] : [])
+        ]
+      });
+
+      // Find reverse mappings (ICD-11 to NAMASTE, Siddha, Unani and WHO ITA)
+      const reverseMappings = await findReverseMappingsForConcept(icd11Code, ICD11_MMS_URL);
+      const reverseGroups = [
+        { name: 'mappedNamasteCodes', mappings: reverseMappings.filter(mapping => mapping.sourceSystem !== systemUrls.ita) },
+        { name: 'icd11MappedItaCodes', mappings: reverseMappings.filter(mapping => mapping.sourceSystem === systemUrls.ita) }
+      ];
+
+      for (const group of reverseGroups) {
+        if (group.mappings.length === 0) continue;
+
         result.parameter.push({
-          name: 'mappedIcd11Codes',
-          part: mappings.map(mapping => ({
-            name: 'mapping',
+          name: group.name,
+          part: group.mappings.map(mapping => ({
+            name: 'reverseMapping',
             part: [
               {
-                name: 'targetCode',
+                name: 'sourceCode',
                 valueCoding: {
-                  system: mapping.targetSystem,
-                  code: mapping.targetCode,
-                  display: mapping.targetDisplay
+                  system: mapping.sourceSystem,
+                  code: mapping.sourceCode,
+                  display: mapping.sourceDisplay
                 }
               },
               {
@@ -390,75 +527,6 @@ router.get('/$dual-code-lookup', asyncHandler(async (req, res) => {
     }
   }
 
-  // Look up ICD-11 code
-  if (icd11Code) {
-    const icd11Systems = [
-      'http://id.who.int/icd/release/11/mms',
-      'https://icd.who.int/browse11/l-m/en'
-    ];
-
-    for (const systemUrl of icd11Systems) {
-      const icd11Concept = await prisma.codeSystemConcept.findFirst({
-        where: {
-          code: icd11Code,
-          codeSystem: {
-            url: systemUrl
-          }
-        },
-        include: {
-          codeSystem: true,
-          designations: true
-        }
-      });
-
-      if (icd11Concept) {
-        result.parameter.push({
-          name: 'icd11',
-          part: [
-            {
-              name: 'code',
-              valueCoding: {
-                system: icd11Concept.codeSystem.url,
-                code: icd11Concept.code,
-                display: icd11Concept.display
-              }
-            },
-            ...(includeDetails && icd11Concept.definition ? [{
-              name: 'definition',
-              valueString: icd11Concept.definition
-            }] : [])
-          ]
-        });
-
-        // Find reverse mappings (ICD-11 to NAMASTE)
-        const reverseMappings = await findReverseMappingsForConcept(icd11Code, systemUrl);
-        if (reverseMappings.length > 0) {
-          result.parameter.push({
-            name: 'mappedNamasteCodes',
-            part: reverseMappings.map(mapping => ({
-              name: 'reverseMapping',
-              part: [
-                {
-                  name: 'sourceCode',
-                  valueCoding: {
-                    system: mapping.sourceSystem,
-                    code: mapping.sourceCode,
-                    display: mapping.sourceDisplay
-                  }
-                },
-                {
-                  name: 'equivalence',
-                  valueCode: mapping.equivalence
-                }
-              ]
-            }))
-          });
-        }
-        break;
-      }
-    }
-  }
-
   result.parameter.unshift({
     name: 'result',
     valueBoolean: result.parameter.length > 1 // More than just the result parameter
@@ -519,88 +587,157 @@ function calculateRelevanceScore(concept, searchTerm) {
 }
 
 /**
- * Find mappings for a concept
+ * Find mappings for a concept with the latest active ConceptMaps from its
+ * system (see translateWithConceptMaps). code may be a concept's code and
+ * alias codes; the first is translated. Only approved targets are used
+ * unless includeProposed is set.
  */
-async function findMappingsForConcept(code, system, targetSystem = null) {
-  const conceptMaps = await prisma.conceptMap.findMany({
-    where: {
-      sourceUri: system,
-      ...(targetSystem && { targetUri: targetSystem })
-    },
-    include: {
-      groups: {
-        include: {
-          elements: {
-            where: { code },
-            include: {
-              targets: true
-            }
-          }
-        }
-      }
-    }
+async function findMappingsForConcept(code, system, targetSystem = null, includeProposed = false) {
+  const { matches } = await translateWithConceptMaps({
+    code: [].concat(code)[0],
+    system,
+    source: system,
+    target: targetSystem,
+    targetSystem,
+    includeProposed
   });
 
+  return matches.map(match => ({
+    targetSystem: match.concept.system,
+    targetCode: match.concept.code,
+    targetDisplay: match.concept.display,
+    equivalence: match.equivalence,
+    comment: match.comment,
+    source: match.source
+  }));
+}
+
+/**
+ * Find mappings by following ConceptMaps from the concept's system through
+ * the systems they map to, up to MAX_CHAIN_LENGTH maps (e.g. NAMASTE -> TM2
+ * and TM2 -> ICD-11 biomedicine). Each mapping gets the combined equivalence
+ * of its steps and the path of maps and codes used. A path never uses a map
+ * twice or returns to a code it already passed; unmatched/disjoint mappings
+ * end the path.
+ */
+async function findChainedMappings(code, system, targetSystem = null, includeProposed = false) {
   const mappings = [];
-  for (const conceptMap of conceptMaps) {
-    for (const group of conceptMap.groups) {
-      for (const element of group.elements) {
-        for (const target of element.targets) {
-          mappings.push({
-            targetSystem: conceptMap.targetUri,
-            targetCode: target.code,
-            targetDisplay: target.display,
-            equivalence: target.equivalence,
-            comment: target.comment
-          });
-        }
+  const startCodes = [].concat(code).map(startCode => `${getCanonicalSystem(system)}|${startCode}`);
+
+  const follow = async (codes, fromSystem, path, equivalence) => {
+    for (const mapping of await findMappingsForConcept(codes, fromSystem, null, includeProposed)) {
+      if (!mapping.targetCode || NO_MATCH_EQUIVALENCES.includes(mapping.equivalence)) continue;
+
+      const key = `${mapping.targetSystem}|${mapping.targetCode}`;
+      if (path.some(step => step.source === mapping.source || `${step.system}|${step.code}` === key) || startCodes.includes(key)) {
+        continue;
+      }
+
+      const chained = {
+        ...mapping,
+        equivalence: equivalence ? combineEquivalence(equivalence, mapping.equivalence) : mapping.equivalence,
+        path: [...path, {
+          source: mapping.source,
+          system: mapping.targetSystem,
+          code: mapping.targetCode,
+          display: mapping.targetDisplay,
+          equivalence: mapping.equivalence
+        }]
+      };
+
+      if (!targetSystem || isSameSystem(targetSystem, mapping.targetSystem)) {
+        mappings.push(chained);
+      }
+
+      if (chained.path.length < MAX_CHAIN_LENGTH) {
+        await follow([mapping.targetCode], mapping.targetSystem, chained.path, chained.equivalence);
       }
     }
-  }
+  };
+
+  await follow([].concat(code), system, [], null);
 
   return mappings;
 }
 
 /**
- * Find reverse mappings for a concept
+ * Find reverse mappings for a concept with the latest active ConceptMaps to
+ * its system. code may be a concept's code and alias codes; the first is
+ * translated. The equivalence is the one stated in the map (source to
+ * target).
  */
-async function findReverseMappingsForConcept(code, system) {
-  const conceptMaps = await prisma.conceptMap.findMany({
-    where: {
-      targetUri: system
-    },
-    include: {
-      groups: {
-        include: {
-          elements: {
-            include: {
-              targets: {
-                where: { code }
-              }
-            }
-          }
-        }
-      }
-    }
+async function findReverseMappingsForConcept(code, system, includeProposed = false) {
+  const { matches } = await translateWithConceptMaps({
+    code: [].concat(code)[0],
+    system,
+    reverse: true,
+    includeProposed
   });
 
-  const mappings = [];
-  for (const conceptMap of conceptMaps) {
-    for (const group of conceptMap.groups) {
-      for (const element of group.elements) {
-        if (element.targets.length > 0) {
-          mappings.push({
-            sourceSystem: conceptMap.sourceUri,
-            sourceCode: element.code,
-            sourceDisplay: element.display,
-            equivalence: element.targets[0].equivalence
-          });
-        }
-      }
-    }
-  }
+  return matches.map(match => ({
+    sourceSystem: match.concept.system,
+    sourceCode: match.concept.code,
+    sourceDisplay: match.concept.display,
+    equivalence: REVERSE_EQUIVALENCE[match.equivalence] || match.equivalence
+  }));
+}
 
-  return mappings;
+/**
+ * Turn a reverse mapping into a translation result, reading the equivalence
+ * from the target's point of view (wider becomes narrower)
+ */
+function reverseMapping(mapping) {
+  return {
+    targetSystem: mapping.sourceSystem,
+    targetCode: mapping.sourceCode,
+    targetDisplay: mapping.sourceDisplay,
+    equivalence: REVERSE_EQUIVALENCE[mapping.equivalence] || mapping.equivalence
+  };
+}
+
+/**
+ * Build the path parameter of a chained translation match: one step per
+ * ConceptMap with the code it mapped to
+ */
+function buildPathParameter(path) {
+  return {
+    name: 'path',
+    part: path.map(step => ({
+      name: 'step',
+      part: [
+        { name: 'source', valueUri: step.source },
+        { name: 'concept', valueCoding: { system: step.system, code: step.code, display: step.display } },
+        { name: 'equivalence', valueCode: step.equivalence }
+      ]
+    }))
+  };
+}
+
+/**
+ * Build a $dual-code-lookup parameter listing mapped target codes
+ */
+function buildMappingParameter(name, mappings) {
+  return {
+    name,
+    part: mappings.map(mapping => ({
+      name: 'mapping',
+      part: [
+        {
+          name: 'targetCode',
+          valueCoding: {
+            system: mapping.targetSystem,
+            code: mapping.targetCode,
+            display: mapping.targetDisplay
+          }
+        },
+        {
+          name: 'equivalence',
+          valueCode: mapping.equivalence
+        },
+        ...(mapping.path?.length > 1 ? [buildPathParameter(mapping.path)] : [])
+      ]
+    }))
+  };
 }
 
 module.exports = router;
@@ -1,6 +1,9 @@
 const express = require('express');
 const { asyncHandler, NotFoundError, ValidationError } = require('../middleware/errorHandler');
 const { validateFHIRRequest } = require('../middleware/requestLogger');
+const { resolveCodeSystem, parseSystemVersions } = require('../services/codeSystemResolver');
+const { getRequestedLanguages, localizeConcept } = require('../utils/language');
+const { getCanonicalSystem, isSameSystem } = require('../utils/systemAlias');
 const { PrismaClient } = require('@prisma/client');
 
 const router = express.Router();
@@ -231,10 +234,13 @@ router.delete('/:id', asyncHandler(async (req, res) => {
 
 /**
  * GET /fhir/ValueSet/:id/$expand - Expand ValueSet
+ * Displays follow displayLanguage or the Accept-Language header
  */
 router.get('/:id/$expand', asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const { filter, count = 20, offset = 0 } = req.query;
+  const { filter, count = 20, offset = 0, displayLanguage } = req.query;
+  const systemVersions = parseSystemVersions(req.query['system-version']);
+  const languages = getRequestedLanguages(req, displayLanguage);
 
   const valueSet = await prisma.valueSet.findUnique({
     where: { id }
@@ -253,9 +259,8 @@ router.get('/:id/$expand', asyncHandler(async (req, res) => {
     if (compose.include && Array.isArray(compose.include)) {
       for (const include of compose.include) {
         if (include.system) {
-          // Find concepts from the specified CodeSystem
-          const codeSystem = await prisma.codeSystem.findUnique({
-            where: { url: include.system },
+          // Find concepts from the pinned, requested or latest active CodeSystem version
+          const codeSystem = await resolveCodeSystem(include.system, include.version || systemVersions[include.system], {
             include: {
               concepts: {
                 where: include.concept ? {
@@ -271,15 +276,20 @@ router.get('/:id/$expand', asyncHandler(async (req, res) => {
           });
 
           if (codeSystem) {
-            contains = contains.concat(codeSystem.concepts.map(concept => ({
-              system: codeSystem.url,
-              code: concept.code,
-              display: concept.display,
-              designation: concept.designations.map(d => ({
-                language: d.language,
-                value: d.value
-              }))
-            })));
+            contains = contains.concat(codeSystem.concepts.map(concept => {
+              const localized = localizeConcept(concept, languages);
+
+              return {
+                system: getCanonicalSystem(codeSystem.url),
+                version: codeSystem.version,
+                code: concept.code,
+                display: localized.display,
+                designation: localized.designations.map(d => ({
+                  language: d.language,
+                  value: d.value
+                }))
+              };
+            }));
           }
         }
       }
@@ -301,6 +311,9 @@ router.get('/:id/$expand', asyncHandler(async (req, res) => {
     version: valueSet.version,
     expansion: {
       timestamp: new Date().toISOString(),
+      ...(languages.length > 0 && {
+        parameter: [{ name: 'displayLanguage', valueCode: languages[0] }]
+      }),
       total: contains.length,
       contains: contains.slice(0, parseInt(count))
     }
@@ -314,7 +327,7 @@ router.get('/:id/$expand', asyncHandler(async (req, res) => {
  */
 router.get('/:id/$validate-code', asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const { code, system, display, date, abstract } = req.query;
+  const { code, system, version, display, date, abstract } = req.query;
 
   if (!code) {
     throw new ValidationError('code parameter is required');
@@ -337,10 +350,9 @@ router.get('/:id/$validate-code', asyncHandler(async (req, res) => {
 
     if (compose.include && Array.isArray(compose.include)) {
       for (const include of compose.include) {
-        if (include.system && (!system || include.system === system)) {
-          // Find concepts from the specified CodeSystem
-          const codeSystem = await prisma.codeSystem.findUnique({
-            where: { url: include.system },
+        if (include.system && (!system || isSameSystem(include.system, system))) {
+          // Find concepts from the pinned, requested or latest active CodeSystem version
+          const codeSystem = await resolveCodeSystem(include.system, include.version || version, {
             include: {
               concepts: {
                 where: { code },
@@ -0,0 +1,77 @@
+const { PrismaClient } = require('@prisma/client');
+const { getSystemAliases } = require('../utils/systemAlias');
+
+const prisma = new PrismaClient();
+
+/**
+ * Resolve a CodeSystem from its canonical URL and optional version.
+ *
+ * CodeSystems are identified by url + version, so several releases of the
+ * same terminology can be loaded side by side. When no version is given the
+ * latest active release is returned (falling back to the latest release of
+ * any status), ordered by CodeSystem.date and then load order. Alias URLs
+ * (see src/utils/systemAlias.js) resolve to the canonical CodeSystem; data
+ * still stored under an alias is found when the canonical URL has none.
+ */
+async function resolveCodeSystem(url, version = null, options = {}) {
+  if (!url) return null;
+
+  for (const candidate of getSystemAliases(url)) {
+    const codeSystem = await findCodeSystem(candidate, version, options);
+    if (codeSystem) return codeSystem;
+  }
+
+  return null;
+}
+
+/**
+ * Find a CodeSystem stored under exactly this URL, see resolveCodeSystem
+ */
+async function findCodeSystem(url, version, options) {
+  if (version) {
+    return prisma.codeSystem.findFirst({
+      where: { url, version },
+      ...options
+    });
+  }
+
+  // Undated releases sort after dated ones (Postgres puts NULLs first on DESC)
+  const orderBy = [{ date: { sort: 'desc', nulls: 'last' } }, { createdAt: 'desc' }];
+
+  const active = await prisma.codeSystem.findFirst({
+    where: { url, status: 'active' },
+    orderBy,
+    ...options
+  });
+
+  if (active) return active;
+
+  return prisma.codeSystem.findFirst({
+    where: { url },
+    orderBy,
+    ...options
+  });
+}
+
+/**
+ * Parse FHIR system-version parameter values ("system|version") into a
+ * map of system URL -> version
+ */
+function parseSystemVersions(values) {
+  const systemVersions = {};
+  if (!values) return systemVersions;
+
+  for (const value of [].concat(values)) {
+    const separator = value.lastIndexOf('|');
+    if (separator > 0) {
+      systemVersions[value.substring(0, separator)] = value.substring(separator + 1);
+    }
+  }
+
+  return systemVersions;
+}
+
+module.exports = {
+  resolveCodeSystem,
+  parseSystemVersions
+};
@@ -0,0 +1,297 @@
+const { PrismaClient } = require('@prisma/client');
+const { BusinessRuleError } = require('../middleware/errorHandler');
+const { resolveCodeSystem } = require('./codeSystemResolver');
+const { getAncestors } = require('./conceptHierarchy');
+const {
+  ICD11_SYSTEMS,
+  isClusterExpression,
+  isExtensionCode,
+  isTm2Code,
+  parseClusterExpression,
+  getStemCode
+} = require('../utils/icdCluster');
+
+const prisma = new PrismaClient();
+
+// CodeSystem of the rule ids reported in OperationOutcome issue details
+const CODING_RULE_SYSTEM = 'https://ayush.gov.in/fhir/CodeSystem/coding-rules';
+
+/**
+ * ICD-11 coding rules for dual-coded diagnoses
+ *
+ * A rule is { id, description, evaluate(context) } where evaluate returns
+ * a list of { severity, text, index } issues; index points at the offending
+ * coding. The context lists the codings of the CodeableConcept and, for each
+ * ICD-11 coding, its stem code, component codes, stored stem concept and the
+ * ancestors of the stem and of the other components.
+ * Issues with severity error reject Condition writes; warnings are reported.
+ */
+const rules = [];
+
+/**
+ * Register a coding rule. Rules run in registration order.
+ */
+function registerCodingRule(rule) {
+  if (!rule || !rule.id || typeof rule.evaluate !== 'function') {
+    throw new Error('Coding rules need an id and an evaluate function');
+  }
+
+  const existing = rules.findIndex(r => r.id === rule.id);
+  if (existing !== -1) {
+    rules.splice(existing, 1, rule);
+  } else {
+    rules.push(rule);
+  }
+}
+
+/**
+ * List the registered coding rules
+ */
+function getCodingRules() {
+  return rules.map(({ id, description }) => ({ id, description }));
+}
+
+/**
+ * Check whether an ICD-11 code is a residual "unspecified" (Z) category.
+ * Range codes of blocks (SK00-SK0Z) are not categories.
+ */
+function isUnspecifiedCode(code) {
+  return /^[^-]*Z$/.test(code);
+}
+
+registerCodingRule({
+  id: 'tm2-requires-biomedical',
+  description: 'A Traditional Medicine (chapter 26) code must be accompanied by a biomedical ICD-11 code',
+  evaluate(context) {
+    const hasBiomedical = context.icd11.some(entry =>
+      entry.codes.some(code => !isTm2Code(code) && !isExtensionCode(code))
+    );
+    if (hasBiomedical) return [];
+
+    return context.icd11
+      .filter(entry => isTm2Code(entry.stemCode))
+      .map(entry => ({
+        severity: 'error',
+        index: entry.index,
+        text: `Traditional Medicine code '${entry.stemCode}' must be accompanied by a biomedical ICD-11 code`
+      }));
+  }
+});
+
+registerCodingRule({
+  id: 'residual-unspecified',
+  description: 'Residual "unspecified" codes should not be used when a specific code exists',
+  async evaluate(context) {
+    const issues = [];
+
+    for (const entry of context.icd11) {
+      const concept = entry.concept;
+      if (!concept || !isUnspecifiedCode(concept.code)) continue;
+
+      // Residual categories sit next to the specific categories of their parent
+      const specific = concept.parentId ? await prisma.codeSystemConcept.findMany({
+        where: {
+          parentId: concept.parentId,
+          id: { not: concept.id },
+          status: 'active'
+        },
+        select: { code: true }
+      }) : [];
+
+      // Other specified (Y) categories are residual too
+      const specificCodes = specific.map(c => c.code).filter(code => !/[YZ]$/.test(code));
+      if (specificCodes.length === 0) continue;
+
+      issues.push({
+        severity: 'warning',
+        index: entry.index,
+        text: `Residual code '${concept.code}' (${concept.display}) should not be used when a specific code exists: ${specificCodes.slice(0, 5).join(', ')}${specificCodes.length > 5 ? ', ...' : ''}`
+      });
+    }
+
+    return issues;
+  }
+});
+
+registerCodingRule({
+  id: 'use-additional-code',
+  description: 'Codes with a "use additional code" instruction need the additional code in the same diagnosis',
+  async evaluate(context) {
+    const issues = [];
+
+    for (const entry of context.icd11) {
+      const instructions = getPropertyValues(entry.concept, 'useAdditionalCode');
+      if (instructions.length === 0) continue;
+
+      // Other codes of the diagnosis and their ancestors (blocks and chapters)
+      const others = context.icd11.filter(other => other !== entry);
+      const available = new Set([
+        ...entry.codes.filter(code => code !== entry.stemCode),
+        ...entry.componentAncestorCodes
+      ]);
+      for (const other of others) {
+        other.codes.forEach(code => available.add(code));
+        other.ancestorCodes.forEach(code => available.add(code));
+      }
+
+      for (const instruction of instructions) {
+        if (available.has(instruction)) continue;
+
+        issues.push({
+          severity: 'warning',
+          index: entry.index,
+          text: `Code '${entry.stemCode}' requires an additional code from '${instruction}'`
+        });
+      }
+    }
+
+    return issues;
+  }
+});
+
+/**
+ * Evaluate the coding rules for a CodeableConcept (e.g. Condition.code) and
+ * return an OperationOutcome. path is the FHIRPath of the CodeableConcept
+ * used in issue expressions; severities overrides the severity of the
+ * issues of a rule by rule id, e.g. { 'tm2-requires-biomedical': 'warning' }.
+ */
+async function evaluateCodingRules(codeableConcept, path = 'Condition.code', { severities = {} } = {}) {
+  const context = await buildContext(codeableConcept);
+  const issues = [];
+
+  for (const rule of rules) {
+    const ruleIssues = await rule.evaluate(context);
+
+    for (const issue of ruleIssues) {
+      issues.push({
+        severity: severities[rule.id] || issue.severity,
+        code: 'business-rule',
+        details: {
+          coding: [{ system: CODING_RULE_SYSTEM, code: rule.id }],
+          text: issue.text
+        },
+        ...(issue.index !== undefined && { expression: [`${path}.coding[${issue.index}]`] })
+      });
+    }
+  }
+
+  return {
+    resourceType: 'OperationOutcome',
+    issue: issues.length > 0 ? issues : [{
+      severity: 'information',
+      code: 'informational',
+      details: { text: 'All coding rules passed' }
+    }]
+  };
+}
+
+/**
+ * Evaluate the coding rules and reject the diagnosis when any rule reports
+ * an error. Returns the OperationOutcome so warnings can be passed on.
+ */
+async function enforceCodingRules(codeableConcept, path, options) {
+  const outcome = await evaluateCodingRules(codeableConcept, path, options);
+
+  if (outcome.issue.some(issue => ['fatal', 'error'].includes(issue.severity))) {
+    throw new BusinessRuleError(outcome.issue);
+  }
+
+  return outcome;
+}
+
+/**
+ * Check whether a coding rule OperationOutcome reports any warnings
+ */
+function hasWarnings(outcome) {
+  return !!outcome && outcome.issue.some(issue => issue.severity === 'warning');
+}
+
+/**
+ * Return a written resource with the coding rule warnings of outcome as a
+ * contained OperationOutcome, for the write response only
+ */
+function withCodingRuleWarnings(resource, outcome) {
+  if (!hasWarnings(outcome)) {
+    return resource;
+  }
+
+  return {
+    ...resource,
+    contained: [...(resource.contained || []), {
+      resourceType: 'OperationOutcome',
+      id: 'coding-rules',
+      issue: outcome.issue.filter(issue => issue.severity === 'warning')
+    }]
+  };
+}
+
+/**
+ * Build the rule context for a CodeableConcept
+ */
+async function buildContext(codeableConcept) {
+  const codings = codeableConcept?.coding || [];
+  const icd11 = [];
+
+  for (const [index, coding] of codings.entries()) {
+    if (!coding?.code || !ICD11_SYSTEMS.includes(coding.system)) continue;
+
+    const stemCode = getStemCode(coding);
+    const codes = isClusterExpression(coding.code)
+      ? parseClusterExpression(coding.code).components.map(component => component.code)
+      : [coding.code];
+
+    // Codings may carry a version the server does not have (e.g. the 1.0
+    // once filled in for unversioned releases); those use the latest release
+    const codeSystem = (coding.version && await resolveCodeSystem(coding.system, coding.version)) ||
+      await resolveCodeSystem(coding.system);
+    const concept = codeSystem && await prisma.codeSystemConcept.findUnique({
+      where: { codeSystemId_code: { codeSystemId: codeSystem.id, code: stemCode } }
+    });
+
+    // Ancestors of the other cluster components, e.g. the extension code
+    // block a "use additional code" instruction names
+    const componentAncestorCodes = [];
+    for (const componentCode of codes.filter(code => code !== stemCode)) {
+      const component = codeSystem && await prisma.codeSystemConcept.findUnique({
+        where: { codeSystemId_code: { codeSystemId: codeSystem.id, code: componentCode } }
+      });
+      if (component) {
+        componentAncestorCodes.push(...(await getAncestors(component)).map(ancestor => ancestor.code));
+      }
+    }
+
+    icd11.push({
+      index,
+      coding,
+      stemCode,
+      codes,
+      concept,
+      ancestorCodes: concept ? (await getAncestors(concept)).map(ancestor => ancestor.code) : [],
+      componentAncestorCodes
+    });
+  }
+
+  return { codings, icd11 };
+}
+
+/**
+ * Read the values of a concept property stored in the FHIR property shape
+ */
+function getPropertyValues(concept, code) {
+  if (!concept || !Array.isArray(concept.properties)) return [];
+
+  return concept.properties
+    .filter(property => property.code === code)
+    .map(property => property.valueCode || property.valueString)
+    .filter(Boolean);
+}
+
+module.exports = {
+  CODING_RULE_SYSTEM,
+  registerCodingRule,
+  getCodingRules,
+  evaluateCodingRules,
+  enforceCodingRules,
+  hasWarnings,
+  withCodingRuleWarnings
+};
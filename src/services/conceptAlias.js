@@ -0,0 +1,67 @@
+const { PrismaClient } = require('@prisma/client');
+const { parseNamasteCode } = require('../utils/namasteCode');
+
+const prisma = new PrismaClient();
+
+/**
+ * Find a concept by its code or by one of its alias properties.
+ *
+ * NAMASTE concepts keep their compound NAMC_CODE ("SR11 (AAA-1)") as code
+ * and store namasteCode, srCode and namcId properties, so EMRs may send any
+ * of "SR11 (AAA-1)", "SR11(AAA-1)", "AAA-1", "SR11" or the NAMC_ID. An alias
+ * only resolves when it identifies exactly one concept in the CodeSystem.
+ * options are passed to Prisma (e.g. { include }).
+ */
+async function findConceptByCode(codeSystemId, code, options = {}) {
+  if (!code) return null;
+
+  const concept = await prisma.codeSystemConcept.findUnique({
+    where: { codeSystemId_code: { codeSystemId, code } },
+    ...options
+  });
+
+  if (concept) return concept;
+
+  const { code: normalized, srCode, namasteCode } = parseNamasteCode(code);
+  const aliases = [
+    { code: 'namasteCode', valueCode: namasteCode },
+    { code: 'srCode', valueCode: srCode || normalized },
+    { code: 'namcId', valueString: normalized }
+  ];
+
+  for (const alias of aliases) {
+    if (!alias.valueCode && !alias.valueString) continue;
+
+    const matches = await prisma.codeSystemConcept.findMany({
+      where: {
+        codeSystemId,
+        properties: { array_contains: [alias] }
+      },
+      take: 2,
+      ...options
+    });
+
+    if (matches.length === 1) return matches[0];
+  }
+
+  return null;
+}
+
+/**
+ * List the code and alias codes of a concept, e.g. for matching ConceptMap
+ * elements that were authored against an alias such as the SR code
+ */
+function getConceptCodes(concept) {
+  const aliases = Array.isArray(concept.properties)
+    ? concept.properties
+      .filter(property => ['namasteCode', 'srCode'].includes(property.code) && property.valueCode)
+      .map(property => property.valueCode)
+    : [];
+
+  return [...new Set([concept.code, ...aliases])];
+}
+
+module.exports = {
+  findConceptByCode,
+  getConceptCodes
+};
@@ -0,0 +1,43 @@
+const { PrismaClient } = require('@prisma/client');
+const { resolveCodeSystem } = require('./codeSystemResolver');
+const { localizeConcept } = require('../utils/language');
+
+const prisma = new PrismaClient();
+
+/**
+ * Load a concept by system URL and code and choose its display for the
+ * requested languages. Used for codes that only appear as references, such
+ * as ConceptMap targets. Returns null when no language was requested or the
+ * concept is not loaded on this server.
+ */
+async function getLocalizedConcept(system, code, languages, version = null) {
+  if (languages.length === 0 || !system || !code) return null;
+
+  const codeSystem = await resolveCodeSystem(system, version);
+  if (!codeSystem) return null;
+
+  const concept = await prisma.codeSystemConcept.findUnique({
+    where: { codeSystemId_code: { codeSystemId: codeSystem.id, code } },
+    include: { designations: true }
+  });
+
+  return concept ? localizeConcept(concept, languages) : null;
+}
+
+/**
+ * Replace the target displays of translation mappings with the display in
+ * the requested languages, keeping the stored display as the fallback
+ */
+async function localizeMappings(mappings, languages) {
+  if (languages.length === 0) return mappings;
+
+  return Promise.all(mappings.map(async mapping => {
+    const localized = await getLocalizedConcept(mapping.targetSystem, mapping.targetCode, languages);
+    return localized ? { ...mapping, targetDisplay: localized.display } : mapping;
+  }));
+}
+
+module.exports = {
+  getLocalizedConcept,
+  localizeMappings
+};
@@ -0,0 +1,64 @@
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+/**
+ * Walk the parent chain of a concept and return the ancestor concepts,
+ * nearest first. Guards against cycles in badly loaded hierarchies.
+ */
+async function getAncestors(concept) {
+  const ancestors = [];
+  const visited = new Set([concept.id]);
+  let parentId = concept.parentId;
+
+  while (parentId && !visited.has(parentId)) {
+    visited.add(parentId);
+
+    const parent = await prisma.codeSystemConcept.findUnique({
+      where: { id: parentId },
+      select: { id: true, code: true, display: true, parentId: true }
+    });
+
+    if (!parent) break;
+
+    ancestors.push(parent);
+    parentId = parent.parentId;
+  }
+
+  return ancestors;
+}
+
+/**
+ * Test whether one concept is an ancestor of another
+ */
+async function isAncestorOf(ancestor, concept) {
+  const ancestors = await getAncestors(concept);
+  return ancestors.some(a => a.id === ancestor.id);
+}
+
+/**
+ * Determine the subsumption relationship between two concepts of the same
+ * CodeSystem as defined by CodeSystem/$subsumes
+ * Returns equivalent | subsumes | subsumed-by | not-subsumed
+ */
+async function getSubsumptionOutcome(conceptA, conceptB) {
+  if (conceptA.id === conceptB.id) {
+    return 'equivalent';
+  }
+
+  if (await isAncestorOf(conceptA, conceptB)) {
+    return 'subsumes';
+  }
+
+  if (await isAncestorOf(conceptB, conceptA)) {
+    return 'subsumed-by';
+  }
+
+  return 'not-subsumed';
+}
+
+module.exports = {
+  getAncestors,
+  isAncestorOf,
+  getSubsumptionOutcome
+};
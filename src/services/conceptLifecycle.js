@@ -0,0 +1,129 @@
+/**
+ * Concept lifecycle helpers
+ *
+ * Concepts are never deleted once codings may refer to them. Instead they
+ * are retired with a status of inactive or deprecated, an optional
+ * retirement date and an optional replacedBy link to the successor concept.
+ */
+
+const { getCanonicalSystem } = require('../utils/systemAlias');
+
+const CONCEPT_STATUSES = ['active', 'inactive', 'deprecated'];
+
+// Prisma include of a concept's replacement with its CodeSystem URL, as the
+// replacement may belong to another CodeSystem (a NAMASTE concept replaced
+// by the Siddha concept it was loaded from)
+const REPLACED_BY_INCLUDE = {
+  select: { code: true, display: true, codeSystemId: true, codeSystem: { select: { url: true } } }
+};
+
+/**
+ * Check whether a concept has been retired
+ */
+function isRetired(concept) {
+  return !!concept && !!concept.status && concept.status !== 'active';
+}
+
+/**
+ * Get the CodeSystem URL of a concept's replacement when it belongs to
+ * another CodeSystem than the concept, else null
+ * Expects concept.replacedBy to be loaded with REPLACED_BY_INCLUDE
+ */
+function getReplacementSystem(concept) {
+  const replacement = concept.replacedBy;
+  if (!replacement?.codeSystem || replacement.codeSystemId === concept.codeSystemId) return null;
+
+  return getCanonicalSystem(replacement.codeSystem.url);
+}
+
+/**
+ * Build the value of a replacedBy property: a code in the concept's own
+ * CodeSystem, or a Coding naming the other CodeSystem
+ */
+function toReplacedByValue(concept) {
+  const system = getReplacementSystem(concept);
+
+  return system
+    ? { valueCoding: { system, code: concept.replacedBy.code, display: concept.replacedBy.display || undefined } }
+    : { valueCode: concept.replacedBy.code };
+}
+
+/**
+ * Build a human readable warning for a retired concept
+ * Expects concept.replacedBy to be loaded with REPLACED_BY_INCLUDE when a
+ * replacement exists
+ */
+function getRetirementMessage(concept) {
+  if (!isRetired(concept)) return null;
+
+  let message = `Code '${concept.code}' is ${concept.status}`;
+  if (concept.retiredAt) {
+    message += ` since ${concept.retiredAt.toISOString().split('T')[0]}`;
+  }
+  if (concept.replacedBy) {
+    const system = getReplacementSystem(concept);
+
+    message += `; use replacement code '${concept.replacedBy.code}'`;
+    if (concept.replacedBy.display) {
+      message += ` (${concept.replacedBy.display})`;
+    }
+    if (system) {
+      message += ` from '${system}'`;
+    }
+  }
+
+  return message;
+}
+
+/**
+ * Build the $lookup property parameters describing a concept's lifecycle
+ */
+function getLifecycleProperties(concept) {
+  const properties = [
+    {
+      name: 'property',
+      part: [
+        { name: 'code', valueCode: 'status' },
+        { name: 'value', valueCode: concept.status }
+      ]
+    },
+    {
+      name: 'property',
+      part: [
+        { name: 'code', valueCode: 'inactive' },
+        { name: 'value', valueBoolean: isRetired(concept) }
+      ]
+    }
+  ];
+
+  if (concept.retiredAt) {
+    properties.push({
+      name: 'property',
+      part: [
+        { name: 'code', valueCode: 'retirementDate' },
+        { name: 'value', valueDateTime: concept.retiredAt.toISOString() }
+      ]
+    });
+  }
+
+  if (concept.replacedBy) {
+    properties.push({
+      name: 'property',
+      part: [
+        { name: 'code', valueCode: 'replacedBy' },
+        { name: 'value', ...toReplacedByValue(concept) }
+      ]
+    });
+  }
+
+  return properties;
+}
+
+module.exports = {
+  CONCEPT_STATUSES,
+  REPLACED_BY_INCLUDE,
+  isRetired,
+  toReplacedByValue,
+  getRetirementMessage,
+  getLifecycleProperties
+};
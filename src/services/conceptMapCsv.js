@@ -0,0 +1,375 @@
+const { PrismaClient } = require('@prisma/client');
+const { ValidationError } = require('../middleware/errorHandler');
+const { EQUIVALENCES, toCurationExtension } = require('./mappingCuration');
+const { formatDelimited, parseDelimited } = require('../utils/delimited');
+const { getCanonicalSystem, isSameSystem } = require('../utils/systemAlias');
+
+const prisma = new PrismaClient();
+
+/**
+ * ConceptMap spreadsheets
+ *
+ * Mappings are exchanged as CSV or TSV with one row per target:
+ *
+ *   source_code, source_display, target_code, target_display,
+ *   equivalence, comment, depends_on
+ *
+ * depends_on lists conditions as property=value or property=system|value,
+ * separated by ";". Rows map one group of the ConceptMap (source system to
+ * target system).
+ */
+
+const MAPPING_COLUMNS = [
+  'source_code',
+  'source_display',
+  'target_code',
+  'target_display',
+  'equivalence',
+  'comment',
+  'depends_on'
+];
+
+// Source elements written per transaction
+const BATCH_SIZE = 200;
+
+/**
+ * Read mapping rows from delimited text. Returns { rows, errors } where
+ * errors hold the spreadsheet line and message of every rejected row; a
+ * missing header column fails the whole file.
+ */
+function parseMappingRows(text, delimiter) {
+  const [header, ...records] = parseDelimited(text, delimiter);
+
+  if (!header) {
+    throw new ValidationError('The mapping file is empty');
+  }
+
+  const columns = header.values.map(name => name.toLowerCase().replace(/[\s-]+/g, '_'));
+  for (const required of ['source_code', 'target_code']) {
+    if (!columns.includes(required)) {
+      throw new ValidationError(`The mapping file has no ${required} column; expected ${MAPPING_COLUMNS.join(', ')}`);
+    }
+  }
+
+  const rows = [];
+  const errors = [];
+  const seen = new Map();
+
+  for (const record of records) {
+    const cell = name => record.values[columns.indexOf(name)] || undefined;
+
+    const row = {
+      line: record.line,
+      sourceCode: cell('source_code'),
+      sourceDisplay: cell('source_display'),
+      targetCode: cell('target_code'),
+      targetDisplay: cell('target_display'),
+      equivalence: cell('equivalence') || 'equivalent',
+      comment: cell('comment')
+    };
+
+    try {
+      if (!row.sourceCode) {
+        throw new Error('source_code is required');
+      }
+
+      if (!EQUIVALENCES.includes(row.equivalence)) {
+        throw new Error(`Unknown equivalence '${row.equivalence}'`);
+      }
+
+      if (!row.targetCode && row.equivalence !== 'unmatched') {
+        throw new Error('target_code is required unless equivalence is unmatched');
+      }
+
+      row.dependsOn = parseDependsOn(cell('depends_on'));
+
+      const key = getMappingKey(row.sourceCode, row.targetCode, row.equivalence);
+      if (seen.has(key)) {
+        throw new Error(`Duplicates the mapping on line ${seen.get(key)}`);
+      }
+      seen.set(key, row.line);
+
+      rows.push(row);
+    } catch (error) {
+      errors.push({ line: record.line, message: error.message });
+    }
+  }
+
+  return { rows, errors };
+}
+
+/**
+ * Find the group of a ConceptMap that mapping rows for source and target
+ * (default the map's systems) belong to, read with its elements, targets
+ * and dependsOn. Returns { source, target, group } with the canonical
+ * systems; group is null while the map has no such group.
+ */
+async function findMappingGroup(conceptMap, { source, target }) {
+  const groupSource = getCanonicalSystem(source || conceptMap.sourceUri);
+  const groupTarget = getCanonicalSystem(target || conceptMap.targetUri);
+
+  const groups = await prisma.conceptMapGroup.findMany({
+    where: { conceptMapId: conceptMap.id },
+    include: {
+      elements: {
+        include: {
+          targets: { include: { dependsOn: true } }
+        }
+      }
+    }
+  });
+
+  const group = groups.find(g =>
+    isSameSystem(g.source || conceptMap.sourceUri, groupSource) &&
+    isSameSystem(g.target || conceptMap.targetUri, groupTarget)
+  );
+
+  return { source: groupSource, target: groupTarget, group: group || null };
+}
+
+/**
+ * Add mapping rows to a mapping group found with findMappingGroup. Rows
+ * sharing a source code become one element; mappings the group already has
+ * are skipped, and rows mapping a source and target (under the same
+ * dependsOn) that the group or an earlier row maps with another
+ * equivalence are rejected as conflicts. Elements are written in batched
+ * transactions and new targets are proposals by author, the signed-in
+ * user { id, name }. With dryRun nothing is written. Returns { imported,
+ * skipped, conflicts } where conflicts hold the line and message of every
+ * rejected row.
+ */
+async function importMappingRows(conceptMap, mappingGroup, rows, { author, dryRun = false }) {
+  const { group } = mappingGroup;
+  const existingElements = new Map((group?.elements || []).map(element => [element.code, element]));
+
+  // Mappings per source code, of the group and of the rows taken so far
+  const mappings = new Map();
+  for (const element of group?.elements || []) {
+    mappings.set(element.code, [...(mappings.get(element.code) || []), ...element.targets.map(toMapping)]);
+  }
+
+  // New targets per source code
+  const bySource = new Map();
+  const conflicts = [];
+  let skipped = 0;
+
+  for (const row of rows) {
+    const mapping = toMapping({ code: row.targetCode, equivalence: row.equivalence, dependsOn: row.dependsOn });
+    const sourceMappings = mappings.get(row.sourceCode) || [];
+
+    if (sourceMappings.some(existing => existing.key === mapping.key)) {
+      skipped++;
+      continue;
+    }
+
+    const conflict = sourceMappings.find(existing => isConflictingMapping(existing, mapping));
+    if (conflict) {
+      conflicts.push({
+        line: row.line,
+        message: `Conflicts with the mapping of '${row.sourceCode}' to '${conflict.code || ''}' as ${conflict.equivalence}`
+      });
+      continue;
+    }
+
+    mappings.set(row.sourceCode, [...sourceMappings, mapping]);
+
+    if (!bySource.has(row.sourceCode)) bySource.set(row.sourceCode, []);
+    bySource.get(row.sourceCode).push(row);
+  }
+
+  const imported = rows.length - skipped - conflicts.length;
+  if (dryRun || imported === 0) {
+    return { imported, skipped, conflicts };
+  }
+
+  const groupId = group?.id || (await prisma.conceptMapGroup.create({
+    data: { conceptMapId: conceptMap.id, source: mappingGroup.source, target: mappingGroup.target }
+  })).id;
+
+  const operations = [...bySource].map(([code, sourceRows]) => {
+    const targets = { create: sourceRows.map(row => toTargetData(row, author)) };
+    const element = existingElements.get(code);
+
+    return element
+      ? prisma.conceptMapElement.update({ where: { id: element.id }, data: { targets } })
+      : prisma.conceptMapElement.create({
+        data: {
+          code,
+          display: sourceRows.find(row => row.sourceDisplay)?.sourceDisplay,
+          groupId,
+          targets
+        }
+      });
+  });
+
+  for (let i = 0; i < operations.length; i += BATCH_SIZE) {
+    await prisma.$transaction(operations.slice(i, i + BATCH_SIZE));
+  }
+
+  return { imported, skipped, conflicts };
+}
+
+/**
+ * Build a FHIR ConceptMap holding a mapping group found with
+ * findMappingGroup with the mapping rows added, so the group as it would
+ * be after the import can be checked like a posted map
+ */
+function toConceptMapResource(conceptMap, { source, target, group }, rows) {
+  const elements = new Map();
+
+  for (const element of group?.elements || []) {
+    if (!elements.has(element.code)) {
+      elements.set(element.code, { code: element.code, display: element.display, target: [] });
+    }
+
+    elements.get(element.code).target.push(...element.targets.map(t => ({
+      code: t.code,
+      display: t.display,
+      equivalence: t.equivalence,
+      comment: t.comment,
+      dependsOn: t.dependsOn.map(dep => ({ property: dep.property, system: dep.system, value: dep.value })),
+      extension: [toCurationExtension(t)]
+    })));
+  }
+
+  for (const row of rows) {
+    if (!elements.has(row.sourceCode)) {
+      elements.set(row.sourceCode, { code: row.sourceCode, display: row.sourceDisplay, target: [] });
+    }
+
+    const element = elements.get(row.sourceCode);
+    element.display = element.display || row.sourceDisplay;
+    element.target.push({
+      code: row.targetCode,
+      display: row.targetDisplay,
+      equivalence: row.equivalence,
+      comment: row.comment,
+      dependsOn: row.dependsOn
+    });
+  }
+
+  return {
+    resourceType: 'ConceptMap',
+    url: conceptMap.url,
+    version: conceptMap.version,
+    sourceUri: conceptMap.sourceUri,
+    targetUri: conceptMap.targetUri,
+    group: [{
+      source,
+      target,
+      element: [...elements.values()]
+    }]
+  };
+}
+
+/**
+ * Write the targets of a ConceptMap read with groups, elements, targets and
+ * dependsOn as delimited text, one row per target
+ */
+function toMappingFile(conceptMap, delimiter) {
+  const rows = conceptMap.groups.flatMap(group =>
+    group.elements.flatMap(element =>
+      element.targets.map(target => [
+        element.code,
+        element.display,
+        target.code,
+        target.display,
+        target.equivalence,
+        target.comment,
+        target.dependsOn
+          .map(dep => `${dep.property}=${dep.system ? `${dep.system}|` : ''}${dep.value}`)
+          .join(';')
+      ])
+    )
+  );
+
+  return formatDelimited([MAPPING_COLUMNS, ...rows], delimiter);
+}
+
+/**
+ * Parse a depends_on cell: property=value or property=system|value,
+ * separated by ";"
+ */
+function parseDependsOn(cell) {
+  if (!cell) return [];
+
+  return cell.split(';').map(entry => entry.trim()).filter(Boolean).map(entry => {
+    const separator = entry.indexOf('=');
+    if (separator <= 0 || separator === entry.length - 1) {
+      throw new Error(`depends_on entry '${entry}' must be property=value or property=system|value`);
+    }
+
+    const reference = entry.substring(separator + 1);
+    const bar = reference.lastIndexOf('|');
+
+    return {
+      property: entry.substring(0, separator),
+      system: bar === -1 ? undefined : reference.substring(0, bar),
+      value: bar === -1 ? reference : reference.substring(bar + 1)
+    };
+  });
+}
+
+/**
+ * Build the nested create data of a target row
+ */
+function toTargetData(row, author) {
+  return {
+    code: row.targetCode,
+    display: row.targetDisplay,
+    equivalence: row.equivalence,
+    comment: row.comment,
+    author: author?.name,
+    authorId: author?.id,
+    dependsOn: { create: row.dependsOn }
+  };
+}
+
+/**
+ * Describe a stored target, or a row as a target, for the duplicate and
+ * conflict checks of an import. key identifies the mapping of one source
+ * code with its equivalence and dependsOn conditions.
+ */
+function toMapping(target) {
+  const conditions = (target.dependsOn || [])
+    .map(dep => `${dep.property}=${dep.system || ''}|${dep.value}`)
+    .sort()
+    .join(';');
+
+  return {
+    code: target.code,
+    equivalence: target.equivalence,
+    conditions,
+    curationStatus: target.curationStatus,
+    key: `${target.code || ''}|${target.equivalence}|${conditions}`
+  };
+}
+
+/**
+ * Check whether two mappings of one source code contradict each other: the
+ * same target, or unmatched next to a target, under the same dependsOn
+ * conditions with different equivalences. Rejected targets conflict with
+ * nothing.
+ */
+function isConflictingMapping(existing, mapping) {
+  return existing.curationStatus !== 'rejected' &&
+    existing.conditions === mapping.conditions &&
+    existing.equivalence !== mapping.equivalence &&
+    (existing.code === mapping.code || [existing.equivalence, mapping.equivalence].includes('unmatched'));
+}
+
+/**
+ * Identify a row of a mapping file
+ */
+function getMappingKey(sourceCode, targetCode, equivalence) {
+  return `${sourceCode}|${targetCode || ''}|${equivalence}`;
+}
+
+module.exports = {
+  MAPPING_COLUMNS,
+  parseMappingRows,
+  findMappingGroup,
+  importMappingRows,
+  toConceptMapResource,
+  toMappingFile
+};
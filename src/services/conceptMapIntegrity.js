@@ -0,0 +1,262 @@
+const { PrismaClient } = require('@prisma/client');
+const { BusinessRuleError } = require('../middleware/errorHandler');
+const { resolveCodeSystem } = require('./codeSystemResolver');
+const { findConceptByCode } = require('./conceptAlias');
+const { REPLACED_BY_INCLUDE, getRetirementMessage, isRetired } = require('./conceptLifecycle');
+const { CURATION_EXTENSION_URL } = require('./mappingCuration');
+const { getCanonicalSystem } = require('../utils/systemAlias');
+
+const prisma = new PrismaClient();
+
+// CodeSystem of the check ids reported in OperationOutcome issue details
+const INTEGRITY_CHECK_SYSTEM = 'https://ayush.gov.in/fhir/CodeSystem/conceptmap-integrity';
+
+// Codes looked up per query
+const LOOKUP_BATCH_SIZE = 500;
+
+const CONCEPT_INCLUDE = {
+  designations: { select: { value: true } },
+  replacedBy: REPLACED_BY_INCLUDE
+};
+
+/**
+ * ConceptMap integrity checks
+ *
+ * Checks a FHIR ConceptMap (as posted, or read from the store) against the
+ * CodeSystems of its groups:
+ * - dangling-source / dangling-target: codes missing from the CodeSystem (error)
+ * - display-mismatch: displays that are not the concept's display or a designation
+ * - retired-concept: inactive or deprecated source or target concepts
+ * - duplicate-element: several elements for the same source concept
+ * - conflicting-equivalence: one source and target (with the same dependsOn)
+ *   mapped with different equivalences, or unmatched next to a mapping (error)
+ * Groups whose CodeSystem is not loaded are reported and not checked, and
+ * targets rejected in curation are ignored.
+ */
+async function checkConceptMapIntegrity(conceptMap) {
+  const issues = [];
+
+  for (const [groupIndex, group] of (conceptMap.group || []).entries()) {
+    const path = `ConceptMap.group[${groupIndex}]`;
+    const elements = group.element || [];
+
+    const sourceLookup = await lookupConcepts(
+      group.source || conceptMap.sourceUri,
+      elements.map(element => element.code),
+      `${path}.source`,
+      issues
+    );
+    const targetLookup = await lookupConcepts(
+      group.target || conceptMap.targetUri,
+      elements.flatMap(element => (element.target || []).map(target => target.code)),
+      `${path}.target`,
+      issues
+    );
+
+    // Element path and mappings per source concept
+    const sources = new Map();
+
+    for (const [elementIndex, element] of elements.entries()) {
+      const elementPath = `${path}.element[${elementIndex}]`;
+      const source = checkCode(element, sourceLookup, 'source', elementPath, issues);
+      const sourceKey = source?.id || element.code;
+
+      if (sources.has(sourceKey)) {
+        issues.push(toIssue('warning', 'duplicate', 'duplicate-element', elementPath,
+          `Source code '${element.code}' already has an element at ${sources.get(sourceKey).path}`));
+      } else {
+        sources.set(sourceKey, { path: elementPath, code: element.code, mappings: [] });
+      }
+
+      for (const [targetIndex, target] of (element.target || []).entries()) {
+        if (getCurationStatus(target) === 'rejected') continue;
+
+        const targetPath = `${elementPath}.target[${targetIndex}]`;
+        checkCode(target, targetLookup, 'target', targetPath, issues);
+
+        sources.get(sourceKey).mappings.push({
+          code: target.code,
+          equivalence: target.equivalence || 'equivalent',
+          conditions: (target.dependsOn || [])
+            .map(dep => `${dep.property}=${dep.system || ''}|${dep.value}`)
+            .sort()
+            .join(';'),
+          path: targetPath
+        });
+      }
+    }
+
+    for (const source of sources.values()) {
+      issues.push(...findConflictingEquivalences(source));
+    }
+  }
+
+  return {
+    resourceType: 'OperationOutcome',
+    issue: issues.length > 0 ? issues : [{
+      severity: 'information',
+      code: 'informational',
+      details: { text: 'All ConceptMap integrity checks passed' }
+    }]
+  };
+}
+
+/**
+ * Check a ConceptMap and reject it when strict is set and any check
+ * reports an error. Returns the OperationOutcome.
+ */
+async function enforceConceptMapIntegrity(conceptMap, strict = false) {
+  const outcome = await checkConceptMapIntegrity(conceptMap);
+
+  if (strict && outcome.issue.some(issue => ['fatal', 'error'].includes(issue.severity))) {
+    throw new BusinessRuleError(outcome.issue);
+  }
+
+  return outcome;
+}
+
+/**
+ * Report mappings of one source concept to the same target, under the same
+ * dependsOn conditions, with different equivalences. An unmatched entry
+ * conflicts with every mapping of the source under the same conditions.
+ */
+function findConflictingEquivalences(source) {
+  const issues = [];
+  const byConditions = new Map();
+
+  for (const mapping of source.mappings) {
+    if (!byConditions.has(mapping.conditions)) byConditions.set(mapping.conditions, []);
+    byConditions.get(mapping.conditions).push(mapping);
+  }
+
+  for (const mappings of byConditions.values()) {
+    const unmatched = mappings.filter(mapping => mapping.equivalence === 'unmatched');
+    const byTarget = new Map();
+
+    for (const mapping of mappings.filter(mapping => mapping.equivalence !== 'unmatched')) {
+      if (!byTarget.has(mapping.code)) byTarget.set(mapping.code, []);
+      byTarget.get(mapping.code).push(mapping);
+    }
+
+    for (const [code, targets] of byTarget) {
+      const equivalences = [...new Set([...targets, ...unmatched].map(mapping => mapping.equivalence))];
+      if (equivalences.length < 2) continue;
+
+      issues.push(toIssue('error', 'business-rule', 'conflicting-equivalence', targets[0].path,
+        `Source code '${source.code}' is mapped to '${code}' as ${equivalences.join(' and ')}`));
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Look up codes in the CodeSystem of a group. Returns { system, concepts }
+ * where concepts maps each found code (including alias codes) to its
+ * concept; an unknown CodeSystem is reported and gives null, which skips
+ * the code checks.
+ */
+async function lookupConcepts(system, codes, path, issues) {
+  const codeSystem = system && await resolveCodeSystem(system);
+
+  if (!codeSystem) {
+    issues.push({
+      severity: 'warning',
+      code: 'not-found',
+      details: { text: `CodeSystem '${system || '(none)'}' is not loaded; its codes were not checked` },
+      expression: [path]
+    });
+    return null;
+  }
+
+  const uniqueCodes = [...new Set(codes.filter(Boolean))];
+  const concepts = new Map();
+
+  for (let i = 0; i < uniqueCodes.length; i += LOOKUP_BATCH_SIZE) {
+    const found = await prisma.codeSystemConcept.findMany({
+      where: { codeSystemId: codeSystem.id, code: { in: uniqueCodes.slice(i, i + LOOKUP_BATCH_SIZE) } },
+      include: CONCEPT_INCLUDE
+    });
+    found.forEach(concept => concepts.set(concept.code, concept));
+  }
+
+  // Codes authored against an alias such as the SR code
+  for (const code of uniqueCodes.filter(code => !concepts.has(code))) {
+    const concept = await findConceptByCode(codeSystem.id, code, { include: CONCEPT_INCLUDE });
+    if (concept) concepts.set(code, concept);
+  }
+
+  return { system: getCanonicalSystem(codeSystem.url), concepts };
+}
+
+/**
+ * Check an element or target code against the looked up concepts and
+ * report dangling codes, display mismatches and retired concepts. Returns
+ * the concept when found.
+ */
+function checkCode(item, lookup, side, path, issues) {
+  if (!lookup || !item.code) return null;
+
+  const concept = lookup.concepts.get(item.code);
+
+  if (!concept) {
+    issues.push(toIssue('error', 'code-invalid', `dangling-${side}`, `${path}.code`,
+      `The ${side} code '${item.code}' is not in ${lookup.system}`));
+    return null;
+  }
+
+  if (item.display) {
+    const displays = [concept.display, ...concept.designations.map(designation => designation.value)]
+      .filter(Boolean)
+      .map(normalizeDisplay);
+
+    if (!displays.includes(normalizeDisplay(item.display))) {
+      issues.push(toIssue('warning', 'value', 'display-mismatch', `${path}.display`,
+        `Display '${item.display}' of ${side} code '${item.code}' does not match '${concept.display}'`));
+    }
+  }
+
+  if (isRetired(concept)) {
+    issues.push(toIssue('warning', 'business-rule', 'retired-concept', `${path}.code`,
+      getRetirementMessage(concept)));
+  }
+
+  return concept;
+}
+
+/**
+ * Read the curation status of a FHIR ConceptMap target, if it carries one
+ */
+function getCurationStatus(target) {
+  return (target.extension || [])
+    .find(extension => extension.url === CURATION_EXTENSION_URL)?.extension
+    ?.find(part => part.url === 'status')?.valueCode;
+}
+
+/**
+ * Build an OperationOutcome issue for an integrity check
+ */
+function toIssue(severity, code, check, expression, text) {
+  return {
+    severity,
+    code,
+    details: {
+      coding: [{ system: INTEGRITY_CHECK_SYSTEM, code: check }],
+      text
+    },
+    expression: [expression]
+  };
+}
+
+/**
+ * Compare displays ignoring case and whitespace
+ */
+function normalizeDisplay(display) {
+  return display.trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+module.exports = {
+  INTEGRITY_CHECK_SYSTEM,
+  checkConceptMapIntegrity,
+  enforceConceptMapIntegrity
+};
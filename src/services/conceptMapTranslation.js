@@ -0,0 +1,430 @@
+const { PrismaClient } = require('@prisma/client');
+const { NotFoundError } = require('../middleware/errorHandler');
+const { resolveCodeSystem } = require('./codeSystemResolver');
+const { findConceptByCode, getConceptCodes } = require('./conceptAlias');
+const { getLocalizedConcept } = require('./conceptDisplay');
+const { getCurationFilter } = require('./mappingCuration');
+const { getOperationParameters, toCoding } = require('../utils/parameters');
+const { getCanonicalSystem, getSystemAliases, isSameSystem } = require('../utils/systemAlias');
+
+const prisma = new PrismaClient();
+
+// Equivalence of a mapping read in the reverse direction
+const REVERSE_EQUIVALENCE = {
+  wider: 'narrower',
+  narrower: 'wider',
+  subsumes: 'specializes',
+  specializes: 'subsumes'
+};
+
+// Equivalences that state there is no usable mapping
+const NO_MATCH_EQUIVALENCES = ['unmatched', 'disjoint'];
+
+// Equivalences where the target is wider / narrower than the source
+const WIDER_EQUIVALENCES = ['wider', 'subsumes'];
+const NARROWER_EQUIVALENCES = ['narrower', 'specializes'];
+
+// Equivalence of a target produced by a group.unmapped rule: a provided code
+// is the source code itself, a fixed code is a catch-all for the source code
+const UNMAPPED_EQUIVALENCE = {
+  provided: 'equal',
+  fixed: 'wider'
+};
+
+// Latest ConceptMap version first; undated maps sort after dated ones
+// (Postgres puts NULLs first on DESC)
+const LATEST_FIRST = [{ date: { sort: 'desc', nulls: 'last' } }, { createdAt: 'desc' }];
+
+/**
+ * Read the $translate parameters from the query string (GET) or a
+ * Parameters resource (POST). The code may be given as code + system,
+ * coding or codeableConcept. url may carry the map version as url|version;
+ * source and target give the value set scope of the maps to use and
+ * targetsystem filters the target system. dependency parameters carry
+ * element + concept parts. includeProposed also uses targets that are not
+ * approved yet.
+ */
+function readTranslateParameters(req) {
+  const params = getOperationParameters(req);
+  const coding = toCoding(params.coding) || params.codeableConcept?.coding?.[0];
+
+  const dependencies = (req.method === 'GET' ? [] : req.body?.parameter || [])
+    .filter(param => param.name === 'dependency')
+    .map(param => {
+      const parts = param.part || [];
+      const concept = parts.find(part => part.name === 'concept');
+      return {
+        element: parts.find(part => part.name === 'element')?.valueUri,
+        codings: concept?.valueCodeableConcept?.coding || (concept?.valueCoding ? [concept.valueCoding] : [])
+      };
+    });
+
+  const [url, urlVersion] = params.url ? params.url.split('|') : [];
+
+  return {
+    url,
+    conceptMapVersion: params.conceptMapVersion || urlVersion,
+    code: params.code || coding?.code,
+    system: params.system || coding?.system,
+    version: params.version || coding?.version,
+    source: params.source,
+    target: params.target,
+    targetSystem: params.targetsystem,
+    reverse: params.reverse === true || params.reverse === 'true',
+    includeProposed: params.includeProposed === true || params.includeProposed === 'true',
+    displayLanguage: params.displayLanguage,
+    dependencies
+  };
+}
+
+/**
+ * Find a ConceptMap by canonical URL: the given version, or else the latest
+ * active version (the latest of any status when none is active)
+ */
+async function findConceptMap(url, version) {
+  if (version) {
+    return prisma.conceptMap.findFirst({ where: { url, version } });
+  }
+
+  return await prisma.conceptMap.findFirst({ where: { url, status: 'active' }, orderBy: LATEST_FIRST }) ||
+    prisma.conceptMap.findFirst({ where: { url }, orderBy: LATEST_FIRST });
+}
+
+/**
+ * Select the ConceptMaps for a translation:
+ * - url (+ version): that version, or the latest active version of the map
+ * - source and/or target: the latest active version of every map between
+ *   those systems
+ * - otherwise the latest active maps from the code's system (to it with
+ *   reverse)
+ */
+async function selectConceptMaps({ url, conceptMapVersion, source, target, system, reverse }) {
+  if (url) {
+    const conceptMap = await findConceptMap(url, conceptMapVersion);
+
+    if (!conceptMap) {
+      throw new NotFoundError('ConceptMap', conceptMapVersion ? `${url}|${conceptMapVersion}` : url);
+    }
+
+    return [conceptMap];
+  }
+
+  const where = { status: 'active' };
+
+  if (source) where.sourceUri = { in: getSystemAliases(source) };
+  if (target) where.targetUri = { in: getSystemAliases(target) };
+  if (!source && !target) {
+    where[reverse ? 'targetUri' : 'sourceUri'] = { in: getSystemAliases(system) };
+  }
+
+  const conceptMaps = await prisma.conceptMap.findMany({
+    where,
+    orderBy: LATEST_FIRST
+  });
+
+  // Only the latest version of each map
+  const latest = new Map();
+  for (const conceptMap of conceptMaps) {
+    if (!latest.has(conceptMap.url)) latest.set(conceptMap.url, conceptMap);
+  }
+
+  return [...latest.values()];
+}
+
+/**
+ * Translate a code with every ConceptMap chosen by selectConceptMaps and
+ * merge the results. This is the translation behind every translate path
+ * (ConceptMap and terminology operations, autocomplete mappings and
+ * problem-list coding).
+ */
+async function translateWithConceptMaps(request, languages = []) {
+  const conceptMaps = await selectConceptMaps(request);
+
+  if (conceptMaps.length === 0) {
+    return {
+      result: false,
+      message: `No active ConceptMap covers system '${request.system}'`,
+      matches: []
+    };
+  }
+
+  const translations = [];
+  for (const conceptMap of conceptMaps) {
+    translations.push(await translateWithConceptMap(conceptMap, request, languages));
+  }
+
+  const result = translations.some(translation => translation.result);
+
+  return {
+    result,
+    message: result ? undefined : translations.map(translation => translation.message).join('; '),
+    matches: translations.flatMap(translation => translation.matches)
+  };
+}
+
+/**
+ * Translate a code with one ConceptMap.
+ *
+ * Every target of every matching element in every group is returned. With
+ * reverse the code is looked up among the targets and the element codes are
+ * returned, with the equivalence read from the other side and the roles of
+ * dependsOn and product swapped. Targets whose dependsOn conditions are not
+ * met by the supplied dependencies are skipped, and only approved targets
+ * are used unless includeProposed is set. A group without any element for
+ * a code found in the source CodeSystem applies its unmapped rule (forward
+ * only); an element whose targets all wait for review is not unmapped, it
+ * just gives no match yet. Returns
+ * { result, message, matches } where result is only true when a match other
+ * than unmatched/disjoint was found.
+ *
+ * visited holds the maps already used, so other-map rules cannot loop.
+ */
+async function translateWithConceptMap(conceptMap, request, languages = [], visited = new Set()) {
+  const { code, system, version, targetSystem, reverse, includeProposed, dependencies = [] } = request;
+  visited.add(getConceptMapReference(conceptMap));
+
+  // Match elements authored against an alias of the code (e.g. the SR code)
+  const codeSystem = await resolveCodeSystem(system, version);
+  const concept = codeSystem && await findConceptByCode(codeSystem.id, code);
+  const codes = concept ? getConceptCodes(concept) : [code];
+
+  // Unmapped rules only apply to codes found in the source system
+  const knownCode = !!concept;
+
+  const targetWhere = {
+    ...getCurationFilter(includeProposed),
+    ...(reverse && { code: { in: codes } })
+  };
+
+  const groups = await prisma.conceptMapGroup.findMany({
+    where: { conceptMapId: conceptMap.id },
+    include: {
+      elements: {
+        // Forward, the element is loaded even when none of its targets may
+        // be used yet, so the code does not count as unmapped
+        where: reverse
+          ? { targets: { some: targetWhere } }
+          : { code: { in: codes } },
+        include: {
+          targets: {
+            where: targetWhere,
+            include: { dependsOn: true, product: true }
+          }
+        }
+      }
+    }
+  });
+
+  const matches = [];
+  const unmetDependencies = [];
+  let awaitingReview = false;
+
+  for (const group of groups) {
+    const sourceSystem = getCanonicalSystem(group.source || conceptMap.sourceUri);
+    const mappedSystem = getCanonicalSystem(group.target || conceptMap.targetUri);
+    const [fromSystem, toSystem] = reverse ? [mappedSystem, sourceSystem] : [sourceSystem, mappedSystem];
+
+    if (system && fromSystem && !isSameSystem(system, fromSystem)) continue;
+    if (targetSystem && !isSameSystem(targetSystem, toSystem)) continue;
+
+    if (!reverse && knownCode && group.elements.length === 0) {
+      matches.push(...await applyUnmappedRule(conceptMap, group, request, languages, visited));
+      continue;
+    }
+
+    for (const element of group.elements) {
+      if (element.targets.length === 0) awaitingReview = true;
+
+      for (const target of element.targets) {
+        const [conditions, products] = reverse
+          ? [target.product, target.dependsOn]
+          : [target.dependsOn, target.product];
+
+        const unmet = conditions.filter(condition => !isDependencyMet(condition, dependencies));
+        if (unmet.length > 0) {
+          unmetDependencies.push(...unmet.map(condition => condition.property));
+          continue;
+        }
+
+        const mapped = reverse
+          ? { code: element.code, display: element.display }
+          : { code: target.code, display: target.display };
+
+        matches.push({
+          equivalence: reverse ? REVERSE_EQUIVALENCE[target.equivalence] || target.equivalence : target.equivalence,
+          concept: { system: toSystem, code: mapped.code, display: mapped.display },
+          product: products.map(product => ({
+            element: product.property,
+            concept: {
+              system: product.system ? getCanonicalSystem(product.system) : undefined,
+              code: product.value,
+              display: product.display || undefined
+            }
+          })),
+          source: getConceptMapReference(conceptMap),
+          comment: target.comment
+        });
+      }
+    }
+  }
+
+  // Target displays follow the requested languages
+  for (const match of matches) {
+    if (!match.concept.code) continue;
+
+    const localized = await getLocalizedConcept(match.concept.system, match.concept.code, languages);
+    if (localized) match.concept.display = localized.display;
+  }
+
+  const result = matches.some(match => !NO_MATCH_EQUIVALENCES.includes(match.equivalence));
+
+  let message;
+  if (!result) {
+    message = matches.length > 0
+      ? `Code '${code}' is mapped as ${[...new Set(matches.map(match => match.equivalence))].join('/')} in ConceptMap '${getConceptMapReference(conceptMap)}'`
+      : `No mapping found for code '${code}' in ConceptMap '${getConceptMapReference(conceptMap)}'`;
+
+    if (unmetDependencies.length > 0) {
+      message += `; mappings need dependencies: ${[...new Set(unmetDependencies)].join(', ')}`;
+    }
+
+    if (awaitingReview) {
+      message += '; none of its mappings is approved';
+    }
+  }
+
+  return { result, message, matches };
+}
+
+/**
+ * Apply a group's unmapped rule to a source code without an element:
+ * - provided: the source code itself, in the target system
+ * - fixed: the group's fixed code
+ * - other-map: the matches of the referenced ConceptMap
+ */
+async function applyUnmappedRule(conceptMap, group, request, languages = [], visited = new Set()) {
+  const toSystem = getCanonicalSystem(group.target || conceptMap.targetUri);
+  const source = getConceptMapReference(conceptMap);
+
+  switch (group.unmappedMode) {
+    case 'provided':
+    case 'fixed':
+      return [{
+        equivalence: UNMAPPED_EQUIVALENCE[group.unmappedMode],
+        concept: group.unmappedMode === 'provided'
+          ? { system: toSystem, code: request.code }
+          : { system: toSystem, code: group.unmappedCode, display: group.unmappedDisplay || undefined },
+        product: [],
+        source,
+        comment: `No explicit mapping; group.unmapped mode '${group.unmappedMode}' applied`
+      }];
+
+    case 'other-map': {
+      const [url, version] = (group.unmappedUrl || '').split('|');
+      const otherMap = url && await findConceptMap(url, version);
+      if (!otherMap || visited.has(getConceptMapReference(otherMap))) return [];
+
+      const translation = await translateWithConceptMap(otherMap, request, languages, visited);
+      return translation.matches;
+    }
+
+    default:
+      return [];
+  }
+}
+
+/**
+ * Combine the equivalences of two chained mappings (source -> A, A -> B)
+ * into the equivalence of source -> B. The result never claims more than
+ * both steps support: equivalent + wider is wider, wider + narrower is only
+ * relatedto, and anything chained through unmatched/disjoint is unmatched.
+ */
+function combineEquivalence(first, second) {
+  if (NO_MATCH_EQUIVALENCES.includes(first) || NO_MATCH_EQUIVALENCES.includes(second)) return 'unmatched';
+  if (first === 'equal') return second;
+  if (second === 'equal') return first;
+  if (first === 'equivalent') return second;
+  if (second === 'equivalent') return first;
+
+  const firstWider = WIDER_EQUIVALENCES.includes(first);
+  const firstNarrower = NARROWER_EQUIVALENCES.includes(first);
+  const secondWider = WIDER_EQUIVALENCES.includes(second);
+  const secondNarrower = NARROWER_EQUIVALENCES.includes(second);
+
+  // Two steps in the same direction keep that direction
+  if (firstWider && secondWider) return first === 'subsumes' && second === 'subsumes' ? 'subsumes' : 'wider';
+  if (firstNarrower && secondNarrower) return first === 'specializes' && second === 'specializes' ? 'specializes' : 'narrower';
+
+  // B still overlaps the source when it covers part of the source's meaning:
+  // A narrower than the source and B wider than (or overlapping) A, or A
+  // overlapping the source and B wider than A
+  if (firstNarrower && (secondWider || second === 'inexact')) return 'inexact';
+  if (first === 'inexact' && secondWider) return 'inexact';
+
+  return 'relatedto';
+}
+
+/**
+ * Reference a ConceptMap by canonical URL, pinned to its version when it
+ * has one (url|version)
+ */
+function getConceptMapReference(conceptMap) {
+  return conceptMap.version ? `${conceptMap.url}|${conceptMap.version}` : conceptMap.url;
+}
+
+/**
+ * Check whether a dependsOn (or, in reverse, product) condition is met by
+ * one of the supplied dependency parameters
+ */
+function isDependencyMet(condition, dependencies) {
+  return dependencies.some(dependency =>
+    dependency.element === condition.property &&
+    dependency.codings.some(coding =>
+      coding.code === condition.value &&
+      (!condition.system || !coding.system || isSameSystem(coding.system, condition.system))
+    )
+  );
+}
+
+/**
+ * Build the $translate Parameters response
+ */
+function toTranslateParameters({ result, message, matches }) {
+  return {
+    resourceType: 'Parameters',
+    parameter: [
+      { name: 'result', valueBoolean: result },
+      ...(message ? [{ name: 'message', valueString: message }] : []),
+      ...matches.map(match => ({
+        name: 'match',
+        part: [
+          { name: 'equivalence', valueCode: match.equivalence },
+          ...(match.concept.code ? [{ name: 'concept', valueCoding: match.concept }] : []),
+          ...match.product.map(product => ({
+            name: 'product',
+            part: [
+              { name: 'element', valueUri: product.element },
+              { name: 'concept', valueCoding: product.concept }
+            ]
+          })),
+          { name: 'source', valueUri: match.source },
+          ...(match.comment ? [{ name: 'comment', valueString: match.comment }] : [])
+        ]
+      }))
+    ]
+  };
+}
+
+module.exports = {
+  REVERSE_EQUIVALENCE,
+  NO_MATCH_EQUIVALENCES,
+  readTranslateParameters,
+  findConceptMap,
+  selectConceptMaps,
+  translateWithConceptMap,
+  translateWithConceptMaps,
+  applyUnmappedRule,
+  combineEquivalence,
+  getConceptMapReference,
+  toTranslateParameters
+};
@@ -0,0 +1,119 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+
+/**
+ * ICD-11 MMS release sources
+ *
+ * A source reads the release root and the entities of the ICD-11 MMS
+ * linearization either from an ICD-API base URL (the WHO ICD-API container
+ * running on the hospital network, or https://id.who.int when online) or from
+ * a directory of downloaded ICD-API JSON responses. Entity URIs such as
+ * http://id.who.int/icd/release/11/2024-01/mms/1435254666 are resolved
+ * against the source instead of the WHO server.
+ *
+ * A directory holds the release root as mms.json and one file per entity
+ * named after the path below /mms/ with "/" replaced by "_", e.g.
+ * 1435254666.json or 1435254666_unspecified.json.
+ */
+
+/**
+ * Create a source reading from an ICD-API base URL.
+ * releaseId pins a release; otherwise the latest release of the API is used.
+ */
+function createHttpSource(baseUrl, { releaseId = null, token = null, language = 'en' } = {}) {
+  const client = axios.create({
+    baseURL: baseUrl.replace(/\/+$/, ''),
+    headers: {
+      'Accept': 'application/json',
+      'Accept-Language': language,
+      'API-Version': 'v2',
+      ...(token && { 'Authorization': `Bearer ${token}` })
+    }
+  });
+
+  return {
+    description: baseUrl,
+
+    async getRelease() {
+      let releasePath = releaseId && `/icd/release/11/${releaseId}/mms`;
+
+      if (!releasePath) {
+        // The unversioned endpoint lists the releases served by the API
+        const { data } = await client.get('/icd/release/11/mms');
+        if (!data.latestRelease) {
+          throw new Error(`${baseUrl} did not report a latest ICD-11 MMS release`);
+        }
+        releasePath = new URL(data.latestRelease).pathname;
+      }
+
+      const { data } = await client.get(releasePath);
+      return data;
+    },
+
+    async getEntity(uri) {
+      const { data } = await client.get(new URL(uri).pathname);
+      return data;
+    }
+  };
+}
+
+/**
+ * Create a source reading downloaded ICD-API JSON from a directory
+ */
+function createDirectorySource(dir) {
+  const readJson = file => JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+
+  return {
+    description: path.resolve(dir),
+
+    async getRelease() {
+      return readJson('mms.json');
+    },
+
+    async getEntity(uri) {
+      return readJson(`${getEntityPath(uri).replace(/\//g, '_')}.json`);
+    }
+  };
+}
+
+/**
+ * Create the source configured by options or the ICD_API_BASE_URL /
+ * ICD_API_DIR environment variables
+ */
+function createIcdApiSource(options = {}) {
+  // Explicit options win over the environment
+  const dir = options.dir || (!options.baseUrl && process.env.ICD_API_DIR);
+  const baseUrl = options.baseUrl || process.env.ICD_API_BASE_URL;
+
+  if (dir) return createDirectorySource(dir);
+
+  if (!baseUrl) {
+    throw new Error('Set ICD_API_BASE_URL to an ICD-API server or ICD_API_DIR to a directory of downloaded ICD-API JSON');
+  }
+
+  return createHttpSource(baseUrl, {
+    releaseId: options.releaseId || process.env.ICD_RELEASE_ID,
+    token: options.token || process.env.WHO_API_KEY,
+    language: options.language || process.env.ICD_API_LANGUAGE
+  });
+}
+
+/**
+ * Read the entity path of an MMS entity URI: the part after /mms/,
+ * e.g. "1435254666" or "1435254666/unspecified"
+ */
+function getEntityPath(uri) {
+  const match = String(uri).match(/\/mms\/(.+)$/);
+  if (!match) {
+    throw new Error(`'${uri}' is not an ICD-11 MMS entity URI`);
+  }
+  return match[1];
+}
+
+module.exports = {
+  createIcdApiSource,
+  createHttpSource,
+  createDirectorySource,
+  getEntityPath
+};
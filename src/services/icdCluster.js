@@ -0,0 +1,95 @@
+const { PrismaClient } = require('@prisma/client');
+const { ValidationError } = require('../middleware/errorHandler');
+const { resolveCodeSystem } = require('./codeSystemResolver');
+const {
+  CLUSTER_EXTENSION_URL,
+  ICD11_SYSTEMS,
+  isClusterExpression,
+  parseClusterExpression,
+  formatClusterDisplay,
+  toClusterExtension
+} = require('../utils/icdCluster');
+
+const prisma = new PrismaClient();
+
+/**
+ * Validate an ICD-11 cluster expression against a stored CodeSystem.
+ * Every stem and extension code must exist in the CodeSystem; without a
+ * CodeSystem only the syntax is checked. Returns the parsed cluster with
+ * component displays, a composed display, and { valid, messages }.
+ */
+async function validateClusterExpression(codeSystem, expression) {
+  const cluster = parseClusterExpression(expression);
+  const messages = [...cluster.errors];
+
+  const components = await Promise.all(cluster.components.map(async component => {
+    const concept = codeSystem && await prisma.codeSystemConcept.findUnique({
+      where: { codeSystemId_code: { codeSystemId: codeSystem.id, code: component.code } }
+    });
+
+    if (codeSystem && !concept) {
+      messages.push(`${component.role === 'stem' ? 'Stem' : 'Extension'} code '${component.code}' not found in CodeSystem '${codeSystem.url}'`);
+    }
+
+    return { ...component, display: concept ? concept.display : null };
+  }));
+
+  return {
+    ...cluster,
+    components,
+    display: formatClusterDisplay(components),
+    valid: messages.length === 0,
+    messages
+  };
+}
+
+/**
+ * Validate a coding whose code is a cluster expression and return it with
+ * the normalised expression and the cluster extension listing its parts.
+ * Other codings are returned unchanged. Throws ValidationError for invalid
+ * clusters.
+ */
+async function annotateClusterCoding(coding) {
+  if (!coding || !isClusterExpression(coding.code)) return coding;
+
+  // Codings may carry a version the server does not have (e.g. the 1.0
+  // once filled in for unversioned releases); those use the latest release
+  const codeSystem = (coding.version && await resolveCodeSystem(coding.system, coding.version)) ||
+    await resolveCodeSystem(coding.system);
+  const cluster = await validateClusterExpression(codeSystem, coding.code);
+
+  if (!cluster.valid) {
+    throw new ValidationError(`Invalid ICD-11 cluster '${coding.code}': ${cluster.messages.join('; ')}`);
+  }
+
+  return {
+    ...coding,
+    code: cluster.expression,
+    display: coding.display || (codeSystem ? cluster.display : undefined),
+    extension: [
+      ...(coding.extension || []).filter(extension => extension.url !== CLUSTER_EXTENSION_URL),
+      toClusterExtension(cluster.components, coding.system)
+    ]
+  };
+}
+
+/**
+ * Annotate the ICD-11 codings of a CodeableConcept such as Condition.code,
+ * see annotateClusterCoding
+ */
+async function annotateClusterCodings(codeableConcept) {
+  if (!codeableConcept || !Array.isArray(codeableConcept.coding)) return codeableConcept;
+
+  return {
+    ...codeableConcept,
+    coding: await Promise.all(codeableConcept.coding.map(coding =>
+      ICD11_SYSTEMS.includes(coding.system) ? annotateClusterCoding(coding) : coding
+    ))
+  };
+}
+
+module.exports = {
+  validateClusterExpression,
+  annotateClusterCoding,
+  annotateClusterCodings
+};
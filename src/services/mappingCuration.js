@@ -0,0 +1,135 @@
+const { PrismaClient } = require('@prisma/client');
+const { NotFoundError, ValidationError } = require('../middleware/errorHandler');
+
+const prisma = new PrismaClient();
+
+/**
+ * Mapping curation
+ *
+ * Every ConceptMap target carries a curation status. New targets start as
+ * proposed; a reviewer can take them under review and then approves or
+ * rejects them, with a comment. Translations only use approved targets
+ * unless proposed ones are explicitly asked for.
+ */
+
+const CURATION_STATUSES = ['proposed', 'under-review', 'approved', 'rejected'];
+
+// Targets still waiting for a review decision
+const PENDING_STATUSES = ['proposed', 'under-review'];
+
+const CURATION_EXTENSION_URL = 'https://ayush.gov.in/fhir/StructureDefinition/mapping-curation';
+
+// FHIR R4 ConceptMap equivalences
+const EQUIVALENCES = [
+  'relatedto', 'equivalent', 'equal', 'wider', 'subsumes', 'narrower',
+  'specializes', 'inexact', 'unmatched', 'disjoint'
+];
+
+/**
+ * Build the Prisma where clause for the targets a translation may use
+ */
+function getCurationFilter(includeProposed = false) {
+  return {
+    curationStatus: { in: includeProposed ? ['approved', ...PENDING_STATUSES] : ['approved'] }
+  };
+}
+
+/**
+ * Record a review decision on pending targets. reviewer is the signed-in
+ * user { id, name }; the id must not be the author's id of a target, the
+ * name is stored for display. All targets are checked before any is changed. An
+ * equivalence given with the decision replaces the proposed one, e.g. when
+ * accepting a suggested relatedto link as equivalent.
+ */
+async function reviewTargets(targetIds, { status, comment, reviewer, equivalence }) {
+  if (!reviewer?.id) {
+    throw new ValidationError('A review needs the user id of the reviewer');
+  }
+
+  if (!['under-review', 'approved', 'rejected'].includes(status)) {
+    throw new ValidationError(`Review status must be under-review, approved or rejected, not '${status}'`);
+  }
+
+  if (status === 'rejected' && !comment) {
+    throw new ValidationError('A comment is required when rejecting a mapping');
+  }
+
+  if (equivalence && !EQUIVALENCES.includes(equivalence)) {
+    throw new ValidationError(`Unknown equivalence '${equivalence}'`);
+  }
+
+  const targets = await prisma.conceptMapTarget.findMany({
+    where: { id: { in: targetIds } }
+  });
+
+  for (const targetId of targetIds) {
+    const target = targets.find(t => t.id === targetId);
+
+    if (!target) {
+      throw new NotFoundError('ConceptMapTarget', targetId);
+    }
+
+    if (!PENDING_STATUSES.includes(target.curationStatus)) {
+      throw new ValidationError(`Mapping target ${targetId} is already ${target.curationStatus}`);
+    }
+
+    if (target.authorId && target.authorId === reviewer.id) {
+      throw new ValidationError(`Mapping target ${targetId} is your own proposal and needs another reviewer`);
+    }
+  }
+
+  await prisma.conceptMapTarget.updateMany({
+    where: { id: { in: targetIds } },
+    data: {
+      curationStatus: status,
+      ...(equivalence && { equivalence }),
+      reviewer: reviewer.name,
+      reviewerId: reviewer.id,
+      reviewComment: comment || null,
+      reviewedAt: new Date()
+    }
+  });
+
+  return prisma.conceptMapTarget.findMany({
+    where: { id: { in: targetIds } },
+    include: {
+      element: {
+        include: {
+          group: {
+            include: { conceptMap: true }
+          }
+        }
+      }
+    }
+  });
+}
+
+/**
+ * Build the curation extension of a FHIR ConceptMap target
+ */
+function toCurationExtension(target) {
+  const parts = [
+    { url: 'status', valueCode: target.curationStatus },
+    target.author && { url: 'author', valueString: target.author },
+    target.confidence != null && { url: 'confidence', valueDecimal: target.confidence },
+    target.proposedAt && { url: 'proposed', valueDateTime: target.proposedAt.toISOString() },
+    target.reviewer && { url: 'reviewer', valueString: target.reviewer },
+    target.reviewedAt && { url: 'reviewed', valueDateTime: target.reviewedAt.toISOString() },
+    target.reviewComment && { url: 'comment', valueString: target.reviewComment }
+  ];
+
+  return {
+    url: CURATION_EXTENSION_URL,
+    extension: parts.filter(Boolean)
+  };
+}
+
+module.exports = {
+  CURATION_STATUSES,
+  PENDING_STATUSES,
+  CURATION_EXTENSION_URL,
+  EQUIVALENCES,
+  getCurationFilter,
+  reviewTargets,
+  toCurationExtension
+};
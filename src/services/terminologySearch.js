@@ -0,0 +1,157 @@
+const { PrismaClient, Prisma } = require('@prisma/client');
+const { toSearchKey, buildSearchKey } = require('../utils/transliteration');
+
+const prisma = new PrismaClient();
+
+/**
+ * Terminology search backed by PostgreSQL pg_trgm and full-text search
+ *
+ * Candidates are found with ILIKE and, in fuzzy mode, the trigram similarity
+ * operators; both are served by the GIN trigram indexes declared in
+ * prisma/schema.prisma. Candidates are then ranked by ts_rank over display,
+ * definition and designations plus trigram similarity, so misspellings
+ * still rank close matches first. Requires the pg_trgm extension.
+ *
+ * Queries are also matched against each concept's searchKey, an ASCII
+ * transliteration of its display and designations, so Devanagari, IAST
+ * and simplified Latin spellings of a term find the same concept.
+ */
+
+/**
+ * Search concepts in one CodeSystem
+ * Returns [{ id, similarity, rank }] ordered by relevance
+ */
+async function searchConcepts(codeSystemId, search, options = {}) {
+  const {
+    fuzzy = false,
+    includeInactive = false,
+    includeDesignations = true,
+    limit = 20
+  } = options;
+
+  const term = search.trim();
+  const pattern = `%${escapeLike(term)}%`;
+  const key = toSearchKey(term);
+
+  const designationMatch = includeDesignations
+    ? Prisma.sql`OR EXISTS (
+        SELECT 1 FROM "CodeSystemDesignation" d
+        WHERE d."conceptId" = c.id
+          AND (d.value ILIKE ${pattern} ${fuzzy ? Prisma.sql`OR d.value % ${term} OR ${term} <% d.value` : Prisma.empty})
+      )`
+    : Prisma.empty;
+
+  const fuzzyMatch = fuzzy
+    ? Prisma.sql`OR c.code % ${term} OR c.display % ${term} OR ${term} <% c.display`
+    : Prisma.empty;
+
+  // Scripts that cannot be romanised (e.g. Tamil) have no search key
+  const keyMatch = key
+    ? Prisma.sql`OR c."searchKey" ILIKE ${`%${escapeLike(key)}%`} ${fuzzy ? Prisma.sql`OR ${key} <% c."searchKey"` : Prisma.empty}`
+    : Prisma.empty;
+
+  const rows = await prisma.$queryRaw`
+    SELECT id, similarity, rank FROM (
+      SELECT c.id, c.code,
+        GREATEST(
+          similarity(c.code, ${term}),
+          similarity(coalesce(c.display, ''), ${term}),
+          word_similarity(${term}, coalesce(c.display, '')),
+          coalesce(ds.similarity, 0),
+          word_similarity(${key}, coalesce(c."searchKey", ''))
+        )::float AS similarity,
+        ts_rank(
+          to_tsvector('simple', coalesce(c.display, '') || ' ' || coalesce(c.definition, '') || ' ' || coalesce(ds.text, '')),
+          plainto_tsquery('simple', ${term})
+        )::float AS rank
+      FROM "CodeSystemConcept" c
+      LEFT JOIN LATERAL (
+        SELECT
+          max(GREATEST(similarity(d.value, ${term}), word_similarity(${term}, d.value))) AS similarity,
+          string_agg(d.value, ' ') AS text
+        FROM "CodeSystemDesignation" d
+        WHERE d."conceptId" = c.id AND ${includeDesignations}
+      ) ds ON true
+      WHERE c."codeSystemId" = ${codeSystemId}
+        AND (${includeInactive} OR c.status = 'active')
+        AND (
+          c.code ILIKE ${pattern}
+          OR c.display ILIKE ${pattern}
+          OR c.definition ILIKE ${pattern}
+          ${designationMatch}
+          ${fuzzyMatch}
+          ${keyMatch}
+        )
+    ) scored
+    ORDER BY rank + similarity DESC, code ASC
+    LIMIT ${limit}
+  `;
+
+  return rows;
+}
+
+/**
+ * Suggest close spellings for a search term that found nothing.
+ * Looks at displays and designations of the given CodeSystems.
+ */
+async function suggestTerms(codeSystemIds, search, limit = 3) {
+  if (codeSystemIds.length === 0) return [];
+
+  const term = search.trim();
+
+  const rows = await prisma.$queryRaw`
+    SELECT term, max(score)::float AS score FROM (
+      SELECT c.display AS term, word_similarity(${term}, c.display) AS score
+      FROM "CodeSystemConcept" c
+      WHERE c."codeSystemId" IN (${Prisma.join(codeSystemIds)})
+        AND c.status = 'active'
+        AND (c.display % ${term} OR ${term} <% c.display)
+      UNION ALL
+      SELECT d.value AS term, word_similarity(${term}, d.value) AS score
+      FROM "CodeSystemDesignation" d
+      JOIN "CodeSystemConcept" c ON c.id = d."conceptId"
+      WHERE c."codeSystemId" IN (${Prisma.join(codeSystemIds)})
+        AND c.status = 'active'
+        AND (d.value % ${term} OR ${term} <% d.value)
+    ) candidates
+    WHERE term IS NOT NULL
+    GROUP BY term
+    ORDER BY score DESC
+    LIMIT ${limit}
+  `;
+
+  return rows.map(row => ({ term: row.term, score: row.score }));
+}
+
+/**
+ * Recompute the stored searchKey of a concept after its display or
+ * designations changed
+ */
+async function updateSearchKey(conceptId) {
+  const concept = await prisma.codeSystemConcept.findUnique({
+    where: { id: conceptId },
+    include: { designations: { select: { value: true } } }
+  });
+
+  if (!concept) return null;
+
+  return prisma.codeSystemConcept.update({
+    where: { id: conceptId },
+    data: {
+      searchKey: buildSearchKey([concept.display, ...concept.designations.map(d => d.value)])
+    }
+  });
+}
+
+/**
+ * Escape LIKE wildcards in user input
+ */
+function escapeLike(value) {
+  return value.replace(/[\\%_]/g, char => `\\${char}`);
+}
+
+module.exports = {
+  searchConcepts,
+  suggestTerms,
+  updateSearchKey
+};
@@ -0,0 +1,91 @@
+/**
+ * Helpers for delimited text (CSV / TSV)
+ *
+ * Fields may be quoted with double quotes to hold the delimiter, line
+ * breaks or escaped quotes (""). Records remember the line they start on
+ * so errors can point at the spreadsheet row.
+ */
+
+const DELIMITERS = {
+  csv: ',',
+  tsv: '\t'
+};
+
+const CONTENT_TYPES = {
+  csv: 'text/csv',
+  tsv: 'text/tab-separated-values'
+};
+
+/**
+ * Parse delimited text into { line, values } records, skipping blank lines
+ */
+function parseDelimited(text, delimiter = ',') {
+  const records = [];
+  let values = [];
+  let current = '';
+  let inQuotes = false;
+  let line = 1;
+  let startLine = 1;
+
+  const endRecord = () => {
+    values.push(current.trim());
+    if (values.some(value => value)) records.push({ line: startLine, values });
+    values = [];
+    current = '';
+    startLine = line;
+  };
+
+  text = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n') line++;
+        current += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      values.push(current.trim());
+      current = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      line++;
+      endRecord();
+    } else {
+      current += char;
+    }
+  }
+
+  endRecord();
+
+  return records;
+}
+
+/**
+ * Format rows of values as delimited text, quoting fields where needed
+ */
+function formatDelimited(rows, delimiter = ',') {
+  const escape = value => {
+    const text = value == null ? '' : String(value);
+    return /["\r\n]/.test(text) || text.includes(delimiter)
+      ? `"${text.replace(/"/g, '""')}"`
+      : text;
+  };
+
+  return rows.map(row => row.map(escape).join(delimiter)).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  DELIMITERS,
+  CONTENT_TYPES,
+  parseDelimited,
+  formatDelimited
+};
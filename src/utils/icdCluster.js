@@ -0,0 +1,138 @@
+/**
+ * ICD-11 postcoordination (cluster) expressions
+ *
+ * A cluster combines stem codes with "/" and attaches extension codes (the
+ * X chapter) to the preceding stem with "&", e.g. "NC72.2Z&XK9K" or
+ * "2C77/2E03&XH8R3N". Condition codings keep the full expression as code and
+ * list the parsed components in the cluster extension so analytics can group
+ * by the first stem code.
+ */
+
+const { ICD11_MMS_URL, getSystemAliases } = require('./systemAlias');
+
+const CLUSTER_EXTENSION_URL = 'https://ayush.gov.in/fhir/StructureDefinition/icd11-cluster';
+
+// ICD-11 system URLs whose codings may carry cluster expressions
+const ICD11_SYSTEMS = getSystemAliases(ICD11_MMS_URL);
+
+const CLUSTER_OPERATORS = /([&/])/;
+
+/**
+ * Check whether a code is a cluster expression rather than a single code
+ */
+function isClusterExpression(code) {
+  return typeof code === 'string' && /[&/]/.test(code);
+}
+
+/**
+ * Check whether a code belongs to the extension codes chapter (X)
+ */
+function isExtensionCode(code) {
+  return /^X/.test(code);
+}
+
+/**
+ * Check whether a code belongs to chapter 26, Traditional Medicine
+ * conditions (Module I SA00-SJ3Z and the TM2 Module II SK00-ST2Z)
+ */
+function isTm2Code(code) {
+  return /^S[A-T][0-9A-Z]{2}/.test(code);
+}
+
+/**
+ * Split a cluster expression into its components.
+ * Returns { expression, stemCode, components, errors } where expression is the
+ * normalised cluster, each component is { code, role: 'stem' | 'extension',
+ * operator } and errors lists syntax problems.
+ */
+function parseClusterExpression(expression) {
+  const value = String(expression || '').trim();
+  const tokens = value.split(CLUSTER_OPERATORS);
+  const components = [];
+  const errors = [];
+
+  for (let i = 0; i < tokens.length; i += 2) {
+    const code = tokens[i].trim();
+    const operator = i === 0 ? null : tokens[i - 1];
+    const role = operator === '&' ? 'extension' : 'stem';
+
+    if (!code) {
+      errors.push(`Empty code ${operator ? `after '${operator}'` : 'at the start'} of cluster '${value}'`);
+      continue;
+    }
+
+    if (/\s/.test(code)) {
+      errors.push(`Code '${code}' in cluster '${value}' contains whitespace`);
+    }
+
+    if (role === 'stem' && isExtensionCode(code)) {
+      errors.push(`Extension code '${code}' must be attached to a stem code with '&'`);
+    } else if (role === 'extension' && !isExtensionCode(code)) {
+      errors.push(`Stem code '${code}' must be combined with '/', not '&'`);
+    }
+
+    components.push({ code, role, operator });
+  }
+
+  const stem = components.find(component => component.role === 'stem');
+
+  return {
+    // Normalised form without spaces around the operators
+    expression: components.map(component => `${component.operator || ''}${component.code}`).join(''),
+    stemCode: stem ? stem.code : null,
+    components,
+    errors
+  };
+}
+
+/**
+ * Join component displays with the cluster operators,
+ * e.g. "Migraine & Severe"
+ */
+function formatClusterDisplay(components) {
+  return components
+    .map(component => `${component.operator ? ` ${component.operator} ` : ''}${component.display || component.code}`)
+    .join('');
+}
+
+/**
+ * Build the coding extension listing the parsed components of a cluster
+ */
+function toClusterExtension(components, system) {
+  return {
+    url: CLUSTER_EXTENSION_URL,
+    extension: components.map(component => ({
+      url: component.role,
+      valueCoding: {
+        system,
+        code: component.code,
+        ...(component.display && { display: component.display })
+      }
+    }))
+  };
+}
+
+/**
+ * Read the stem code of a coding: the first stem of its cluster extension,
+ * the first stem of a cluster code, or the code itself
+ */
+function getStemCode(coding) {
+  const cluster = (coding.extension || []).find(extension => extension.url === CLUSTER_EXTENSION_URL);
+  const stem = cluster?.extension?.find(component => component.url === 'stem');
+
+  if (stem) return stem.valueCoding.code;
+  if (isClusterExpression(coding.code)) return parseClusterExpression(coding.code).stemCode;
+  return coding.code;
+}
+
+module.exports = {
+  CLUSTER_EXTENSION_URL,
+  ICD11_SYSTEMS,
+  isClusterExpression,
+  isExtensionCode,
+  isTm2Code,
+  parseClusterExpression,
+  formatClusterDisplay,
+  toClusterExtension,
+  getStemCode
+};
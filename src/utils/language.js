@@ -0,0 +1,123 @@
+/**
+ * Display language negotiation for terminology outputs
+ *
+ * The requested languages come from the displayLanguage parameter or the
+ * Accept-Language header and are extended with fallback chains, so a Hindi
+ * request falls back to Sanskrit and then English before the concept's
+ * primary display is used.
+ */
+
+const LANGUAGE_FALLBACKS = {
+  hi: ['sa', 'en'],
+  sa: ['hi', 'en'],
+  ta: ['en'],
+  ur: ['ar', 'en'],
+  ar: ['ur', 'en']
+};
+
+const DEFAULT_FALLBACKS = ['en'];
+
+/**
+ * Parse an Accept-Language header into language tags ordered by quality
+ */
+function parseAcceptLanguage(header) {
+  if (!header) return [];
+
+  return header
+    .split(',')
+    .map((entry, index) => {
+      const [tag, ...params] = entry.trim().split(';');
+      const quality = params
+        .map(param => param.trim())
+        .find(param => param.startsWith('q='));
+
+      return {
+        tag: tag.trim().toLowerCase(),
+        quality: quality ? parseFloat(quality.substring(2)) : 1,
+        index
+      };
+    })
+    .filter(entry => entry.tag && entry.tag !== '*' && entry.quality > 0)
+    .sort((a, b) => b.quality - a.quality || a.index - b.index)
+    .map(entry => entry.tag);
+}
+
+/**
+ * Build the ordered list of display languages for a request.
+ * displayLanguage (comma separated) takes precedence over Accept-Language.
+ * Returns an empty array when no language was requested.
+ */
+function getRequestedLanguages(req, displayLanguage) {
+  const requested = displayLanguage
+    ? String(displayLanguage).split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean)
+    : parseAcceptLanguage(req.get('Accept-Language'));
+
+  const languages = [];
+  const add = tag => {
+    if (!languages.includes(tag)) languages.push(tag);
+  };
+
+  for (const tag of requested) {
+    const primary = tag.split('-')[0];
+    add(tag);
+    add(primary);
+  }
+
+  // Fallbacks come after every explicitly requested language
+  for (const tag of requested) {
+    const primary = tag.split('-')[0];
+    (LANGUAGE_FALLBACKS[primary] || DEFAULT_FALLBACKS).forEach(add);
+  }
+
+  return languages;
+}
+
+/**
+ * Find the designation that best matches the requested languages.
+ * Exact tag matches win over matches on the primary language subtag.
+ */
+function findDesignation(designations, languages) {
+  for (const language of languages) {
+    const exact = designations.find(d => d.language?.toLowerCase() === language);
+    if (exact) return exact;
+
+    const primary = designations.find(d => d.language?.toLowerCase().split('-')[0] === language);
+    if (primary) return primary;
+  }
+
+  return null;
+}
+
+/**
+ * Choose the display of a concept for the requested languages.
+ * The chosen designation becomes the display; the remaining designations,
+ * and the primary display when it was replaced, are returned as designations.
+ */
+function localizeConcept(concept, languages) {
+  const designations = concept.designations || [];
+  const chosen = languages.length > 0 ? findDesignation(designations, languages) : null;
+
+  if (!chosen) {
+    return {
+      display: concept.display,
+      language: null,
+      designations
+    };
+  }
+
+  return {
+    display: chosen.value,
+    language: chosen.language,
+    designations: [
+      ...(concept.display && concept.display !== chosen.value ? [{ value: concept.display }] : []),
+      ...designations.filter(d => d !== chosen)
+    ]
+  };
+}
+
+module.exports = {
+  LANGUAGE_FALLBACKS,
+  parseAcceptLanguage,
+  getRequestedLanguages,
+  localizeConcept
+};
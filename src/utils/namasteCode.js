@@ -0,0 +1,99 @@
+/**
+ * NAMASTE code structure parsing
+ *
+ * NAMC_CODE values combine an ICD-11 TM2 style "SR code" with the NAMASTE
+ * family code in brackets, e.g. "SR11 (AAA-1)", "SM1P (AAB-7)" or the
+ * reversed "ED-8.5.2(SP14)". Many rows carry only the family code ("AAA-2.2",
+ * "EB-2.2.1", "AAA1.1", "Z$1"). The family code encodes the hierarchy:
+ * AAA-2.1 sits below AAA-2, which sits below the AAA family.
+ */
+
+// ICD-11 TM2 style codes: S + three letters/digits, e.g. SR11, SM1P
+const SR_CODE_PATTERN = /^S[A-Z0-9]{3}$/;
+const COMPOUND_PATTERN = /^([^()]+?)\s*\(([^()]+)\)$/;
+
+/**
+ * Collapse the non-breaking and repeated spaces found in the source data
+ */
+function normalizeCode(code) {
+  return String(code).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Split a NAMC_CODE into its SR code and NAMASTE family code.
+ * Returns { code, srCode, namasteCode } where code is the normalised input.
+ */
+function parseNamasteCode(rawCode) {
+  const code = normalizeCode(rawCode || '');
+  const compound = code.match(COMPOUND_PATTERN);
+
+  if (compound) {
+    const [, outer, inner] = compound.map(part => part.trim());
+
+    if (SR_CODE_PATTERN.test(outer)) {
+      return { code, srCode: outer, namasteCode: inner };
+    }
+    if (SR_CODE_PATTERN.test(inner)) {
+      return { code, srCode: inner, namasteCode: outer };
+    }
+  }
+
+  return { code, srCode: null, namasteCode: code || null };
+}
+
+/**
+ * Derive the parent family code of a NAMASTE family code:
+ * AAA-2.1 -> AAA-2 -> AAA -> AA -> A, AAA1.1 -> AAA1 -> AAA, Z$1 -> Z$ -> Z
+ */
+function getParentNamasteCode(namasteCode) {
+  if (!namasteCode) return null;
+
+  const code = normalizeCode(namasteCode);
+
+  // Drop the last sub-number: AAA-2.1 -> AAA-2
+  const subNumber = code.match(/^(.*\d)\.\d+$/);
+  if (subNumber) return subNumber[1];
+
+  // Drop the number: AAA-2 -> AAA, CAC 1 -> CAC
+  const number = code.match(/^(.*?)[\s-]?\d+$/);
+  if (number && number[1]) return number[1];
+
+  // Drop the last family letter: AAA -> AA, Z$ -> Z
+  return /^[A-Z]+[$#]?$/.test(code) && code.length > 1 ? code.slice(0, -1) : null;
+}
+
+/**
+ * List the ancestor family codes of a NAMASTE family code, nearest first
+ */
+function getNamasteCodeLineage(namasteCode) {
+  const lineage = [];
+  let parent = getParentNamasteCode(namasteCode);
+
+  while (parent) {
+    lineage.push(parent);
+    parent = getParentNamasteCode(parent);
+  }
+
+  return lineage;
+}
+
+/**
+ * Build the alias properties stored on a NAMASTE concept so it can be found
+ * by NAMC_ID, SR code or family code
+ */
+function getNamasteCodeProperties(rawCode, namcId) {
+  const { srCode, namasteCode } = parseNamasteCode(rawCode);
+
+  return [
+    ...(namcId ? [{ code: 'namcId', valueString: String(namcId).trim() }] : []),
+    ...(srCode ? [{ code: 'srCode', valueCode: srCode }] : []),
+    ...(namasteCode ? [{ code: 'namasteCode', valueCode: namasteCode }] : [])
+  ];
+}
+
+module.exports = {
+  parseNamasteCode,
+  getParentNamasteCode,
+  getNamasteCodeLineage,
+  getNamasteCodeProperties
+};
@@ -0,0 +1,76 @@
+/**
+ * Helpers for reading FHIR operation parameters
+ *
+ * Operations can be invoked with GET (parameters in the query string) or
+ * POST (a Parameters resource in the body). These helpers flatten both
+ * forms into a plain object keyed by parameter name.
+ */
+
+/**
+ * Flatten a FHIR Parameters resource into a name -> value object
+ * Complex values (Coding, CodeableConcept) are kept as objects
+ */
+function parseParametersResource(body) {
+  if (!body || !Array.isArray(body.parameter)) {
+    return {};
+  }
+
+  return body.parameter.reduce((acc, param) => {
+    if (param.valueCoding) {
+      acc[param.name] = param.valueCoding;
+    } else if (param.valueCodeableConcept) {
+      acc[param.name] = param.valueCodeableConcept;
+    } else if (param.valueBoolean !== undefined) {
+      acc[param.name] = param.valueBoolean;
+    } else if (param.valueInteger !== undefined) {
+      acc[param.name] = param.valueInteger;
+    } else if (param.valueDecimal !== undefined) {
+      acc[param.name] = param.valueDecimal;
+    } else {
+      acc[param.name] = param.valueCode ?? param.valueString ?? param.valueUri ??
+        param.valueCanonical ?? param.valueDateTime ?? param.valueDate;
+    }
+    return acc;
+  }, {});
+}
+
+/**
+ * Get operation parameters from either the query string (GET) or the
+ * Parameters body (POST). Query values for Coding parameters may be given
+ * as "system|code".
+ */
+function getOperationParameters(req) {
+  if (req.method === 'GET') {
+    const params = { ...req.query };
+    for (const [name, value] of Object.entries(params)) {
+      if (value === 'true') params[name] = true;
+      if (value === 'false') params[name] = false;
+    }
+    return params;
+  }
+
+  return parseParametersResource(req.body);
+}
+
+/**
+ * Normalise a Coding parameter which may be an object or a "system|code" string
+ */
+function toCoding(value) {
+  if (!value) return null;
+  if (typeof value === 'object') return value;
+
+  const separator = value.lastIndexOf('|');
+  if (separator === -1) {
+    return { code: value };
+  }
+  return {
+    system: value.substring(0, separator) || undefined,
+    code: value.substring(separator + 1)
+  };
+}
+
+module.exports = {
+  parseParametersResource,
+  getOperationParameters,
+  toCoding
+};
@@ -0,0 +1,133 @@
+/**
+ * Code system URL aliases
+ *
+ * Each terminology has one canonical URL; older data and EMRs also use alias
+ * URLs (e.g. the ICD-11 browser URL for MMS codes). Incoming codings are
+ * rewritten to the canonical URL, CodeSystems and ConceptMaps are looked up
+ * under the canonical URL and its aliases, and responses only use the
+ * canonical URL. The registry is published as NamingSystem resources.
+ */
+
+const ICD11_MMS_URL = 'http://id.who.int/icd/release/11/mms';
+
+const NAMING_SYSTEMS = [
+  {
+    id: 'icd11-mms',
+    name: 'ICD11MMS',
+    title: 'ICD-11 for Mortality and Morbidity Statistics',
+    publisher: 'World Health Organization',
+    description: 'WHO International Classification of Diseases, 11th Revision, including chapter 26 Traditional Medicine (TM2)',
+    url: ICD11_MMS_URL,
+    aliases: [
+      'https://icd.who.int/browse11/l-m/en',
+      'http://id.who.int/icd/release/11/2022',
+      'https://id.who.int/icd/release/11/mms'
+    ]
+  },
+  {
+    id: 'namaste',
+    name: 'NAMASTE',
+    title: 'National AYUSH Morbidity & Standardized Terminologies Electronic',
+    publisher: 'Ministry of AYUSH',
+    description: 'NAMASTE codes for Ayurveda disorders',
+    url: 'https://ayush.gov.in/fhir/CodeSystem/namaste',
+    aliases: []
+  },
+  {
+    id: 'siddha',
+    name: 'SIDDHA',
+    title: 'Siddha Medicine Terminology',
+    publisher: 'Ministry of AYUSH',
+    description: 'NAMASTE codes for Siddha disorders',
+    url: 'https://ayush.gov.in/fhir/CodeSystem/siddha',
+    aliases: []
+  },
+  {
+    id: 'unani',
+    name: 'UNANI',
+    title: 'Unani Medicine Terminology',
+    publisher: 'Ministry of AYUSH',
+    description: 'NAMASTE codes for Unani disorders',
+    url: 'https://ayush.gov.in/fhir/CodeSystem/unani',
+    aliases: []
+  },
+  {
+    id: 'who-ita',
+    name: 'WHO_ITA',
+    title: 'WHO International Standard Terminologies on Ayurveda',
+    publisher: 'World Health Organization',
+    description: 'WHO standardised Ayurveda terms',
+    url: 'https://ayush.gov.in/fhir/CodeSystem/who-ita',
+    aliases: []
+  }
+];
+
+const canonicalUrls = new Map();
+for (const namingSystem of NAMING_SYSTEMS) {
+  for (const url of [namingSystem.url, ...namingSystem.aliases]) {
+    canonicalUrls.set(url, namingSystem.url);
+  }
+}
+
+/**
+ * Find the registry entry for a canonical or alias URL
+ */
+function findNamingSystem(url) {
+  const canonical = canonicalUrls.get(url);
+  return canonical ? NAMING_SYSTEMS.find(namingSystem => namingSystem.url === canonical) : null;
+}
+
+/**
+ * Get the canonical URL of a system; unknown systems are returned unchanged
+ */
+function getCanonicalSystem(url) {
+  return canonicalUrls.get(url) || url;
+}
+
+/**
+ * List the canonical URL of a system followed by its aliases
+ */
+function getSystemAliases(url) {
+  const namingSystem = findNamingSystem(url);
+  return namingSystem ? [namingSystem.url, ...namingSystem.aliases] : [url];
+}
+
+/**
+ * Check whether two system URLs identify the same terminology
+ */
+function isSameSystem(a, b) {
+  return !!a && !!b && getCanonicalSystem(a) === getCanonicalSystem(b);
+}
+
+/**
+ * Rewrite a coding to the canonical system URL
+ */
+function canonicalizeCoding(coding) {
+  if (!coding || !coding.system) return coding;
+
+  const system = getCanonicalSystem(coding.system);
+  return system === coding.system ? coding : { ...coding, system };
+}
+
+/**
+ * Rewrite the codings of a CodeableConcept to canonical system URLs
+ */
+function canonicalizeCodeableConcept(codeableConcept) {
+  if (!codeableConcept || !Array.isArray(codeableConcept.coding)) return codeableConcept;
+
+  return {
+    ...codeableConcept,
+    coding: codeableConcept.coding.map(canonicalizeCoding)
+  };
+}
+
+module.exports = {
+  ICD11_MMS_URL,
+  NAMING_SYSTEMS,
+  findNamingSystem,
+  getCanonicalSystem,
+  getSystemAliases,
+  isSameSystem,
+  canonicalizeCoding,
+  canonicalizeCodeableConcept
+};
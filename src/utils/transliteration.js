@@ -0,0 +1,149 @@
+/**
+ * Transliteration helpers for Indic terminology search
+ *
+ * NAMASTE terms are loaded in Devanagari while clinicians type IAST
+ * (vātasañcaya) or simplified ASCII (vatasanchaya). Every spelling is
+ * reduced to the same ASCII search key: Devanagari is romanised to IAST,
+ * diacritics are dropped and common informal spellings are folded together.
+ */
+
+const VOWELS = {
+  'अ': 'a', 'आ': 'ā', 'इ': 'i', 'ई': 'ī', 'उ': 'u', 'ऊ': 'ū',
+  'ऋ': 'ṛ', 'ॠ': 'ṝ', 'ऌ': 'ḷ', 'ॡ': 'ḹ', 'ए': 'e', 'ऐ': 'ai',
+  'ओ': 'o', 'औ': 'au', 'ऍ': 'e', 'ऑ': 'o'
+};
+
+const VOWEL_SIGNS = {
+  'ा': 'ā', 'ि': 'i', 'ी': 'ī', 'ु': 'u', 'ू': 'ū', 'ृ': 'ṛ',
+  'ॄ': 'ṝ', 'ॢ': 'ḷ', 'ॣ': 'ḹ', 'े': 'e', 'ै': 'ai', 'ो': 'o',
+  'ौ': 'au', 'ॅ': 'e', 'ॉ': 'o'
+};
+
+const CONSONANTS = {
+  'क': 'k', 'ख': 'kh', 'ग': 'g', 'घ': 'gh', 'ङ': 'ṅ',
+  'च': 'c', 'छ': 'ch', 'ज': 'j', 'झ': 'jh', 'ञ': 'ñ',
+  'ट': 'ṭ', 'ठ': 'ṭh', 'ड': 'ḍ', 'ढ': 'ḍh', 'ण': 'ṇ',
+  'त': 't', 'थ': 'th', 'द': 'd', 'ध': 'dh', 'न': 'n',
+  'प': 'p', 'फ': 'ph', 'ब': 'b', 'भ': 'bh', 'म': 'm',
+  'य': 'y', 'र': 'r', 'ल': 'l', 'व': 'v', 'ळ': 'ḷ',
+  'श': 'ś', 'ष': 'ṣ', 'स': 's', 'ह': 'h',
+  // Precomposed nukta consonants
+  'क़': 'q', 'ख़': 'kh', 'ग़': 'ġ', 'ज़': 'z', 'ड़': 'ṛ', 'ढ़': 'ṛh', 'फ़': 'f', 'य़': 'ẏ'
+};
+
+// Consonant + nukta (़) written as two code points
+const NUKTA_CONSONANTS = {
+  'क': 'q', 'ख': 'kh', 'ग': 'ġ', 'ज': 'z', 'ड': 'ṛ', 'ढ': 'ṛh', 'फ': 'f', 'य': 'ẏ'
+};
+
+const SIGNS = {
+  'ं': 'ṃ', 'ः': 'ḥ', 'ँ': 'm̐', 'ऽ': '\'', 'ॐ': 'oṃ', '।': '.', '॥': '.',
+  '०': '0', '१': '1', '२': '2', '३': '3', '४': '4',
+  '५': '5', '६': '6', '७': '7', '८': '8', '९': '9'
+};
+
+const VIRAMA = '्';
+const NUKTA = '़';
+
+const DEVANAGARI_PATTERN = /[ऀ-ॿ]/;
+
+/**
+ * Check whether a string contains Devanagari characters
+ */
+function hasDevanagari(text) {
+  return !!text && DEVANAGARI_PATTERN.test(text);
+}
+
+/**
+ * Romanise Devanagari text to IAST. Other characters are kept as they are.
+ */
+function devanagariToIast(text) {
+  if (!hasDevanagari(text)) return text;
+
+  const chars = Array.from(text);
+  let result = '';
+
+  for (let i = 0; i < chars.length; i++) {
+    const char = chars[i];
+
+    if (CONSONANTS[char]) {
+      let consonant = CONSONANTS[char];
+      if (chars[i + 1] === NUKTA && NUKTA_CONSONANTS[char]) {
+        consonant = NUKTA_CONSONANTS[char];
+        i++;
+      }
+
+      // Consonants carry an inherent 'a' unless followed by a virama or vowel sign
+      const next = chars[i + 1];
+      if (next === VIRAMA) {
+        result += consonant;
+        i++;
+      } else if (VOWEL_SIGNS[next]) {
+        result += consonant + VOWEL_SIGNS[next];
+        i++;
+      } else {
+        result += consonant + 'a';
+      }
+    } else if (VOWELS[char]) {
+      result += VOWELS[char];
+    } else if (SIGNS[char]) {
+      result += SIGNS[char];
+    } else if (char !== NUKTA && char !== VIRAMA) {
+      result += char;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Reduce a term in Devanagari, IAST or ASCII to its ASCII search key.
+ * Returns an empty string for scripts that cannot be romanised (e.g. Tamil).
+ */
+function toSearchKey(text) {
+  if (!text) return '';
+
+  return devanagariToIast(text)
+    .normalize('NFD')
+    // Word-final visarga is usually dropped in informal spellings
+    .replace(/h\u0323/g, '')
+    // Anusvara is typed as n or m
+    .replace(/m[\u0307\u0323]/g, 'n')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/chh/g, 'c')
+    .replace(/ch/g, 'c')
+    .replace(/sh/g, 's')
+    .replace(/ee/g, 'i')
+    .replace(/oo/g, 'u')
+    .replace(/w/g, 'v')
+    // ṛ is typed as ri (vriddhi for vṛddhi)
+    .replace(/ri/g, 'r')
+    .replace(/[^a-z0-9\s]/g, ' ')
+    // Long vowels and geminates are often written single
+    .replace(/([a-z])\1+/g, '$1')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Build the stored search key of a concept from its display and
+ * designation values. Duplicate and empty keys are dropped.
+ */
+function buildSearchKey(values) {
+  const keys = new Set();
+
+  for (const value of values) {
+    const key = toSearchKey(value);
+    if (key) keys.add(key);
+  }
+
+  return keys.size > 0 ? Array.from(keys).join(' | ') : null;
+}
+
+module.exports = {
+  hasDevanagari,
+  devanagariToIast,
+  toSearchKey,
+  buildSearchKey
+};
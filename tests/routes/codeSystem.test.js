@@ -0,0 +1,135 @@
+const mockPrisma = {
+  codeSystem: { findFirst: jest.fn(), findUnique: jest.fn() },
+  codeSystemConcept: { findUnique: jest.fn() }
+};
+
+jest.mock('@prisma/client', () => ({ PrismaClient: jest.fn(() => mockPrisma) }));
+
+const express = require('express');
+const codeSystemRoutes = require('../../src/routes/codeSystem');
+const { errorHandler } = require('../../src/middleware/errorHandler');
+
+const NAMASTE_URL = 'https://ayush.gov.in/fhir/CodeSystem/namaste';
+
+let server;
+let baseUrl;
+
+beforeAll(done => {
+  const app = express();
+  app.use(express.json());
+  app.use('/fhir/CodeSystem', codeSystemRoutes);
+  app.use(errorHandler);
+
+  server = app.listen(0, () => {
+    baseUrl = `http://127.0.0.1:${server.address().port}/fhir/CodeSystem`;
+    done();
+  });
+});
+
+afterAll(done => {
+  server.close(done);
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  console.error.mockRestore();
+});
+
+describe('GET /fhir/CodeSystem/$autocomplete', () => {
+  const autocomplete = query => fetch(`${baseUrl}/$autocomplete?${new URLSearchParams(query)}`, {
+    headers: { Accept: 'application/fhir+json' }
+  });
+
+  test('runs the autocomplete search instead of reading a CodeSystem by id', async () => {
+    mockPrisma.codeSystem.findFirst.mockResolvedValue({
+      id: 'cs-1',
+      url: NAMASTE_URL,
+      version: '1.0',
+      concepts: [{ code: 'AAA-1', display: 'vātasañcayaḥ', status: 'active', designations: [] }]
+    });
+
+    const response = await autocomplete({ system: NAMASTE_URL, search: 'vata' });
+    const body = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(mockPrisma.codeSystem.findUnique).not.toHaveBeenCalled();
+    expect(body.parameter[0]).toEqual({ name: 'result', valueBoolean: true });
+    expect(body.parameter[2].part[1].valueCoding).toMatchObject({ system: NAMASTE_URL, code: 'AAA-1' });
+  });
+
+  test('hides retired concepts and searches the transliterated key', async () => {
+    mockPrisma.codeSystem.findFirst.mockResolvedValue({ id: 'cs-1', url: NAMASTE_URL, concepts: [] });
+
+    await autocomplete({ system: NAMASTE_URL, search: 'vātasañcaya' });
+
+    const conceptWhere = mockPrisma.codeSystem.findFirst.mock.calls[0][0].include.concepts.where;
+    expect(conceptWhere.status).toBe('active');
+    expect(conceptWhere.OR).toContainEqual({ searchKey: { contains: 'vatasancaya' } });
+  });
+
+  test('includes retired concepts with includeInactive=true', async () => {
+    mockPrisma.codeSystem.findFirst.mockResolvedValue({ id: 'cs-1', url: NAMASTE_URL, concepts: [] });
+
+    await autocomplete({ system: NAMASTE_URL, search: 'vata', includeInactive: 'true' });
+
+    const conceptWhere = mockPrisma.codeSystem.findFirst.mock.calls[0][0].include.concepts.where;
+    expect(conceptWhere).not.toHaveProperty('status');
+  });
+
+  test('requires the system parameter', async () => {
+    const response = await autocomplete({ search: 'vata' });
+
+    expect(response.status).toBe(400);
+    expect((await response.json()).issue[0].details.text).toBe('system parameter is required');
+  });
+});
+
+describe('GET /fhir/CodeSystem/$validate-code', () => {
+  const validateCode = query => fetch(`${baseUrl}/$validate-code?${new URLSearchParams(query)}`, {
+    headers: { Accept: 'application/fhir+json' }
+  });
+
+  beforeEach(() => {
+    mockPrisma.codeSystem.findFirst.mockImplementation(({ where }) => Promise.resolve(
+      !where.version || where.version === '2024-01'
+        ? { id: 'cs-2024', url: NAMASTE_URL, name: 'NAMASTE', version: '2024-01' }
+        : null
+    ));
+    mockPrisma.codeSystemConcept.findUnique.mockResolvedValue({
+      code: 'AAA-1',
+      display: 'vātasañcayaḥ',
+      status: 'active',
+      designations: []
+    });
+  });
+
+  test('validates against the requested release and reports its version', async () => {
+    const body = await (await validateCode({ system: NAMASTE_URL, code: 'AAA-1', version: '2024-01' })).json();
+
+    expect(body.parameter[0]).toEqual({ name: 'result', valueBoolean: true });
+    expect(body.parameter).toContainEqual({ name: 'version', valueString: '2024-01' });
+    expect(body.parameter.filter(param => param.name === 'message')).toEqual([]);
+  });
+
+  test('validates a coding with an unknown version against the latest release', async () => {
+    const body = await (await validateCode({ system: NAMASTE_URL, code: 'AAA-1', version: '1.0' })).json();
+
+    expect(body.parameter[0]).toEqual({ name: 'result', valueBoolean: true });
+    expect(body.parameter).toContainEqual({
+      name: 'message',
+      valueString: `CodeSystem '${NAMASTE_URL}' version '1.0' is not known to this server; validated against version '2024-01'`
+    });
+  });
+
+  test('leaves out the version of an unversioned release', async () => {
+    mockPrisma.codeSystem.findFirst.mockResolvedValue({ id: 'cs-1', url: NAMASTE_URL, name: 'NAMASTE', version: null });
+
+    const body = await (await validateCode({ system: NAMASTE_URL, code: 'AAA-1' })).json();
+
+    expect(body.parameter.map(param => param.name)).not.toContain('version');
+  });
+});
@@ -0,0 +1,40 @@
+const {
+  getRetirementMessage,
+  getLifecycleProperties,
+  toReplacedByValue
+} = require('../../src/services/conceptLifecycle');
+
+const NAMASTE_URL = 'https://ayush.gov.in/fhir/CodeSystem/namaste';
+const SIDDHA_URL = 'https://ayush.gov.in/fhir/CodeSystem/siddha';
+
+const retired = replacedBy => ({
+  code: 'DA',
+  status: 'deprecated',
+  codeSystemId: 'cs-namaste',
+  replacedBy
+});
+
+describe('replacements', () => {
+  test('name a replacement in the same CodeSystem by code', () => {
+    const concept = retired({ code: 'DB', display: 'Vatham', codeSystemId: 'cs-namaste', codeSystem: { url: NAMASTE_URL } });
+
+    expect(toReplacedByValue(concept)).toEqual({ valueCode: 'DB' });
+    expect(getRetirementMessage(concept)).toBe("Code 'DA' is deprecated; use replacement code 'DB' (Vatham)");
+  });
+
+  test('name the system of a replacement in another CodeSystem', () => {
+    const concept = retired({ code: 'DA', display: 'Vatham', codeSystemId: 'cs-siddha', codeSystem: { url: SIDDHA_URL } });
+
+    expect(toReplacedByValue(concept)).toEqual({ valueCoding: { system: SIDDHA_URL, code: 'DA', display: 'Vatham' } });
+    expect(getRetirementMessage(concept)).toBe(
+      `Code 'DA' is deprecated; use replacement code 'DA' (Vatham) from '${SIDDHA_URL}'`
+    );
+    expect(getLifecycleProperties(concept)).toContainEqual({
+      name: 'property',
+      part: [
+        { name: 'code', valueCode: 'replacedBy' },
+        { name: 'value', valueCoding: { system: SIDDHA_URL, code: 'DA', display: 'Vatham' } }
+      ]
+    });
+  });
+});
@@ -0,0 +1,178 @@
+const mockPrisma = {
+  conceptMapGroup: { findMany: jest.fn(), create: jest.fn() },
+  conceptMapElement: { create: jest.fn(), update: jest.fn() },
+  $transaction: jest.fn()
+};
+
+jest.mock('@prisma/client', () => ({ PrismaClient: jest.fn(() => mockPrisma) }));
+
+const {
+  parseMappingRows,
+  findMappingGroup,
+  importMappingRows,
+  toConceptMapResource
+} = require('../../src/services/conceptMapCsv');
+const { ValidationError } = require('../../src/middleware/errorHandler');
+
+const HEADER = 'source_code,source_display,target_code,target_display,equivalence,comment,depends_on';
+
+describe('parseMappingRows', () => {
+  test('reads rows with defaults and dependsOn conditions', () => {
+    const { rows, errors } = parseMappingRows([
+      HEADER,
+      'SR11,Vata,SK25,Vata disorder,,,',
+      'SR12,Pitta,SK26,,wider,Broader,severity=mild;stage=http://example.org/stage|2'
+    ].join('\n'), ',');
+
+    expect(errors).toEqual([]);
+    expect(rows).toHaveLength(2);
+    expect(rows[0]).toMatchObject({ line: 2, sourceCode: 'SR11', targetCode: 'SK25', equivalence: 'equivalent', dependsOn: [] });
+    expect(rows[1]).toMatchObject({ line: 3, equivalence: 'wider', comment: 'Broader' });
+    expect(rows[1].dependsOn).toEqual([
+      { property: 'severity', system: undefined, value: 'mild' },
+      { property: 'stage', system: 'http://example.org/stage', value: '2' }
+    ]);
+  });
+
+  test('accepts header names with spaces or dashes and in any order', () => {
+    const { rows } = parseMappingRows('Target Code\tSource-Code\nSK25\tSR11', '\t');
+
+    expect(rows[0]).toMatchObject({ sourceCode: 'SR11', targetCode: 'SK25' });
+  });
+
+  test('keeps quoted line breaks and reports errors on the line the row starts', () => {
+    const { rows, errors } = parseMappingRows([
+      HEADER,
+      'SR11,"Vata',
+      'second line",SK25,,,,',
+      'SR12,,SK26,,same,,'
+    ].join('\n'), ',');
+
+    expect(rows).toHaveLength(1);
+    expect(rows[0].sourceDisplay).toBe('Vata\nsecond line');
+    expect(errors).toEqual([{ line: 4, message: "Unknown equivalence 'same'" }]);
+  });
+
+  test('reports duplicate rows with the line of the first one', () => {
+    const { rows, errors } = parseMappingRows([
+      HEADER,
+      'SR11,,SK25,,equivalent,,',
+      'SR11,,SK25,,,,',
+      'SR11,,SK25,,wider,,'
+    ].join('\n'), ',');
+
+    expect(rows.map(row => row.line)).toEqual([2, 4]);
+    expect(errors).toEqual([{ line: 3, message: 'Duplicates the mapping on line 2' }]);
+  });
+
+  test('requires a target code unless the row is unmatched', () => {
+    const { rows, errors } = parseMappingRows([
+      HEADER,
+      'SR11,,,,equivalent,,',
+      'SR12,,,,unmatched,,',
+      ',,SK25,,,,'
+    ].join('\n'), ',');
+
+    expect(rows.map(row => row.sourceCode)).toEqual(['SR12']);
+    expect(errors).toEqual([
+      { line: 2, message: 'target_code is required unless equivalence is unmatched' },
+      { line: 4, message: 'source_code is required' }
+    ]);
+  });
+
+  test('rejects malformed depends_on entries', () => {
+    const { errors } = parseMappingRows(`${HEADER}\nSR11,,SK25,,,,severity`, ',');
+
+    expect(errors).toEqual([
+      { line: 2, message: "depends_on entry 'severity' must be property=value or property=system|value" }
+    ]);
+  });
+
+  test('fails the whole file without the required columns', () => {
+    expect(() => parseMappingRows('', ',')).toThrow(ValidationError);
+    expect(() => parseMappingRows('source_code,display\nSR11,Vata', ',')).toThrow('no target_code column');
+  });
+});
+
+describe('importing into an existing group', () => {
+  const NAMASTE_URL = 'https://ayush.gov.in/fhir/CodeSystem/namaste';
+  const ICD11_URL = 'http://id.who.int/icd/release/11/mms';
+  const conceptMap = { id: 'cm-1', url: 'https://ayush.gov.in/fhir/ConceptMap/namaste-to-icd11-tm2', sourceUri: NAMASTE_URL, targetUri: ICD11_URL };
+  const author = { id: 'user-1', name: 'Dr. Rao' };
+
+  const storedTarget = (code, equivalence, curationStatus = 'approved') =>
+    ({ code, display: null, equivalence, comment: null, curationStatus, dependsOn: [] });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockPrisma.conceptMapGroup.findMany.mockResolvedValue([{
+      id: 'group-1',
+      source: null,
+      target: null,
+      elements: [{
+        id: 'element-1',
+        code: 'SR11',
+        display: 'Vata',
+        targets: [storedTarget('SK25', 'equivalent'), storedTarget('SK26', 'wider', 'rejected')]
+      }]
+    }]);
+  });
+
+  const rowsOf = (...lines) => parseMappingRows([HEADER, ...lines].join('\n'), ',').rows;
+
+  test('finds the group of the map systems', async () => {
+    const mappingGroup = await findMappingGroup(conceptMap, {});
+
+    expect(mappingGroup).toMatchObject({ source: NAMASTE_URL, target: ICD11_URL, group: { id: 'group-1' } });
+  });
+
+  test('skips mappings the group has and rejects conflicting equivalences', async () => {
+    const mappingGroup = await findMappingGroup(conceptMap, {});
+    const rows = rowsOf(
+      'SR11,,SK25,,equivalent,,',
+      'SR11,,SK25,,wider,,',
+      'SR11,,SK26,,narrower,,',
+      'SR11,,SK26,,inexact,,',
+      'SR12,,,,unmatched,,'
+    );
+
+    const result = await importMappingRows(conceptMap, mappingGroup, rows, { author, dryRun: true });
+
+    expect(result).toEqual({
+      imported: 2,
+      skipped: 1,
+      conflicts: [
+        { line: 3, message: "Conflicts with the mapping of 'SR11' to 'SK25' as equivalent" },
+        { line: 5, message: "Conflicts with the mapping of 'SR11' to 'SK26' as narrower" }
+      ]
+    });
+    expect(mockPrisma.$transaction).not.toHaveBeenCalled();
+  });
+
+  test('writes the new targets as proposals by the author', async () => {
+    const mappingGroup = await findMappingGroup(conceptMap, {});
+
+    await importMappingRows(conceptMap, mappingGroup, rowsOf('SR11,,SK27,,wider,,'), { author });
+
+    expect(mockPrisma.conceptMapElement.update).toHaveBeenCalledWith({
+      where: { id: 'element-1' },
+      data: { targets: { create: [expect.objectContaining({ code: 'SK27', author: 'Dr. Rao', authorId: 'user-1' })] } }
+    });
+    expect(mockPrisma.$transaction).toHaveBeenCalledTimes(1);
+  });
+
+  test('builds the ConceptMap of the group with the rows added', async () => {
+    const mappingGroup = await findMappingGroup(conceptMap, {});
+
+    const resource = toConceptMapResource(conceptMap, mappingGroup, rowsOf('SR11,,SK25,,wider,,', 'SR12,Pitta,SK30,,,,'));
+
+    expect(resource.group[0]).toMatchObject({ source: NAMASTE_URL, target: ICD11_URL });
+    expect(resource.group[0].element.map(element => element.code)).toEqual(['SR11', 'SR12']);
+    expect(resource.group[0].element[0].target.map(target => [target.code, target.equivalence])).toEqual([
+      ['SK25', 'equivalent'],
+      ['SK26', 'wider'],
+      ['SK25', 'wider']
+    ]);
+    expect(resource.group[0].element[0].target[1].extension[0].extension[0]).toEqual({ url: 'status', valueCode: 'rejected' });
+  });
+});
@@ -0,0 +1,140 @@
+const mockPrisma = {
+  conceptMapGroup: { findMany: jest.fn() }
+};
+
+jest.mock('@prisma/client', () => ({ PrismaClient: jest.fn(() => mockPrisma) }));
+jest.mock('../../src/services/codeSystemResolver');
+jest.mock('../../src/services/conceptAlias');
+jest.mock('../../src/services/conceptDisplay');
+
+const { resolveCodeSystem } = require('../../src/services/codeSystemResolver');
+const { findConceptByCode, getConceptCodes } = require('../../src/services/conceptAlias');
+const { combineEquivalence, translateWithConceptMap } = require('../../src/services/conceptMapTranslation');
+
+const NAMASTE_URL = 'https://ayush.gov.in/fhir/CodeSystem/namaste';
+const ICD11_URL = 'http://id.who.int/icd/release/11/mms';
+
+const conceptMap = {
+  id: 'cm-1',
+  url: 'https://ayush.gov.in/fhir/ConceptMap/namaste-to-icd11-tm2',
+  version: '2',
+  sourceUri: NAMASTE_URL,
+  targetUri: ICD11_URL
+};
+
+// A group whose codes without an element map to a fixed catch-all code
+const fixedGroup = elements => ({
+  source: NAMASTE_URL,
+  target: ICD11_URL,
+  unmappedMode: 'fixed',
+  unmappedCode: 'SK9Z',
+  elements
+});
+
+describe('combineEquivalence', () => {
+  test('equivalent and wider chain to wider', () => {
+    expect(combineEquivalence('equivalent', 'wider')).toBe('wider');
+    expect(combineEquivalence('wider', 'equivalent')).toBe('wider');
+  });
+
+  test('equal keeps the equivalence of the other step', () => {
+    expect(combineEquivalence('equal', 'narrower')).toBe('narrower');
+    expect(combineEquivalence('inexact', 'equal')).toBe('inexact');
+  });
+
+  test('steps in the same direction keep that direction', () => {
+    expect(combineEquivalence('wider', 'subsumes')).toBe('wider');
+    expect(combineEquivalence('subsumes', 'subsumes')).toBe('subsumes');
+    expect(combineEquivalence('narrower', 'specializes')).toBe('narrower');
+    expect(combineEquivalence('specializes', 'specializes')).toBe('specializes');
+  });
+
+  test('wider then narrower is only relatedto', () => {
+    expect(combineEquivalence('wider', 'narrower')).toBe('relatedto');
+    expect(combineEquivalence('subsumes', 'specializes')).toBe('relatedto');
+  });
+
+  test('narrower then wider or inexact still overlaps the source', () => {
+    expect(combineEquivalence('narrower', 'wider')).toBe('inexact');
+    expect(combineEquivalence('narrower', 'inexact')).toBe('inexact');
+    expect(combineEquivalence('inexact', 'wider')).toBe('inexact');
+  });
+
+  test('anything chained through unmatched or disjoint is unmatched', () => {
+    for (const equivalence of ['equal', 'equivalent', 'wider', 'narrower', 'inexact', 'relatedto']) {
+      expect(combineEquivalence(equivalence, 'unmatched')).toBe('unmatched');
+      expect(combineEquivalence('unmatched', equivalence)).toBe('unmatched');
+      expect(combineEquivalence(equivalence, 'disjoint')).toBe('unmatched');
+    }
+  });
+});
+
+describe('translateWithConceptMap', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    resolveCodeSystem.mockResolvedValue({ id: 'cs-namaste', url: NAMASTE_URL });
+    findConceptByCode.mockResolvedValue({ code: 'AAA-1' });
+    getConceptCodes.mockReturnValue(['AAA-1']);
+  });
+
+  const translate = code => translateWithConceptMap(conceptMap, { code, system: NAMASTE_URL });
+
+  test('returns the approved targets of the element', async () => {
+    mockPrisma.conceptMapGroup.findMany.mockResolvedValue([fixedGroup([{
+      code: 'AAA-1',
+      targets: [{ code: 'SK25', equivalence: 'equivalent', dependsOn: [], product: [] }]
+    }])]);
+
+    const { result, matches } = await translate('AAA-1');
+
+    expect(result).toBe(true);
+    expect(matches.map(match => match.concept.code)).toEqual(['SK25']);
+  });
+
+  test('loads elements before filtering their targets by curation status', async () => {
+    mockPrisma.conceptMapGroup.findMany.mockResolvedValue([]);
+
+    await translate('AAA-1');
+
+    const elements = mockPrisma.conceptMapGroup.findMany.mock.calls[0][0].include.elements;
+    expect(elements.where).toEqual({ code: { in: ['AAA-1'] } });
+    expect(elements.include.targets.where).toEqual({ curationStatus: { in: ['approved'] } });
+  });
+
+  test('does not apply the unmapped rule to an element whose targets wait for review', async () => {
+    mockPrisma.conceptMapGroup.findMany.mockResolvedValue([fixedGroup([{ code: 'AAA-1', targets: [] }])]);
+
+    const { result, matches, message } = await translate('AAA-1');
+
+    expect(result).toBe(false);
+    expect(matches).toEqual([]);
+    expect(message).toContain('none of its mappings is approved');
+  });
+
+  test('applies the unmapped rule to a known code without an element', async () => {
+    mockPrisma.conceptMapGroup.findMany.mockResolvedValue([fixedGroup([])]);
+
+    const { matches } = await translate('AAA-1');
+
+    expect(matches.map(match => match.concept.code)).toEqual(['SK9Z']);
+  });
+
+  test('does not apply the unmapped rule when the source CodeSystem is not loaded', async () => {
+    resolveCodeSystem.mockResolvedValue(null);
+    mockPrisma.conceptMapGroup.findMany.mockResolvedValue([fixedGroup([])]);
+
+    const { result, matches } = await translate('not-a-code');
+
+    expect(result).toBe(false);
+    expect(matches).toEqual([]);
+  });
+
+  test('does not apply the unmapped rule to a code missing from the source CodeSystem', async () => {
+    findConceptByCode.mockResolvedValue(null);
+    mockPrisma.conceptMapGroup.findMany.mockResolvedValue([fixedGroup([])]);
+
+    const { matches } = await translate('not-a-code');
+
+    expect(matches).toEqual([]);
+  });
+});
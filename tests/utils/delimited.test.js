@@ -0,0 +1,49 @@
+const { parseDelimited, formatDelimited } = require('../../src/utils/delimited');
+
+describe('parseDelimited', () => {
+  test('splits records and trims values', () => {
+    expect(parseDelimited('a,b\n c , d \n')).toEqual([
+      { line: 1, values: ['a', 'b'] },
+      { line: 2, values: ['c', 'd'] }
+    ]);
+  });
+
+  test('keeps delimiters, line breaks and escaped quotes inside quoted fields', () => {
+    expect(parseDelimited('"a,b","x\ny","say ""hi"""')).toEqual([
+      { line: 1, values: ['a,b', 'x\ny', 'say "hi"'] }
+    ]);
+  });
+
+  test('numbers records by the line they start on', () => {
+    const records = parseDelimited('h1,h2\r\n"multi\nline",1\r\n\r\nlast,2\r\n');
+
+    expect(records.map(record => record.line)).toEqual([1, 2, 5]);
+    expect(records[1].values).toEqual(['multi\nline', '1']);
+  });
+
+  test('skips blank lines and a byte order mark', () => {
+    expect(parseDelimited('\uFEFFa,b\n\n,\nc,d')).toEqual([
+      { line: 1, values: ['a', 'b'] },
+      { line: 4, values: ['c', 'd'] }
+    ]);
+  });
+
+  test('parses tab separated text', () => {
+    expect(parseDelimited('a\tb\n1\t2,3', '\t')).toEqual([
+      { line: 1, values: ['a', 'b'] },
+      { line: 2, values: ['1', '2,3'] }
+    ]);
+  });
+});
+
+describe('formatDelimited', () => {
+  test('quotes fields that need it and ends rows with CRLF', () => {
+    expect(formatDelimited([['a', 'b,c'], ['x"y', null]])).toBe('a,"b,c"\r\n"x""y",\r\n');
+  });
+
+  test('round-trips through parseDelimited', () => {
+    const rows = [['code', 'display'], ['SR11', 'line one\nline "two"'], ['SR12', 'tab\there']];
+
+    expect(parseDelimited(formatDelimited(rows, '\t'), '\t').map(record => record.values)).toEqual(rows);
+  });
+});
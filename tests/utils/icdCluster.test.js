@@ -0,0 +1,70 @@
+const {
+  isClusterExpression,
+  isTm2Code,
+  parseClusterExpression,
+  formatClusterDisplay,
+  toClusterExtension,
+  getStemCode
+} = require('../../src/utils/icdCluster');
+
+describe('parseClusterExpression', () => {
+  test('splits stem and extension codes', () => {
+    expect(parseClusterExpression('NC72.2Z&XK9K')).toEqual({
+      expression: 'NC72.2Z&XK9K',
+      stemCode: 'NC72.2Z',
+      components: [
+        { code: 'NC72.2Z', role: 'stem', operator: null },
+        { code: 'XK9K', role: 'extension', operator: '&' }
+      ],
+      errors: []
+    });
+  });
+
+  test('normalises spaces around the operators', () => {
+    const cluster = parseClusterExpression(' 2C77 / 2E03 & XH8R3N ');
+
+    expect(cluster.expression).toBe('2C77/2E03&XH8R3N');
+    expect(cluster.components.map(component => component.role)).toEqual(['stem', 'stem', 'extension']);
+    expect(cluster.errors).toEqual([]);
+  });
+
+  test('reports codes combined with the wrong operator', () => {
+    expect(parseClusterExpression('XK9K/NC72').errors).toEqual([
+      "Extension code 'XK9K' must be attached to a stem code with '&'"
+    ]);
+    expect(parseClusterExpression('NC72&2C77').errors).toEqual([
+      "Stem code '2C77' must be combined with '/', not '&'"
+    ]);
+  });
+
+  test('reports empty codes', () => {
+    expect(parseClusterExpression('NC72/').errors).toEqual(["Empty code after '/' of cluster 'NC72/'"]);
+    expect(parseClusterExpression('&XK9K').errors).toContain("Empty code at the start of cluster '&XK9K'");
+  });
+});
+
+describe('cluster helpers', () => {
+  test('recognise cluster expressions and chapter 26 codes', () => {
+    expect(isClusterExpression('NC72&XK9K')).toBe(true);
+    expect(isClusterExpression('NC72')).toBe(false);
+    expect(isTm2Code('SK25')).toBe(true);
+    expect(isTm2Code('SA00')).toBe(true);
+    expect(isTm2Code('SZ00')).toBe(false);
+    expect(isTm2Code('1A00')).toBe(false);
+  });
+
+  test('format the display with the operators', () => {
+    expect(formatClusterDisplay([
+      { code: '8A80', display: 'Migraine', operator: null },
+      { code: 'XS25', display: 'Severe', operator: '&' }
+    ])).toBe('Migraine & Severe');
+  });
+
+  test('read the stem code from the cluster extension, the expression or the code', () => {
+    const extension = toClusterExtension([{ code: '2C77', role: 'stem' }], 'http://id.who.int/icd/release/11/mms');
+
+    expect(getStemCode({ code: 'anything', extension: [extension] })).toBe('2C77');
+    expect(getStemCode({ code: 'NC72.2Z&XK9K' })).toBe('NC72.2Z');
+    expect(getStemCode({ code: 'SK25' })).toBe('SK25');
+  });
+});
@@ -0,0 +1,55 @@
+const {
+  parseNamasteCode,
+  getParentNamasteCode,
+  getNamasteCodeLineage,
+  getNamasteCodeProperties
+} = require('../../src/utils/namasteCode');
+
+describe('parseNamasteCode', () => {
+  test('splits an SR code with the family code in brackets', () => {
+    expect(parseNamasteCode('SR11 (AAA-1)')).toEqual({ code: 'SR11 (AAA-1)', srCode: 'SR11', namasteCode: 'AAA-1' });
+  });
+
+  test('splits the reversed form with the SR code in brackets', () => {
+    expect(parseNamasteCode('ED-8.5.2(SP14)')).toEqual({ code: 'ED-8.5.2(SP14)', srCode: 'SP14', namasteCode: 'ED-8.5.2' });
+  });
+
+  test('normalises repeated and non-breaking spaces', () => {
+    expect(parseNamasteCode('SM1P  (AAB-7)')).toEqual({ code: 'SM1P (AAB-7)', srCode: 'SM1P', namasteCode: 'AAB-7' });
+  });
+
+  test('treats codes without an SR code as family codes', () => {
+    expect(parseNamasteCode('AAA-2.2')).toEqual({ code: 'AAA-2.2', srCode: null, namasteCode: 'AAA-2.2' });
+  });
+
+  test('handles empty input', () => {
+    expect(parseNamasteCode(undefined)).toEqual({ code: '', srCode: null, namasteCode: null });
+  });
+});
+
+describe('getParentNamasteCode', () => {
+  test('walks up the family code structure', () => {
+    expect(getParentNamasteCode('AAA-2.1')).toBe('AAA-2');
+    expect(getParentNamasteCode('AAA-2')).toBe('AAA');
+    expect(getParentNamasteCode('AAA')).toBe('AA');
+    expect(getParentNamasteCode('A')).toBeNull();
+  });
+});
+
+describe('getNamasteCodeLineage', () => {
+  test('lists the ancestors nearest first', () => {
+    expect(getNamasteCodeLineage('AAA-2.1')).toEqual(['AAA-2', 'AAA', 'AA', 'A']);
+    expect(getNamasteCodeLineage('AAA1.1')).toEqual(['AAA1', 'AAA', 'AA', 'A']);
+    expect(getNamasteCodeLineage('Z$1')).toEqual(['Z$', 'Z']);
+  });
+});
+
+describe('getNamasteCodeProperties', () => {
+  test('builds the NAMC_ID, SR code and family code aliases', () => {
+    expect(getNamasteCodeProperties('SR11 (AAA-1)', ' 42 ')).toEqual([
+      { code: 'namcId', valueString: '42' },
+      { code: 'srCode', valueCode: 'SR11' },
+      { code: 'namasteCode', valueCode: 'AAA-1' }
+    ]);
+  });
+});
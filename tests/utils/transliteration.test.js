@@ -0,0 +1,33 @@
+const { toSearchKey, buildSearchKey } = require('../../src/utils/transliteration');
+
+describe('toSearchKey', () => {
+  test('reduces Devanagari, IAST and informal ASCII spellings to the same key', () => {
+    expect(toSearchKey('वातसञ्चय')).toBe('vatasancaya');
+    expect(toSearchKey('vātasañcaya')).toBe('vatasancaya');
+    expect(toSearchKey('vatasanchaya')).toBe('vatasancaya');
+  });
+
+  test('drops a word-final visarga', () => {
+    expect(toSearchKey('ज्वरः')).toBe('jvara');
+  });
+
+  test('folds case, long vowels and punctuation', () => {
+    expect(toSearchKey('Vaata-Sanchaya')).toBe('vata sancaya');
+  });
+
+  test('returns an empty key for empty input and scripts it cannot romanise', () => {
+    expect(toSearchKey('')).toBe('');
+    expect(toSearchKey(null)).toBe('');
+    expect(toSearchKey('வாதம்')).toBe('');
+  });
+});
+
+describe('buildSearchKey', () => {
+  test('joins the distinct non-empty keys', () => {
+    expect(buildSearchKey(['वातसञ्चय', 'vatasanchaya', 'வாதம்', 'jvara'])).toBe('vatasancaya | jvara');
+  });
+
+  test('returns null when no value has a key', () => {
+    expect(buildSearchKey(['வாதம்', null])).toBeNull();
+  });
+});